@@ -30,24 +30,25 @@ async function main() {
   });
   
   console.log('📊 Before Initialization:');
-  console.log(`   documentVectors size: ${ragEngine.documentVectors.size}`);
+  console.log(`   vectorStore size: ${ragEngine.vectorStore.size}`);
   console.log(`   embeddings vocabulary size: ${embeddings.vocabulary.size}`);
   console.log(`   embeddings initialized: ${embeddings.initialized}\n`);
   
   await ragEngine.initialize();
   
   console.log('📊 After Initialization:');
-  console.log(`   documentVectors size: ${ragEngine.documentVectors.size}`);
+  console.log(`   vectorStore size: ${ragEngine.vectorStore.size}`);
   console.log(`   embeddings vocabulary size: ${embeddings.vocabulary.size}`);
   console.log(`   embeddings initialized: ${embeddings.initialized}\n`);
   
   // Show where embeddings are stored
   console.log('📍 Storage Locations:\n');
   console.log('1. Document Embeddings (Vectors):');
-  console.log('   Location: ragEngine.documentVectors (JavaScript Map)');
+  console.log('   Location: ragEngine.vectorStore (Float32Array blocks)');
   console.log('   Type: In-memory only');
-  console.log('   Persisted: ❌ NO - Recalculated on each initialization');
-  console.log(`   Current count: ${ragEngine.documentVectors.size} documents\n`);
+  console.log('   Persisted: ❌ NO - Recalculated on each initialization (unless indexPath is set)');
+  console.log(`   Current count: ${ragEngine.vectorStore.size} documents`);
+  console.log(`   Memory: ${ragEngine.vectorStore.getMemoryUsage()} bytes\n`);
   
   console.log('2. TF-IDF Vocabulary:');
   console.log('   Location: embeddings.vocabulary (JavaScript Map)');
@@ -62,13 +63,14 @@ async function main() {
   console.log(`   Current size: ${embeddings.idf.size} terms\n`);
   
   // Show a sample embedding
-  if (ragEngine.documentVectors.size > 0) {
-    const firstDoc = Array.from(ragEngine.documentVectors.values())[0];
+  if (ragEngine.vectorStore.size > 0) {
+    const firstId = ragEngine.vectorStore.keys().next().value;
+    const vector = ragEngine.vectorStore.get(firstId);
     console.log('📐 Sample Embedding Vector:');
-    console.log(`   Document ID: ${firstDoc.id}`);
-    console.log(`   Vector dimension: ${firstDoc.vector.length}`);
-    console.log(`   Vector (first 10 values): [${firstDoc.vector.slice(0, 10).map(v => v.toFixed(4)).join(', ')}...]`);
-    console.log(`   Vector type: Array<number> (in memory)\n`);
+    console.log(`   Document ID: ${firstId}`);
+    console.log(`   Vector dimension: ${vector.length}`);
+    console.log(`   Vector (first 10 values): [${Array.from(vector.slice(0, 10), v => v.toFixed(4)).join(', ')}...]`);
+    console.log(`   Vector type: Float32Array (view into the store's block)\n`);
   }
   
   console.log('💡 Notes:');
@@ -1,18 +1,162 @@
 import express from 'express';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { validateFilter } from '../rag/filters.js';
+import { validateSchema } from '../rag/structured-output.js';
+import { compareReports, evaluate, normalizeGoldenSet, parseGoldenSet } from '../rag/evaluation.js';
+import { ConversationManager } from '../conversations/manager.js';
+import { CollectionManager } from '../collections/manager.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+/**
+ * Validate a request's metadata filter
+ * @param {Object} filter - Filter from the request body
+ * @returns {string|null} - Error message, or null if the filter is valid
+ */
+function getFilterError(filter) {
+  try {
+    validateFilter(filter);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Validate a request's answer schema
+ * @param {Object} schema - JSON Schema from the request body
+ * @returns {string|null} - Error message, or null if the schema is valid (or absent)
+ */
+function getSchemaError(schema) {
+  if (schema === undefined || schema === null) return null;
+
+  try {
+    validateSchema(schema);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Send a failed query's error: 503 (with Retry-After when known) once every LLM in the
+ * fallback chain has failed, 422 when a structured answer never matched its schema, 500 otherwise
+ * @param {express.Response} res - Response
+ * @param {Error} error - Error thrown by the query
+ */
+function sendQueryError(res, error) {
+  if (error.status === 422 && error.validationErrors) {
+    return res.status(422).json({ error: error.message, validationErrors: error.validationErrors, output: error.output });
+  }
+
+  if (error.status !== 503 || !error.events) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(503).json({ error: error.message, llm: { events: error.events } });
+}
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isCount = value => Number.isInteger(value) && value >= 0;
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isStrings = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Check an object option against validators for its allowed keys
+ * @param {Object} validators - Key -> validator
+ * @returns {Function} - Validator accepting such an object (and true/false when boolean is set)
+ */
+const objectOf = (validators, { boolean = false } = {}) => value =>
+  (boolean && typeof value === 'boolean')
+  || (isPlainObject(value) && Object.entries(value).every(([key, item]) => validators[key]?.(item)));
+
+// Engine options a runtime-created collection may set. Anything that reaches the file system or
+// the network (data source settings, indexPath, cache paths, llm, API keys) is configured server-side
+const COLLECTION_OPTIONS = {
+  description: value => typeof value === 'string',
+  topK: value => isCount(value) && value > 0,
+  retrievalStrategy: value => ['vector', 'lexical', 'hybrid'].includes(value),
+  reranker: value => value === null || ['lexical', 'llm'].includes(value),
+  queryExpansion: objectOf({ numQueries: isCount }, { boolean: true }),
+  maxContextTokens: isCount,
+  expandContext: value => value === null || ['neighbors', 'parent'].includes(value),
+  expandWindow: isCount,
+  vectorStore: objectOf({ quantization: value => value === null || value === 'int8', rescoreFactor: isCount }),
+  ann: objectOf({ M: isCount, efConstruction: isCount, efSearch: isCount, exactThreshold: isCount }, { boolean: true }),
+  answerCache: objectOf({ semantic: value => typeof value === 'boolean', maxDistance: isNumber, maxEntries: isCount, ttl: isCount }, { boolean: true }),
+  groundedness: objectOf({
+    threshold: isNumber,
+    supportThreshold: isNumber,
+    judge: value => typeof value === 'boolean',
+    judgeWeight: isNumber,
+    action: value => ['replace', 'annotate'].includes(value),
+    modes: isStrings
+  }, { boolean: true }),
+  guardrails: objectOf({ blockedTerms: isStrings, sensitiveTopics: isStrings, maxQueryLength: isCount, maxResponseLength: isCount }),
+  prompts: objectOf({ hybrid: value => typeof value === 'string', direct: value => typeof value === 'string' }),
+  structuredRetries: isCount
+};
+
+/**
+ * Build the engine configuration of a collection created through the API
+ * The data source is referenced by name from the server's dataSources; other options must be
+ * listed in COLLECTION_OPTIONS
+ * @param {Object} body - Request body without the name
+ * @param {Object} dataSources - Data source configurations by name
+ * @returns {Object} - Engine configuration
+ * @throws {Error} - If the body sets an unknown data source or a disallowed option
+ */
+function getCollectionConfig(body, dataSources = {}) {
+  const { dataSource, ...rest } = body;
+
+  if (typeof dataSource !== 'string') {
+    const names = Object.keys(dataSources);
+    throw new Error(`dataSource must be the name of a configured data source${names.length > 0 ? ` (${names.join(', ')})` : '; none are configured'}`);
+  }
+  if (!Object.hasOwn(dataSources, dataSource)) {
+    throw new Error(`Unknown data source: ${dataSource}`);
+  }
+
+  for (const [key, value] of Object.entries(rest)) {
+    if (!Object.hasOwn(COLLECTION_OPTIONS, key)) {
+      throw new Error(`Option not allowed when creating a collection: ${key}`);
+    }
+    if (!COLLECTION_OPTIONS[key](value)) {
+      throw new Error(`Invalid value for ${key}`);
+    }
+  }
+
+  if (rest.ann && rest.vectorStore?.quantization) {
+    throw new Error('vectorStore.quantization cannot be combined with ann');
+  }
+
+  return { ...rest, dataSource: dataSources[dataSource] };
+}
+
 /**
  * Create Express API server for RAG engine
  * @param {RAGEngine} ragEngine - Initialized RAG engine
  * @param {Object} options - Server options
+ * @param {ConversationManager} options.conversations - Conversation manager (defaults to in-memory)
+ * @param {CollectionManager} options.collections - Collection manager (defaults to ragEngine as the only collection)
+ * @param {string} options.adminToken - Bearer token required to create or drop collections and to read /usage;
+ *   those routes are disabled when it is not set
+ * @param {Object} options.dataSources - Data source configurations by name, for collections created through the API
+ * @param {UsageTracker} options.usage - Usage tracker served at /usage
  * @returns {express.Application} - Express app
  */
 export function createAPIServer(ragEngine, options = {}) {
   const app = express();
+  const conversations = options.conversations || new ConversationManager({ llm: ragEngine.llm });
+  const collections = options.collections || new CollectionManager();
+  if (!options.collections) {
+    collections.add('default', ragEngine, { protected: true });
+  }
   
   // Middleware
   app.use(express.json({ limit: '10mb' }));
@@ -25,7 +169,7 @@ export function createAPIServer(ragEngine, options = {}) {
   // CORS middleware
   app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', options.corsOrigin || '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
     res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
     
     if (req.method === 'OPTIONS') {
@@ -43,8 +187,274 @@ export function createAPIServer(ragEngine, options = {}) {
     });
   });
 
+  // Require the admin token for collection changes and usage reports; without one they are disabled
+  const requireAdmin = (req, res, next) => {
+    if (!options.adminToken) {
+      return res.status(403).json({ error: 'Admin routes are disabled: no admin token is configured' });
+    }
+    if (req.headers.authorization !== `Bearer ${options.adminToken}`) {
+      return res.status(401).json({ error: 'Admin token required' });
+    }
+    next();
+  };
+
+  // List collections
+  app.get('/collections', (req, res) => {
+    try {
+      res.json({ collections: collections.list() });
+    } catch (error) {
+      console.error('List collections error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Create a collection ({ name, description, dataSource: { type, ... }, topK, guardrails, prompts, ... })
+  app.post('/collections', requireAdmin, async (req, res) => {
+    try {
+      const { name, ...body } = req.body;
+
+      let config;
+      try {
+        collections.validateName(name);
+        config = getCollectionConfig(body, options.dataSources);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      if (collections.has(name)) {
+        return res.status(409).json({ error: `Collection already exists: ${name}` });
+      }
+
+      if (!collections.createEngine) {
+        return res.status(501).json({ error: 'Creating collections is not enabled on this server' });
+      }
+
+      const collection = await collections.create(name, config);
+      res.status(201).json({ collection: collections.describe(collection), message: 'Collection created' });
+    } catch (error) {
+      console.error('Create collection error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get a collection
+  app.get('/collections/:name', (req, res) => {
+    try {
+      const collection = collections.get(req.params.name);
+      if (!collection) {
+        return res.status(404).json({ error: 'Collection not found' });
+      }
+      res.json(collections.describe(collection));
+    } catch (error) {
+      console.error('Get collection error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Drop a collection
+  app.delete('/collections/:name', requireAdmin, async (req, res) => {
+    try {
+      const collection = collections.get(req.params.name);
+      if (!collection) {
+        return res.status(404).json({ error: 'Collection not found' });
+      }
+      if (collection.protected) {
+        return res.status(403).json({ error: `Collection is protected: ${req.params.name}` });
+      }
+
+      await collections.drop(req.params.name);
+      res.json({ name: req.params.name, message: 'Collection dropped' });
+    } catch (error) {
+      console.error('Drop collection error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Token usage and estimated cost over time (?userId=&collection=&provider=&model=&since=&until=&bucket=hour|day|...|ms)
+  app.get('/usage', requireAdmin, (req, res) => {
+    const usage = options.usage || ragEngine.usageTracker;
+    if (!usage) {
+      return res.status(404).json({ error: 'Usage tracking not enabled' });
+    }
+
+    const { userId, collection, provider, model, since, until, bucket } = req.query;
+    try {
+      res.json(usage.getUsage({ userId, collection, provider, model, since, until, bucket }));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Query, search, documents, refresh, ... of one collection
+  const engineRouter = createEngineRouter();
+  app.use('/collections/:name', (req, res, next) => {
+    const collection = collections.get(req.params.name);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    req.ragEngine = collection.engine;
+    next();
+  }, engineRouter);
+
+  // The same routes at the root act on the default engine
+  app.use((req, res, next) => {
+    req.ragEngine = ragEngine;
+    next();
+  }, engineRouter);
+
+  // Create a conversation
+  app.post('/conversations', async (req, res) => {
+    try {
+      const conversation = await conversations.createConversation(req.body?.metadata || {});
+      res.status(201).json(conversation);
+    } catch (error) {
+      console.error('Create conversation error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // List conversations
+  app.get('/conversations', async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 100;
+      const offset = parseInt(req.query.offset) || 0;
+      const list = await conversations.listConversations({ limit, offset });
+      res.json({ conversations: list, limit, offset });
+    } catch (error) {
+      console.error('List conversations error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get a conversation with its messages
+  app.get('/conversations/:id', async (req, res) => {
+    try {
+      const conversation = await conversations.getConversation(req.params.id);
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      res.json(conversation);
+    } catch (error) {
+      console.error('Get conversation error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete a conversation
+  app.delete('/conversations/:id', async (req, res) => {
+    try {
+      const deleted = await conversations.deleteConversation(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      res.json({ id: req.params.id, message: 'Conversation deleted' });
+    } catch (error) {
+      console.error('Delete conversation error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get conversation messages
+  app.get('/conversations/:id/messages', async (req, res) => {
+    try {
+      const conversation = await conversations.getConversation(req.params.id);
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      res.json({ id: conversation.id, messages: conversation.messages });
+    } catch (error) {
+      console.error('Get messages error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Ask a question within a conversation (history is loaded and stored server-side)
+  app.post('/conversations/:id/messages', async (req, res) => {
+    try {
+      const { query, content, history, ...queryOptions } = req.body;
+      const question = query || content;
+
+      if (!question) {
+        return res.status(400).json({ error: 'Query is required' });
+      }
+
+      const filterError = getFilterError(queryOptions.filter);
+      if (filterError) {
+        return res.status(400).json({ error: filterError });
+      }
+
+      const schemaError = getSchemaError(queryOptions.schema);
+      if (schemaError) {
+        return res.status(400).json({ error: schemaError });
+      }
+
+      const conversation = await conversations.getConversation(req.params.id);
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      // Conversations started with metadata.collection ask that collection
+      const collectionName = conversation.metadata?.collection;
+      const collection = collectionName ? collections.get(collectionName) : null;
+      if (collectionName && !collection) {
+        return res.status(404).json({ error: `Collection not found: ${collectionName}` });
+      }
+
+      const engine = collection?.engine || ragEngine;
+      const result = await engine.query(question, {
+        ...queryOptions,
+        history: await conversations.getHistory(conversation.id, {
+          llm: engine.llm,
+          query: question,
+          systemPrompt: queryOptions.systemPrompt,
+          maxContextTokens: engine.contextPacker?.maxContextTokens
+        }),
+        mode: queryOptions.mode || 'hybrid',
+        userId: queryOptions.userId || conversation.metadata?.userId || req.ip
+      });
+
+      if (result.blocked) {
+        return res.status(403).json({ ...result, conversationId: conversation.id });
+      }
+
+      await conversations.recordTurn(conversation.id, question, result);
+
+      res.json({ ...result, conversationId: conversation.id });
+    } catch (error) {
+      console.error('Conversation query error:', error);
+      sendQueryError(res, error);
+    }
+  });
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    console.error('Unhandled error:', err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: err.message 
+    });
+  });
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Endpoint not found' });
+  });
+
+  return app;
+}
+
+/**
+ * Create the router for the routes that act on one RAG engine
+ * Mounted at the root for the default engine and at /collections/:name for each collection;
+ * handlers read the engine from req.ragEngine
+ * @returns {express.Router} - Engine router
+ */
+function createEngineRouter() {
+  const router = express.Router();
+
   // Get engine stats
-  app.get('/stats', async (req, res) => {
+  router.get('/stats', async (req, res) => {
+    const { ragEngine } = req;
     try {
       const stats = await ragEngine.getStatsAsync();
       if (ragEngine.guardrails) {
@@ -58,7 +468,8 @@ export function createAPIServer(ragEngine, options = {}) {
   });
 
   // Get guardrails configuration
-  app.get('/guardrails', (req, res) => {
+  router.get('/guardrails', (req, res) => {
+    const { ragEngine } = req;
     try {
       if (!ragEngine.guardrails) {
         return res.json({ enabled: false });
@@ -70,7 +481,8 @@ export function createAPIServer(ragEngine, options = {}) {
   });
 
   // Update guardrails policies
-  app.put('/guardrails', (req, res) => {
+  router.put('/guardrails', (req, res) => {
+    const { ragEngine } = req;
     try {
       if (!ragEngine.guardrails) {
         return res.status(404).json({ error: 'Guardrails not enabled' });
@@ -86,14 +498,29 @@ export function createAPIServer(ragEngine, options = {}) {
   });
 
   // Query endpoint
-  app.post('/query', async (req, res) => {
+  router.post('/query', async (req, res) => {
+    const { ragEngine } = req;
     try {
-      const { query, topK, history, systemPrompt, temperature, mode, userId } = req.body;
+      const {
+        query, topK, history, systemPrompt, temperature, mode, userId,
+        retrievalStrategy, filter, mmr, mmrLambda, rerank, expandQuery, numQueries,
+        hyde, hydeQueryWeight, expandContext, expandWindow, cache, schema
+      } = req.body;
 
       if (!query) {
         return res.status(400).json({ error: 'Query is required' });
       }
 
+      const filterError = getFilterError(filter);
+      if (filterError) {
+        return res.status(400).json({ error: filterError });
+      }
+
+      const schemaError = getSchemaError(schema);
+      if (schemaError) {
+        return res.status(400).json({ error: schemaError });
+      }
+
       // mode options: 'auto', 'rag', 'hybrid', 'llm'
       // - hybrid (default): Quote data first, then add LLM knowledge
       // - rag: Only use retrieved context
@@ -105,6 +532,19 @@ export function createAPIServer(ragEngine, options = {}) {
         systemPrompt,
         temperature,
         mode: mode || 'hybrid',
+        retrievalStrategy,
+        filter,
+        mmr,
+        mmrLambda,
+        rerank,
+        expandQuery,
+        numQueries,
+        hyde,
+        hydeQueryWeight,
+        expandContext,
+        expandWindow,
+        cache,
+        schema,
         userId: userId || req.ip // Use IP as user ID if not provided
       });
 
@@ -116,52 +556,106 @@ export function createAPIServer(ragEngine, options = {}) {
       res.json(result);
     } catch (error) {
       console.error('Query error:', error);
-      res.status(500).json({ error: error.message });
+      sendQueryError(res, error);
     }
   });
 
-  // Streaming query endpoint
-  app.post('/query/stream', async (req, res) => {
+  // Streaming query endpoint (server-sent events: sources, content, blocked, done)
+  router.post('/query/stream', async (req, res) => {
+    const { ragEngine } = req;
     try {
-      const { query, topK, systemPrompt, temperature, mode } = req.body;
+      const {
+        query, topK, history, systemPrompt, temperature, mode, userId,
+        retrievalStrategy, filter, mmr, mmrLambda, rerank, expandQuery, numQueries,
+        hyde, hydeQueryWeight, expandContext, expandWindow
+      } = req.body;
 
       if (!query) {
         return res.status(400).json({ error: 'Query is required' });
       }
 
+      if (req.body.schema) {
+        return res.status(400).json({ error: 'schema is not supported when streaming; use POST /query' });
+      }
+
+      const filterError = getFilterError(filter);
+      if (filterError) {
+        return res.status(400).json({ error: filterError });
+      }
+
       res.setHeader('Content-Type', 'text/event-stream');
       res.setHeader('Cache-Control', 'no-cache');
       res.setHeader('Connection', 'keep-alive');
 
       const stream = ragEngine.queryStream(query, {
         topK,
+        history,
         systemPrompt,
         temperature,
-        mode: mode || 'hybrid'
+        mode: mode || 'hybrid',
+        retrievalStrategy,
+        filter,
+        mmr,
+        mmrLambda,
+        rerank,
+        expandQuery,
+        numQueries,
+        hyde,
+        hydeQueryWeight,
+        expandContext,
+        expandWindow,
+        userId: userId || req.ip // Use IP as user ID if not provided
       });
 
       for await (const chunk of stream) {
-        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+        res.write(`event: ${chunk.type}\ndata: ${JSON.stringify(chunk)}\n\n`);
       }
 
       res.end();
     } catch (error) {
       console.error('Stream error:', error);
-      res.status(500).json({ error: error.message });
+
+      if (res.headersSent) {
+        const event = { type: 'error', error: error.message, ...(error.events && { llm: { events: error.events } }) };
+        res.write(`event: error\ndata: ${JSON.stringify(event)}\n\n`);
+        return res.end();
+      }
+      sendQueryError(res, error);
     }
   });
 
   // Search/retrieve endpoint (without LLM generation)
-  app.post('/search', async (req, res) => {
+  router.post('/search', async (req, res) => {
+    const { ragEngine } = req;
     try {
-      const { query, topK = 5 } = req.body;
+      const {
+        query, topK = 5, retrievalStrategy, filter, mmr, mmrLambda, rerank, hyde, hydeQueryWeight,
+        expandContext, expandWindow, userId
+      } = req.body;
 
       if (!query) {
         return res.status(400).json({ error: 'Query is required' });
       }
 
-      const results = await ragEngine.retrieve(query, topK);
-      res.json({ results, query });
+      const filterError = getFilterError(filter);
+      if (filterError) {
+        return res.status(400).json({ error: filterError });
+      }
+
+      // retrievalStrategy options: 'vector', 'lexical', 'hybrid'
+      const calls = []; // HyDE and LLM reranking spend tokens
+      const results = await ragEngine.retrieve(query, topK, {
+        strategy: retrievalStrategy,
+        filter,
+        mmr,
+        mmrLambda,
+        rerank,
+        hyde,
+        hydeQueryWeight,
+        onUsage: usage => calls.push(usage)
+      });
+      const expanded = await ragEngine.expandDocuments(results, { mode: expandContext, window: expandWindow });
+      res.json({ results: expanded, query, usage: ragEngine.trackUsage(calls, userId || req.ip) });
     } catch (error) {
       console.error('Search error:', error);
       res.status(500).json({ error: error.message });
@@ -169,7 +663,8 @@ export function createAPIServer(ragEngine, options = {}) {
   });
 
   // Add document endpoint
-  app.post('/documents', async (req, res) => {
+  router.post('/documents', async (req, res) => {
+    const { ragEngine } = req;
     try {
       const { content, metadata, id } = req.body;
 
@@ -186,7 +681,8 @@ export function createAPIServer(ragEngine, options = {}) {
   });
 
   // Get all documents endpoint
-  app.get('/documents', (req, res) => {
+  router.get('/documents', (req, res) => {
+    const { ragEngine } = req;
     try {
       const documents = ragEngine.dataSource.getDocuments();
       const limit = parseInt(req.query.limit) || 100;
@@ -204,15 +700,80 @@ export function createAPIServer(ragEngine, options = {}) {
     }
   });
 
-  // Update configuration endpoint
-  app.put('/config', (req, res) => {
+  // Get a single document endpoint
+  router.get('/documents/:id', async (req, res) => {
+    const { ragEngine } = req;
     try {
-      const { topK, similarityThreshold, llmConfig } = req.body;
+      const document = await ragEngine.getDocument(req.params.id);
 
-      if (topK || similarityThreshold !== undefined) {
-        ragEngine.updateConfig({ topK, similarityThreshold });
+      if (!document) {
+        return res.status(404).json({ error: 'Document not found' });
       }
 
+      res.json(document);
+    } catch (error) {
+      console.error('Get document error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Replace (PUT) or partially update (PATCH) a document
+  const updateDocument = (replace) => async (req, res) => {
+    const { ragEngine } = req;
+    try {
+      const { content, metadata } = req.body;
+      const document = await ragEngine.updateDocument(req.params.id, { content, metadata }, { replace });
+
+      if (!document) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+
+      res.json({ document, message: 'Document updated successfully' });
+    } catch (error) {
+      // 400: invalid patch (or one the data source can't apply), 501: the data source can't update documents
+      if (error.status === 400 || error.status === 501) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      console.error('Update document error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  router.put('/documents/:id', updateDocument(true));
+  router.patch('/documents/:id', updateDocument(false));
+
+  // Delete a document endpoint
+  router.delete('/documents/:id', async (req, res) => {
+    const { ragEngine } = req;
+    try {
+      const deleted = await ragEngine.deleteDocument(req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+
+      res.json({ id: req.params.id, message: 'Document deleted successfully' });
+    } catch (error) {
+      console.error('Delete document error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Update configuration endpoint
+  router.put('/config', async (req, res) => {
+    const { ragEngine } = req;
+    try {
+      const {
+        topK, similarityThreshold, retrievalStrategy, fusionMethod, mmr, mmrLambda, hyde, maxContextTokens,
+        groundednessThreshold, annEfSearch, expandContext, expandWindow, llmConfig
+      } = req.body;
+
+      await ragEngine.updateConfig({
+        topK, similarityThreshold, retrievalStrategy, fusionMethod, mmr, mmrLambda, hyde, maxContextTokens,
+        groundednessThreshold, annEfSearch, expandContext, expandWindow
+      });
+
       if (llmConfig) {
         ragEngine.llm.updateConfig(llmConfig);
       }
@@ -228,13 +789,15 @@ export function createAPIServer(ragEngine, options = {}) {
   });
 
   // Refresh index endpoint
-  app.post('/refresh', async (req, res) => {
+  router.post('/refresh', async (req, res) => {
+    const { ragEngine } = req;
     try {
-      await ragEngine.refresh();
+      const changes = await ragEngine.refresh({ full: req.body?.full === true });
       const stats = await ragEngine.getStatsAsync();
       res.json({ 
         message: 'Index refreshed',
-        documentCount: stats.documentCount
+        documentCount: stats.documentCount,
+        ...changes
       });
     } catch (error) {
       console.error('Refresh error:', error);
@@ -242,21 +805,87 @@ export function createAPIServer(ragEngine, options = {}) {
     }
   });
 
-  // Error handling middleware
-  app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
-    res.status(500).json({ 
-      error: 'Internal server error',
-      message: err.message 
-    });
+  // Get answer cache stats
+  router.get('/cache', (req, res) => {
+    const { ragEngine } = req;
+    try {
+      if (!ragEngine.answerCache) {
+        return res.json({ enabled: false });
+      }
+      res.json({ enabled: true, ...ragEngine.answerCache.getStats() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   });
 
-  // 404 handler
-  app.use((req, res) => {
-    res.status(404).json({ error: 'Endpoint not found' });
+  // Clear the answer cache
+  router.delete('/cache', async (req, res) => {
+    const { ragEngine } = req;
+    try {
+      if (!ragEngine.answerCache) {
+        return res.status(404).json({ error: 'Answer cache not enabled' });
+      }
+      await ragEngine.invalidateAnswerCache();
+      res.json({ message: 'Answer cache cleared' });
+    } catch (error) {
+      console.error('Cache clear error:', error);
+      res.status(500).json({ error: error.message });
+    }
   });
 
-  return app;
+
+  // Evaluate retrieval (and optionally answers) against a golden set
+  router.post('/eval', async (req, res) => {
+    const { ragEngine } = req;
+    try {
+      const { goldenSet, queries, k, generate, mode, retrieval, name, baseline } = req.body;
+
+      if (!goldenSet && !queries) {
+        return res.status(400).json({ error: 'goldenSet (JSONL) or queries (array) is required' });
+      }
+
+      let entries;
+      try {
+        entries = normalizeGoldenSet(queries || parseGoldenSet(goldenSet));
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const filterError = getFilterError(retrieval?.filter)
+        || entries.map(entry => getFilterError(entry.filter)).find(Boolean);
+      if (filterError) {
+        return res.status(400).json({ error: filterError });
+      }
+
+      const report = await evaluate(ragEngine, entries, { k, generate, mode, retrieval, name });
+
+      if (baseline) {
+        return res.json({ ...report, comparison: compareReports(baseline, report) });
+      }
+      res.json(report);
+    } catch (error) {
+      console.error('Eval error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Compare two evaluation reports
+  router.post('/eval/compare', (req, res) => {
+    try {
+      const { baseline, candidate } = req.body;
+
+      if (!baseline || !candidate) {
+        return res.status(400).json({ error: 'baseline and candidate reports are required' });
+      }
+
+      res.json(compareReports(baseline, candidate));
+    } catch (error) {
+      console.error('Eval compare error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  return router;
 }
 
 /**
@@ -275,9 +904,16 @@ export function startServer(app, port = 3000, host = '0.0.0.0') {
       console.log(`   POST /query        - Ask a question`);
       console.log(`   POST /query/stream - Ask with streaming response`);
       console.log(`   POST /search       - Search documents`);
+      console.log(`   POST /conversations - Start a conversation`);
+      console.log(`   POST /conversations/:id/messages - Ask within a conversation`);
       console.log(`   GET  /documents    - List documents`);
       console.log(`   POST /documents    - Add a document`);
+      console.log(`   PATCH /documents/:id - Update a document (PUT replaces, DELETE removes)`);
+      console.log(`   GET  /cache        - Answer cache stats (DELETE clears)`);
+      console.log(`   POST /eval         - Score retrieval against a golden set`);
       console.log(`   GET  /stats        - Get engine statistics`);
+      console.log(`   GET  /collections  - List collections (POST creates, DELETE /collections/:name drops)`);
+      console.log(`   *    /collections/:name/... - Query, search and manage one collection`);
       console.log(`   GET  /health       - Health check`);
       resolve(server);
     });
@@ -0,0 +1,217 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Answer Cache
+ * Remembers query responses so repeated questions skip retrieval and generation.
+ * Lookups match the normalized query exactly, or (with semantic enabled) the closest cached
+ * query whose embedding is within maxDistance cosine distance. Entries are scoped by the
+ * settings that change the answer (mode, topK, filter, model, ...) and only match within a scope.
+ * Kept in memory; with a path the cache is also written to a JSON file and reloaded on start
+ * as long as the data source content is unchanged
+ */
+export class AnswerCache {
+  constructor(config = {}) {
+    this.path = config.path || null; // JSON file for persistence (memory only when null)
+    this.maxEntries = config.maxEntries || 500; // Oldest entries are evicted beyond this
+    this.ttl = config.ttl || null; // Entry lifetime in ms (null = until invalidated)
+    this.semantic = config.semantic ?? false; // Also match similar queries by embedding
+    this.maxDistance = config.maxDistance ?? 0.1; // Max cosine distance (1 - similarity) for a semantic hit
+    this.entries = new Map();
+    this.fingerprint = null; // Data source fingerprint the entries were computed against
+    this.stats = { hits: 0, semanticHits: 0, misses: 0, invalidations: 0 };
+    this._writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load persisted entries, discarding them if the data source changed since they were saved
+   * @param {string|null} fingerprint - Current data source fingerprint
+   */
+  async initialize(fingerprint = null) {
+    this.fingerprint = fingerprint;
+
+    if (!this.path || !existsSync(this.path)) return;
+
+    try {
+      const data = JSON.parse(await readFile(this.path, 'utf-8'));
+      if (data.fingerprint && data.fingerprint === fingerprint) {
+        this.entries = new Map((data.entries || []).map(entry => [entry.key, entry]));
+      } else {
+        console.log('♻️  Answer cache is stale (data source changed), starting empty');
+      }
+    } catch (error) {
+      console.warn('Could not load answer cache:', error.message);
+    }
+  }
+
+  /**
+   * Normalize a query for exact matching (case, whitespace, trailing punctuation)
+   * @param {string} query - User's question
+   * @returns {string} - Normalized query
+   */
+  normalizeQuery(query) {
+    return (query || '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/[\s?!.]+$/, '')
+      .trim();
+  }
+
+  /**
+   * Serialize the settings an answer depends on
+   * @param {Object} scope - Settings such as mode, topK, filter and model
+   * @returns {string} - Scope key
+   */
+  scopeKey(scope = {}) {
+    return JSON.stringify(Object.keys(scope).sort().map(key => [key, scope[key] ?? null]));
+  }
+
+  /**
+   * Check whether an entry has outlived the TTL
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} - True if expired
+   */
+  isExpired(entry) {
+    return Boolean(this.ttl) && Date.now() - new Date(entry.createdAt).getTime() > this.ttl;
+  }
+
+  /**
+   * Look up a cached response
+   * @param {string} query - User's question
+   * @param {Object} scope - Settings the answer depends on
+   * @param {Array<number>|null} vector - Normalized query embedding (semantic matching only)
+   * @returns {{entry: Object, match: string, similarity: number}|null} - Hit, or null on a miss
+   */
+  get(query, scope, vector = null) {
+    const scopeKey = this.scopeKey(scope);
+    const normalized = this.normalizeQuery(query);
+    let hit = null;
+
+    const exact = this.entries.get(`${scopeKey}\n${normalized}`);
+    if (exact && !this.isExpired(exact)) {
+      hit = { entry: exact, match: 'exact', similarity: 1 };
+    } else if (this.semantic && vector) {
+      let best = null;
+      let bestSimilarity = 1 - this.maxDistance;
+
+      for (const entry of this.entries.values()) {
+        if (entry.scope !== scopeKey || !entry.vector || this.isExpired(entry)) continue;
+
+        // Embeddings are L2-normalized, so the dot product is the cosine similarity
+        let similarity = 0;
+        for (let i = 0; i < vector.length; i++) {
+          similarity += vector[i] * entry.vector[i];
+        }
+
+        if (similarity >= bestSimilarity) {
+          best = entry;
+          bestSimilarity = similarity;
+        }
+      }
+
+      if (best) {
+        hit = { entry: best, match: 'semantic', similarity: bestSimilarity };
+      }
+    }
+
+    if (!hit) {
+      this.stats.misses++;
+      return null;
+    }
+
+    this.stats.hits++;
+    if (hit.match === 'semantic') this.stats.semanticHits++;
+    hit.entry.hits = (hit.entry.hits || 0) + 1;
+
+    return hit;
+  }
+
+  /**
+   * Store a response
+   * @param {string} query - User's question
+   * @param {Object} scope - Settings the answer depends on
+   * @param {Object} response - Query response to replay
+   * @param {Array<number>|null} vector - Normalized query embedding (semantic matching only)
+   */
+  async set(query, scope, response, vector = null) {
+    const scopeKey = this.scopeKey(scope);
+    const normalized = this.normalizeQuery(query);
+    const key = `${scopeKey}\n${normalized}`;
+
+    // Re-inserting moves the entry to the back of the eviction order
+    this.entries.delete(key);
+    this.entries.set(key, {
+      key,
+      scope: scopeKey,
+      query: normalized,
+      vector: this.semantic && vector ? Array.from(vector) : null,
+      response,
+      createdAt: new Date().toISOString(),
+      hits: 0
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    await this.persist();
+  }
+
+  /**
+   * Drop every entry, e.g. after the indexed documents changed
+   * @param {string|null} fingerprint - New data source fingerprint, if known
+   */
+  async clear(fingerprint = null) {
+    this.fingerprint = fingerprint;
+    if (this.entries.size === 0) return;
+
+    this.entries.clear();
+    this.stats.invalidations++;
+    await this.persist();
+  }
+
+  /**
+   * Write the entries to disk (no-op for a memory-only cache)
+   * Writes are queued so concurrent changes never interleave
+   */
+  persist() {
+    if (!this.path) return this._writeQueue;
+
+    this._writeQueue = this._writeQueue.then(async () => {
+      await mkdir(dirname(this.path), { recursive: true });
+      const tmpPath = `${this.path}.tmp`;
+      const data = { fingerprint: this.fingerprint, entries: Array.from(this.entries.values()) };
+      await writeFile(tmpPath, JSON.stringify(data), 'utf-8');
+      await rename(tmpPath, this.path);
+    }).catch(error => {
+      console.warn('Could not persist answer cache:', error.message);
+    });
+    return this._writeQueue;
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async close() {
+    await this._writeQueue;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} - Entry count, hit/miss counters and settings
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      entries: this.entries.size,
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      semantic: this.semantic,
+      maxDistance: this.maxDistance,
+      maxEntries: this.maxEntries,
+      ttl: this.ttl,
+      persistent: Boolean(this.path)
+    };
+  }
+}
@@ -0,0 +1,184 @@
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * Collection Manager
+ * Serves several knowledge bases from one process: each named collection has its own
+ * RAG engine (data source, topK, guardrails, prompts, ...). Collections can be created
+ * and dropped at runtime when an engine factory is configured
+ */
+export class CollectionManager {
+  constructor(config = {}) {
+    this.createEngine = config.createEngine || null; // async (config, name) => initialized RAGEngine
+    this.collections = new Map();
+    this._pending = new Set(); // Names of collections still initializing
+  }
+
+  /**
+   * Check a collection name, throwing if it is not usable in a URL
+   * @param {string} name - Collection name
+   */
+  validateName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new Error('Collection name must be 1-64 letters, digits, "-" or "_", starting with a letter or digit');
+    }
+  }
+
+  /**
+   * Check whether a collection exists (or is being created)
+   * @param {string} name - Collection name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.collections.has(name) || this._pending.has(name);
+  }
+
+  /**
+   * Register an already initialized engine as a collection
+   * The caller keeps ownership: close() does not close it
+   * @param {string} name - Collection name
+   * @param {RAGEngine} engine - Initialized RAG engine
+   * @param {Object} options - Collection options
+   * @param {string} options.description - Human-readable description
+   * @param {boolean} options.protected - Prevent the collection from being dropped
+   * @returns {Object} - Collection
+   */
+  add(name, engine, options = {}) {
+    this.validateName(name);
+    if (this.has(name)) {
+      throw new Error(`Collection already exists: ${name}`);
+    }
+
+    const collection = {
+      name,
+      engine,
+      description: options.description || null,
+      protected: options.protected ?? false,
+      managed: options.managed ?? false, // Created (and closed) by this manager
+      createdAt: new Date().toISOString()
+    };
+    this.collections.set(name, collection);
+    return collection;
+  }
+
+  /**
+   * Create a collection with its own engine
+   * @param {string} name - Collection name
+   * @param {Object} config - Engine configuration passed to createEngine, plus an optional description
+   * @returns {Promise<Object>} - Collection
+   */
+  async create(name, config = {}) {
+    if (!this.createEngine) {
+      throw new Error('Creating collections requires a createEngine factory');
+    }
+
+    this.validateName(name);
+    if (this.has(name)) {
+      throw new Error(`Collection already exists: ${name}`);
+    }
+
+    const { description, ...engineConfig } = config;
+
+    // Reserve the name while the engine loads and embeds its documents
+    this._pending.add(name);
+    let engine;
+    try {
+      engine = await this.createEngine(engineConfig, name);
+    } finally {
+      this._pending.delete(name);
+    }
+
+    await this.startWatching(name, engine);
+
+    return this.add(name, engine, { description, managed: true });
+  }
+
+  /**
+   * Keep a watched file data source's index in sync with the files
+   * @param {string} name - Collection name (for logging)
+   * @param {RAGEngine} engine - Collection engine
+   */
+  async startWatching(name, engine) {
+    const dataSource = engine.dataSource;
+    if (!dataSource?.startWatching || !dataSource.watch) return;
+
+    dataSource.onRefresh = async () => {
+      try {
+        const { added, updated, removed } = await engine.syncIndex();
+        console.log(`🔄 Collection ${name} index updated: ${added} added, ${updated} updated, ${removed} removed`);
+      } catch (error) {
+        console.error(`Error refreshing collection ${name}:`, error.message);
+      }
+    };
+    await dataSource.startWatching();
+  }
+
+  /**
+   * Get a collection by name
+   * @param {string} name - Collection name
+   * @returns {Object|null} - Collection, or null if not found
+   */
+  get(name) {
+    return this.collections.get(name) || null;
+  }
+
+  /**
+   * Summarize a collection for listings
+   * @param {Object} collection - Collection
+   * @returns {Object} - Name, description and engine stats
+   */
+  describe(collection) {
+    const stats = collection.engine.getStats();
+    return {
+      name: collection.name,
+      description: collection.description,
+      protected: collection.protected,
+      createdAt: collection.createdAt,
+      documentCount: stats.documentCount,
+      dataSourceType: stats.dataSourceType,
+      topK: stats.topK,
+      retrievalStrategy: stats.retrievalStrategy,
+      llmModel: stats.llmModel,
+      guardrails: Boolean(collection.engine.guardrails)
+    };
+  }
+
+  /**
+   * List all collections
+   * @returns {Array<Object>} - Collection summaries
+   */
+  list() {
+    return Array.from(this.collections.values()).map(collection => this.describe(collection));
+  }
+
+  /**
+   * Drop a collection and close its engine
+   * @param {string} name - Collection name
+   * @returns {Promise<boolean>} - True if the collection existed
+   */
+  async drop(name) {
+    const collection = this.collections.get(name);
+    if (!collection) return false;
+
+    if (collection.protected) {
+      throw new Error(`Collection is protected: ${name}`);
+    }
+
+    this.collections.delete(name);
+    if (collection.managed) {
+      await collection.engine.close();
+    }
+    return true;
+  }
+
+  /**
+   * Close the engines of all collections created by this manager
+   */
+  async close() {
+    for (const collection of this.collections.values()) {
+      if (collection.managed) {
+        await collection.engine.close();
+      }
+    }
+    this.collections.clear();
+  }
+}
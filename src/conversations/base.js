@@ -0,0 +1,87 @@
+/**
+ * Base Conversation Store class
+ * All conversation store implementations should extend this class
+ *
+ * A conversation looks like:
+ *   { id, createdAt, updatedAt, metadata, summary, summarizedCount, messages: [...] }
+ * and a message:
+ *   { role: 'user' | 'assistant', content, createdAt, sources?, mode? }
+ */
+export class BaseConversationStore {
+  constructor(config = {}) {
+    this.config = config;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the store (open files, create tables)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this.initialized = true;
+  }
+
+  /**
+   * Create a conversation
+   * @param {Object} conversation - Conversation without messages
+   * @returns {Promise<Object>} - Created conversation
+   */
+  async createConversation(conversation) {
+    throw new Error('createConversation() must be implemented by subclass');
+  }
+
+  /**
+   * Get a conversation with its messages
+   * @param {string} id - Conversation ID
+   * @returns {Promise<Object|null>} - Conversation, or null if not found
+   */
+  async getConversation(id) {
+    throw new Error('getConversation() must be implemented by subclass');
+  }
+
+  /**
+   * List conversations without their messages, most recently updated first
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listConversations(options = {}) {
+    throw new Error('listConversations() must be implemented by subclass');
+  }
+
+  /**
+   * Append messages to a conversation
+   * @param {string} id - Conversation ID
+   * @param {Array<Object>} messages - Messages to append
+   * @returns {Promise<void>}
+   */
+  async appendMessages(id, messages) {
+    throw new Error('appendMessages() must be implemented by subclass');
+  }
+
+  /**
+   * Update conversation fields (summary, summarizedCount, metadata)
+   * @param {string} id - Conversation ID
+   * @param {Object} patch - Fields to update
+   * @returns {Promise<void>}
+   */
+  async updateConversation(id, patch) {
+    throw new Error('updateConversation() must be implemented by subclass');
+  }
+
+  /**
+   * Delete a conversation and its messages
+   * @param {string} id - Conversation ID
+   * @returns {Promise<boolean>} - True if the conversation existed
+   */
+  async deleteConversation(id) {
+    throw new Error('deleteConversation() must be implemented by subclass');
+  }
+
+  /**
+   * Close the store
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.initialized = false;
+  }
+}
@@ -0,0 +1,72 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+import { MemoryConversationStore } from './memory.js';
+
+/**
+ * JSON File Conversation Store
+ * Keeps conversations in memory and rewrites a single JSON file after each change
+ * Suitable for small deployments; use the SQLite store for many or long conversations
+ */
+export class JSONConversationStore extends MemoryConversationStore {
+  constructor(config = {}) {
+    super(config);
+    this.filePath = config.filePath || config.path || './data/conversations.json';
+    this._writeQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    if (existsSync(this.filePath)) {
+      const data = JSON.parse(await readFile(this.filePath, 'utf-8'));
+      this.conversations = new Map((data.conversations || []).map(c => [c.id, c]));
+    }
+    await super.initialize();
+  }
+
+  /**
+   * Write all conversations to disk
+   * Writes are queued so concurrent changes never interleave; failures are logged, not thrown
+   */
+  persist() {
+    this._writeQueue = this._writeQueue.then(async () => {
+      await mkdir(dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      const data = { conversations: Array.from(this.conversations.values()) };
+      await writeFile(tmpPath, JSON.stringify(data), 'utf-8');
+      await rename(tmpPath, this.filePath);
+    }).catch(error => {
+      // A failed write must not reject every later change; the next write retries with all conversations
+      console.warn('Could not persist conversations:', error.message);
+    });
+    return this._writeQueue;
+  }
+
+  async createConversation(conversation) {
+    const created = await super.createConversation(conversation);
+    await this.persist();
+    return created;
+  }
+
+  async appendMessages(id, messages) {
+    await super.appendMessages(id, messages);
+    await this.persist();
+  }
+
+  async updateConversation(id, patch) {
+    await super.updateConversation(id, patch);
+    await this.persist();
+  }
+
+  async deleteConversation(id) {
+    const deleted = await super.deleteConversation(id);
+    if (deleted) {
+      await this.persist();
+    }
+    return deleted;
+  }
+
+  async close() {
+    await this._writeQueue;
+    await super.close();
+  }
+}
@@ -0,0 +1,198 @@
+import { MemoryConversationStore } from './memory.js';
+import { ContextPacker } from '../rag/context-packer.js';
+
+/**
+ * Conversation Manager
+ * Keeps conversation history server-side and builds the history sent to the LLM,
+ * truncating or summarizing older turns so it fits the model context
+ */
+export class ConversationManager {
+  constructor(config = {}) {
+    this.store = config.store || new MemoryConversationStore();
+    this.llm = config.llm || null; // Used for summarization
+    this.maxHistoryTokens = config.maxHistoryTokens || null; // Fixed token budget for history; by default derived from the model's context window
+    this.historyShare = config.historyShare ?? 0.25; // Share of the prompt room left after the system prompt, question and answer given to history (the rest is for retrieved context)
+    this.contextPacker = config.contextPacker || new ContextPacker(); // Knows model context windows and token ratios
+    this.summarize = config.summarize ?? true; // Summarize dropped turns instead of discarding them
+    this.charsPerToken = config.charsPerToken || 4; // Rough token estimate
+    this.usageTracker = config.usageTracker || null; // Records summarization token usage (see usage/tracker.js)
+  }
+
+  async initialize() {
+    if (!this.store.initialized) {
+      await this.store.initialize();
+    }
+  }
+
+  /**
+   * Estimate the token count of a text
+   * @param {string} text - Input text
+   * @returns {number} - Estimated tokens
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / this.charsPerToken);
+  }
+
+  /**
+   * Token budget for the history sent with a question
+   * Unless maxHistoryTokens is set, this is the room left in the model's context window once the
+   * system prompt, the question and the answer are reserved, minus the share kept for retrieved context
+   * @param {Object} options - Prompt parts
+   * @param {BaseLLM} options.llm - LLM that answers (default: the manager's LLM)
+   * @param {string} options.query - Question
+   * @param {string} options.systemPrompt - System prompt (default: the LLM's)
+   * @param {number} options.maxContextTokens - Cap on retrieved context tokens, if the engine sets one
+   * @returns {number} - Tokens
+   */
+  getHistoryBudget(options = {}) {
+    if (this.maxHistoryTokens) return this.maxHistoryTokens;
+
+    const llm = options.llm || this.llm;
+    const available = this.contextPacker.getBudget({
+      model: llm?.model,
+      contextWindow: llm?.contextWindow,
+      maxTokens: llm?.maxTokens,
+      systemPrompt: options.systemPrompt || llm?.systemPrompt,
+      query: options.query
+    });
+    const contextReserve = Math.min(available * (1 - this.historyShare), options.maxContextTokens || Infinity);
+    return Math.floor(available - contextReserve);
+  }
+
+  /**
+   * Create a new conversation
+   * @param {Object} metadata - Optional metadata (e.g. userId, title)
+   * @returns {Promise<Object>} - Created conversation
+   */
+  async createConversation(metadata = {}) {
+    const now = new Date().toISOString();
+
+    return this.store.createConversation({
+      id: `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      createdAt: now,
+      updatedAt: now,
+      metadata,
+      summary: null,
+      summarizedCount: 0
+    });
+  }
+
+  async getConversation(id) {
+    return this.store.getConversation(id);
+  }
+
+  async listConversations(options = {}) {
+    return this.store.listConversations(options);
+  }
+
+  async deleteConversation(id) {
+    return this.store.deleteConversation(id);
+  }
+
+  /**
+   * Build the history to send to the LLM for a conversation
+   * Recent turns are kept verbatim within the token budget; older turns are folded into a running summary
+   * (or dropped when summarization is disabled or no LLM is available)
+   * @param {string} id - Conversation ID
+   * @param {Object} options - Prompt parts the budget is computed from (see getHistoryBudget())
+   * @returns {Promise<Array<{role: string, content: string}>>} - LLM history messages
+   */
+  async getHistory(id, options = {}) {
+    const conversation = await this.store.getConversation(id);
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+
+    let { summary, summarizedCount = 0 } = conversation;
+    const pending = conversation.messages.slice(summarizedCount);
+    const summaryTokens = summary ? this.estimateTokens(summary) : 0;
+
+    // Walk backwards keeping as many recent messages as fit
+    let budget = this.getHistoryBudget(options) - summaryTokens;
+    let keepFrom = pending.length;
+    while (keepFrom > 0) {
+      const tokens = this.estimateTokens(pending[keepFrom - 1].content);
+      if (tokens > budget) break;
+      budget -= tokens;
+      keepFrom--;
+    }
+
+    const overflow = pending.slice(0, keepFrom);
+    if (overflow.length > 0 && this.summarize && this.llm) {
+      try {
+        // Summaries are charged to the conversation's user and collection
+        summary = await this.summarizeMessages(summary, overflow, {
+          onUsage: usage => this.usageTracker?.record([usage], {
+            userId: conversation.metadata?.userId,
+            collection: conversation.metadata?.collection
+          })
+        });
+        summarizedCount += overflow.length;
+        await this.store.updateConversation(id, { summary, summarizedCount });
+      } catch (error) {
+        console.warn('Conversation summarization failed, truncating history:', error.message);
+      }
+    }
+
+    const history = pending.slice(keepFrom).map(msg => ({ role: msg.role, content: msg.content }));
+    if (summary) {
+      history.unshift({ role: 'system', content: `Summary of the earlier conversation:\n${summary}` });
+    }
+
+    return history;
+  }
+
+  /**
+   * Fold messages into the running conversation summary
+   * @param {string|null} summary - Existing summary
+   * @param {Array<Object>} messages - Messages to fold in
+   * @param {Object} options - Options (onUsage receives the call's token usage)
+   * @returns {Promise<string>} - Updated summary
+   */
+  async summarizeMessages(summary, messages, options = {}) {
+    const transcript = messages.map(msg => `${msg.role}: ${msg.content}`).join('\n\n');
+
+    const output = await this.llm.complete(
+      `Update the summary of a conversation between a user and an assistant with the new messages below.
+Keep names, numbers, decisions and open questions. Be concise (at most 200 words).
+
+${summary ? `Current summary:\n${summary}\n\n` : ''}New messages:
+${transcript}
+
+Updated summary:`,
+      { temperature: 0.2, maxTokens: 400, operation: 'summarize', onUsage: options.onUsage }
+    );
+
+    return output.trim() || summary || '';
+  }
+
+  /**
+   * Record a question/answer turn
+   * @param {string} id - Conversation ID
+   * @param {string} question - User question
+   * @param {Object} result - Result from RAGEngine.query()
+   */
+  async recordTurn(id, question, result) {
+    const now = new Date().toISOString();
+
+    await this.store.appendMessages(id, [
+      { role: 'user', content: question, createdAt: now },
+      {
+        role: 'assistant',
+        content: result.answer,
+        createdAt: now,
+        mode: result.mode,
+        sources: (result.sources || []).map(source => ({
+          id: source.id,
+          score: source.score,
+          source: source.metadata?.source || source.metadata?.fileName
+        })),
+        citations: result.citations || []
+      }
+    ]);
+  }
+
+  async close() {
+    await this.store.close();
+  }
+}
@@ -0,0 +1,55 @@
+import { BaseConversationStore } from './base.js';
+
+/**
+ * In-memory Conversation Store
+ * Conversations are lost when the process exits
+ */
+export class MemoryConversationStore extends BaseConversationStore {
+  constructor(config = {}) {
+    super(config);
+    this.conversations = new Map();
+  }
+
+  async createConversation(conversation) {
+    const stored = { ...conversation, messages: [] };
+    this.conversations.set(stored.id, stored);
+    return structuredClone(stored);
+  }
+
+  async getConversation(id) {
+    const conversation = this.conversations.get(id);
+    return conversation ? structuredClone(conversation) : null;
+  }
+
+  async listConversations(options = {}) {
+    const { limit = 100, offset = 0 } = options;
+
+    return Array.from(this.conversations.values())
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(offset, offset + limit)
+      .map(({ messages, ...conversation }) => ({ ...conversation, messageCount: messages.length }));
+  }
+
+  async appendMessages(id, messages) {
+    const conversation = this.conversations.get(id);
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+
+    conversation.messages.push(...structuredClone(messages));
+    conversation.updatedAt = new Date().toISOString();
+  }
+
+  async updateConversation(id, patch) {
+    const conversation = this.conversations.get(id);
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+
+    Object.assign(conversation, structuredClone(patch), { updatedAt: new Date().toISOString() });
+  }
+
+  async deleteConversation(id) {
+    return this.conversations.delete(id);
+  }
+}
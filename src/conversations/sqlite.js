@@ -0,0 +1,174 @@
+import { BaseConversationStore } from './base.js';
+
+/**
+ * SQLite Conversation Store
+ * Persists conversations and messages in a SQLite database file
+ */
+export class SQLiteConversationStore extends BaseConversationStore {
+  constructor(config = {}) {
+    super(config);
+    this.dbPath = config.dbPath || config.path || './data/conversations.sqlite';
+    this.db = null;
+  }
+
+  async initialize() {
+    try {
+      const Database = (await import('better-sqlite3')).default;
+      this.db = new Database(this.dbPath);
+
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS conversations (
+          id TEXT PRIMARY KEY,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          metadata TEXT,
+          summary TEXT,
+          summarized_count INTEGER DEFAULT 0
+        )
+      `);
+
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS conversation_messages (
+          seq INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+          role TEXT NOT NULL,
+          content TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          extra TEXT
+        )
+      `);
+
+      this.db.exec(`
+        CREATE INDEX IF NOT EXISTS conversation_messages_conversation_idx
+        ON conversation_messages (conversation_id, seq)
+      `);
+
+      await super.initialize();
+    } catch (error) {
+      if (error.code === 'ERR_MODULE_NOT_FOUND') {
+        throw new Error('better-sqlite3 is required for the SQLite conversation store. Install it with: npm install better-sqlite3');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a conversations row to a conversation object
+   */
+  rowToConversation(row) {
+    return {
+      id: row.id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      metadata: row.metadata ? JSON.parse(row.metadata) : {},
+      summary: row.summary || null,
+      summarizedCount: row.summarized_count || 0
+    };
+  }
+
+  async createConversation(conversation) {
+    this.db.prepare(`
+      INSERT INTO conversations (id, created_at, updated_at, metadata, summary, summarized_count)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      conversation.id,
+      conversation.createdAt,
+      conversation.updatedAt,
+      JSON.stringify(conversation.metadata || {}),
+      conversation.summary || null,
+      conversation.summarizedCount || 0
+    );
+
+    return { ...conversation, messages: [] };
+  }
+
+  async getConversation(id) {
+    const row = this.db.prepare('SELECT * FROM conversations WHERE id = ?').get(id);
+    if (!row) return null;
+
+    const messages = this.db.prepare(`
+      SELECT role, content, created_at, extra FROM conversation_messages
+      WHERE conversation_id = ?
+      ORDER BY seq
+    `).all(id).map(msg => ({
+      role: msg.role,
+      content: msg.content,
+      createdAt: msg.created_at,
+      ...(msg.extra ? JSON.parse(msg.extra) : {})
+    }));
+
+    return { ...this.rowToConversation(row), messages };
+  }
+
+  async listConversations(options = {}) {
+    const { limit = 100, offset = 0 } = options;
+
+    return this.db.prepare(`
+      SELECT c.*, (SELECT COUNT(*) FROM conversation_messages m WHERE m.conversation_id = c.id) AS message_count
+      FROM conversations c
+      ORDER BY c.updated_at DESC
+      LIMIT ? OFFSET ?
+    `).all(limit, offset).map(row => ({
+      ...this.rowToConversation(row),
+      messageCount: row.message_count
+    }));
+  }
+
+  async appendMessages(id, messages) {
+    const exists = this.db.prepare('SELECT 1 FROM conversations WHERE id = ?').get(id);
+    if (!exists) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+
+    const insert = this.db.prepare(`
+      INSERT INTO conversation_messages (conversation_id, role, content, created_at, extra)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const touch = this.db.prepare('UPDATE conversations SET updated_at = ? WHERE id = ?');
+
+    this.db.transaction(() => {
+      for (const { role, content, createdAt, ...extra } of messages) {
+        insert.run(id, role, content, createdAt, Object.keys(extra).length > 0 ? JSON.stringify(extra) : null);
+      }
+      touch.run(new Date().toISOString(), id);
+    })();
+  }
+
+  async updateConversation(id, patch) {
+    const result = this.db.prepare(`
+      UPDATE conversations SET
+        metadata = COALESCE(?, metadata),
+        summary = COALESCE(?, summary),
+        summarized_count = COALESCE(?, summarized_count),
+        updated_at = ?
+      WHERE id = ?
+    `).run(
+      patch.metadata !== undefined ? JSON.stringify(patch.metadata) : null,
+      patch.summary ?? null,
+      patch.summarizedCount ?? null,
+      new Date().toISOString(),
+      id
+    );
+
+    if (result.changes === 0) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+  }
+
+  async deleteConversation(id) {
+    const result = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM conversation_messages WHERE conversation_id = ?').run(id);
+      return this.db.prepare('DELETE FROM conversations WHERE id = ?').run(id);
+    })();
+
+    return result.changes > 0;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    await super.close();
+  }
+}
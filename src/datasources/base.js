@@ -28,9 +28,11 @@ export class BaseDataSource {
    * Search documents by query (text-based)
    * @param {string} query - Search query
    * @param {number} limit - Maximum number of results
+   * @param {Object} options - Search options
+   * @param {Object} options.filter - Metadata filter (see rag/filters.js)
    * @returns {Promise<Array<{id: string, content: string, metadata: Object, score: number}>>}
    */
-  async search(query, limit = 5) {
+  async search(query, limit = 5, options = {}) {
     throw new Error('search() must be implemented by subclass');
   }
 
@@ -43,6 +45,97 @@ export class BaseDataSource {
     throw new Error('addDocument() must be implemented by subclass');
   }
 
+  /**
+   * Get a single document by ID
+   * @param {string} id - Document ID
+   * @returns {Promise<{id: string, content: string, metadata: Object}|null>} - Document, or null if not found
+   */
+  async getDocument(id) {
+    const documents = await this.getDocuments();
+    return documents.find(doc => doc.id === id) || null;
+  }
+
+  /**
+   * Get several documents by ID
+   * Data sources with a remote store override this to fetch them in one request
+   * @param {Array<string>} ids - Document IDs
+   * @returns {Promise<Array<Object|null>>} - Documents in the order of ids, null where not found
+   */
+  async getDocumentsByIds(ids) {
+    return Promise.all(ids.map(id => this.getDocument(id)));
+  }
+
+  /**
+   * Look up documents held in this.documents through an ID -> position map
+   * The map is rebuilt (at most once per call) when a lookup misses or finds another document at
+   * the stored position, so subclasses can change this.documents without keeping it in sync
+   * @param {Array<string>} ids - Document IDs
+   * @returns {Array<Object|null>} - Documents in the order of ids, null where not found
+   */
+  findLoadedDocuments(ids) {
+    let rebuilt = false;
+
+    return ids.map(id => {
+      let position = this.documentPositions?.get(id);
+      if (this.documents[position]?.id !== id && !rebuilt) {
+        this.documentPositions = new Map();
+        this.documents.forEach((doc, i) => {
+          if (!this.documentPositions.has(doc.id)) this.documentPositions.set(doc.id, i);
+        });
+        rebuilt = true;
+        position = this.documentPositions.get(id);
+      }
+      return this.documents[position]?.id === id ? this.documents[position] : null;
+    });
+  }
+
+  /**
+   * Update a document's content and/or metadata
+   * Metadata is merged into the existing metadata; keys set to null are removed
+   * @param {string} id - Document ID
+   * @param {{content: string, metadata: Object}} patch - Fields to change
+   * @returns {Promise<Object|null>} - Updated document, or null if not found
+   * @throws {Error} - With status 400 for a patch this source can't apply, 501 if it doesn't support updates
+   */
+  async updateDocument(id, patch) {
+    const error = new Error(`${this.constructor.name} does not support updating documents`);
+    error.status = 501;
+    throw error;
+  }
+
+  /**
+   * Delete a document
+   * @param {string} id - Document ID
+   * @returns {Promise<boolean>} - True if the document existed
+   */
+  async deleteDocument(id) {
+    throw new Error('deleteDocument() must be implemented by subclass');
+  }
+
+  /**
+   * Apply an update patch to a document
+   * @param {Object} document - Existing document
+   * @param {{content: string, metadata: Object}} patch - Fields to change (null metadata values remove keys)
+   * @returns {Object} - Patched copy of the document
+   */
+  applyPatch(document, patch = {}) {
+    const metadata = { ...(document.metadata || {}) };
+
+    for (const [key, value] of Object.entries(patch.metadata || {})) {
+      if (value === null) {
+        delete metadata[key];
+      } else {
+        metadata[key] = value;
+      }
+    }
+
+    return {
+      ...document,
+      content: patch.content ?? document.content,
+      metadata
+    };
+  }
+
   /**
    * Close the data source connection
    * @returns {Promise<void>}
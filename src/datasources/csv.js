@@ -2,6 +2,7 @@ import { readFile, writeFile } from 'fs/promises';
 import { existsSync } from 'fs';
 import { parse } from 'csv-parse/sync';
 import { BaseDataSource } from './base.js';
+import { matchesFilter } from '../rag/filters.js';
 
 /**
  * CSV Data Source
@@ -67,12 +68,14 @@ export class CSVDataSource extends BaseDataSource {
     return this.documents;
   }
 
-  async search(query, limit = 5) {
+  async search(query, limit = 5, options = {}) {
     // Simple text-based search (will be enhanced by RAG engine with embeddings)
     const queryLower = query.toLowerCase();
     const queryTerms = queryLower.split(/\s+/);
 
-    const scored = this.documents.map(doc => {
+    const candidates = this.documents.filter(doc => matchesFilter(doc.metadata, options.filter));
+
+    const scored = candidates.map(doc => {
       const contentLower = doc.content.toLowerCase();
       
       // Calculate simple relevance score
@@ -121,8 +124,73 @@ export class CSVDataSource extends BaseDataSource {
     return id;
   }
 
+  async getDocument(id) {
+    return this.findLoadedDocuments([id])[0];
+  }
+
+  async getDocumentsByIds(ids) {
+    return this.findLoadedDocuments(ids);
+  }
+
+  async updateDocument(id, patch = {}) {
+    const index = this.documents.findIndex(doc => doc.id === id);
+    if (index === -1) return null;
+
+    if (patch.content !== undefined && !this.contentColumn) {
+      const error = new Error('Content of CSV documents without a contentColumn is derived from their columns; update metadata instead');
+      error.status = 400;
+      throw error;
+    }
+
+    const existing = this.documents[index];
+    const updated = this.applyPatch(existing, patch);
+
+    // The ID column and row bookkeeping can't be patched away
+    updated.metadata.source = this.filePath;
+    updated.metadata.rowIndex = existing.metadata.rowIndex;
+    if (this.idColumn) {
+      updated.metadata[this.idColumn] = existing.metadata[this.idColumn] ?? id;
+    }
+
+    // Keep the content column and the content in sync
+    if (patch.content !== undefined) {
+      updated.metadata[this.contentColumn] = updated.content;
+    } else if (this.contentColumn && updated.metadata[this.contentColumn] !== undefined) {
+      updated.content = updated.metadata[this.contentColumn];
+    } else if (!this.contentColumn) {
+      updated.content = Object.entries(updated.metadata)
+        .filter(([key]) => key !== 'source' && key !== 'rowIndex')
+        .map(([key, value]) => `${key}: ${value}`)
+        .join('\n');
+    }
+
+    this.documents[index] = updated;
+
+    if (this.config.autoPersist) {
+      await this.persistToCSV();
+    }
+
+    return updated;
+  }
+
+  async deleteDocument(id) {
+    const index = this.documents.findIndex(doc => doc.id === id);
+    if (index === -1) return false;
+
+    this.documents.splice(index, 1);
+
+    if (this.config.autoPersist) {
+      await this.persistToCSV();
+    }
+
+    return true;
+  }
+
   async persistToCSV() {
-    if (!this.documents.length) return;
+    if (!this.documents.length) {
+      await writeFile(this.filePath, '', 'utf-8');
+      return;
+    }
     
     // Get all unique keys from metadata
     const allKeys = new Set();
@@ -141,7 +209,7 @@ export class CSVDataSource extends BaseDataSource {
       const row = headers.map(h => {
         const val = doc.metadata[h] || '';
         // Escape quotes and wrap in quotes if contains delimiter
-        if (String(val).includes(this.delimiter) || String(val).includes('"')) {
+        if (String(val).includes(this.delimiter) || String(val).includes('"') || String(val).includes('\n')) {
           return `"${String(val).replace(/"/g, '""')}"`;
         }
         return val;
@@ -1,4 +1,5 @@
 import { BaseDataSource } from './base.js';
+import { isEmptyFilter, toElasticsearchFilter } from '../rag/filters.js';
 
 /**
  * Elasticsearch Data Source
@@ -153,9 +154,11 @@ export class ElasticsearchDataSource extends BaseDataSource {
    * Search using vector similarity (kNN search)
    * @param {Array<number>} vector - Query vector
    * @param {number} limit - Maximum number of results
+   * @param {Object} options - Search options
+   * @param {Object} options.filter - Metadata filter, applied as a kNN pre-filter
    * @returns {Promise<Array>} - Search results
    */
-  async searchByVector(vector, limit = 5) {
+  async searchByVector(vector, limit = 5, options = {}) {
     try {
       // Calculate num_candidates: limit * multiplier, but cap at maxNumCandidates
       const numCandidates = Math.min(
@@ -163,15 +166,21 @@ export class ElasticsearchDataSource extends BaseDataSource {
         this.maxNumCandidates
       );
       
+      const knn = {
+        field: 'embedding',
+        query_vector: vector,
+        k: limit,
+        num_candidates: numCandidates
+      };
+
+      if (!isEmptyFilter(options.filter)) {
+        knn.filter = toElasticsearchFilter(options.filter);
+      }
+
       const response = await this.client.search({
         index: this.indexName,
         body: {
-          knn: {
-            field: 'embedding',
-            query_vector: vector,
-            k: limit,
-            num_candidates: numCandidates
-          },
+          knn,
           _source: {
             includes: [this.contentField, 'metadata', '*']
           }
@@ -195,14 +204,16 @@ export class ElasticsearchDataSource extends BaseDataSource {
    * Text-based search using Elasticsearch full-text search
    * @param {string} query - Search query
    * @param {number} limit - Maximum number of results
+   * @param {Object} options - Search options
+   * @param {Object} options.filter - Metadata filter
    * @returns {Promise<Array>} - Search results
    */
-  async search(query, limit = 5) {
+  async search(query, limit = 5, options = {}) {
     // If embedding function is available, try vector search first
     if (this.embeddingFunction) {
       try {
         const vector = await this.embeddingFunction(query);
-        const vectorResults = await this.searchByVector(vector, limit);
+        const vectorResults = await this.searchByVector(vector, limit, options);
         if (vectorResults.length > 0) {
           return vectorResults;
         }
@@ -213,17 +224,21 @@ export class ElasticsearchDataSource extends BaseDataSource {
 
     // Fallback to text search
     try {
+      const textQuery = {
+        multi_match: {
+          query: query,
+          fields: [this.contentField, `${this.contentField}.keyword`],
+          type: 'best_fields',
+          fuzziness: 'AUTO'
+        }
+      };
+
       const response = await this.client.search({
         index: this.indexName,
         body: {
-          query: {
-            multi_match: {
-              query: query,
-              fields: [this.contentField, `${this.contentField}.keyword`],
-              type: 'best_fields',
-              fuzziness: 'AUTO'
-            }
-          },
+          query: isEmptyFilter(options.filter)
+            ? textQuery
+            : { bool: { must: [textQuery], filter: [toElasticsearchFilter(options.filter)] } },
           size: limit,
           _source: {
             includes: [this.contentField, 'metadata', '*']
@@ -329,6 +344,85 @@ export class ElasticsearchDataSource extends BaseDataSource {
     this.embeddingFunction = fn;
   }
 
+  /**
+   * Fetch a stored document source
+   * @param {string} id - Document ID
+   * @returns {Promise<Object|null>} - Document _source, or null if not found
+   */
+  async fetchSource(id) {
+    try {
+      const response = await this.client.get({ index: this.indexName, id });
+      return response._source;
+    } catch (error) {
+      if (error.meta?.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async getDocument(id) {
+    const source = await this.fetchSource(id);
+    if (!source) return null;
+
+    return {
+      id,
+      content: source[this.contentField] || '',
+      metadata: source.metadata || {}
+    };
+  }
+
+  async getDocumentsByIds(ids) {
+    if (ids.length === 0) return [];
+
+    const response = await this.client.mget({ index: this.indexName, ids });
+    return response.docs.map(doc => (doc.found
+      ? { id: doc._id, content: doc._source[this.contentField] || '', metadata: doc._source.metadata || {} }
+      : null));
+  }
+
+  /**
+   * Update a document
+   * Content changes are re-embedded when an embedding function is set
+   */
+  async updateDocument(id, patch = {}) {
+    const source = await this.fetchSource(id);
+    if (!source) return null;
+
+    const content = source[this.contentField] || '';
+    const updated = this.applyPatch({ id, content, metadata: source.metadata || {} }, patch);
+
+    const body = {
+      ...source,
+      [this.contentField]: updated.content,
+      metadata: updated.metadata
+    };
+
+    if (updated.content !== content) {
+      if (this.embeddingFunction) {
+        body.embedding = await this.embeddingFunction(updated.content);
+      } else {
+        delete body.embedding; // The stored vector no longer matches the content
+      }
+    }
+
+    await this.client.index({ index: this.indexName, id, body });
+    await this.client.indices.refresh({ index: this.indexName });
+
+    return updated;
+  }
+
+  async deleteDocument(id) {
+    try {
+      await this.client.delete({ index: this.indexName, id });
+    } catch (error) {
+      if (error.meta?.statusCode === 404) return false;
+      throw error;
+    }
+
+    await this.client.indices.refresh({ index: this.indexName });
+    this._cachedDocumentCount = Math.max(0, (this._cachedDocumentCount || 0) - 1);
+    return true;
+  }
+
   /**
    * Delete documents by IDs
    * @param {Array<string>} ids - Document IDs to delete
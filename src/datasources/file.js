@@ -1,8 +1,9 @@
 import { readFile, readdir } from 'fs/promises';
 import { existsSync } from 'fs';
-import { extname, join, basename } from 'path';
+import { extname, join, basename, resolve } from 'path';
 import { parse } from 'csv-parse/sync';
 import { BaseDataSource } from './base.js';
+import { matchesFilter } from '../rag/filters.js';
 
 /**
  * File Data Source
@@ -24,6 +25,7 @@ export class FileDataSource extends BaseDataSource {
     this.watcher = null;
     this.onRefresh = config.onRefresh || null; // Callback when files are refreshed
     this._refreshTimeout = null;
+    this._pendingChanges = new Map(); // File path -> latest event, collected while debouncing
   }
 
   async initialize() {
@@ -55,6 +57,25 @@ export class FileDataSource extends BaseDataSource {
     return this.documents;
   }
 
+  /**
+   * Reload the documents of a single file, replacing any previously loaded from it
+   * @param {string} filePath - File path
+   * @param {boolean} removed - True if the file was deleted
+   * @returns {Promise<number>} - Number of documents now loaded from the file
+   */
+  async reloadFile(filePath, removed = false) {
+    const target = resolve(filePath);
+    this.documents = this.documents.filter(doc => resolve(doc.metadata?.source || '') !== target);
+
+    if (removed || !existsSync(filePath)) {
+      return 0;
+    }
+
+    const before = this.documents.length;
+    await this.loadFile(filePath);
+    return this.documents.length - before;
+  }
+
   async loadDirectory(dirPath) {
     const entries = await readdir(dirPath, { withFileTypes: true });
     
@@ -347,11 +368,13 @@ export class FileDataSource extends BaseDataSource {
     return chunks.filter(c => c.length > 0);
   }
 
-  async search(query, limit = 5) {
+  async search(query, limit = 5, options = {}) {
     const queryLower = query.toLowerCase();
     const queryTerms = queryLower.split(/\s+/);
 
-    const scored = this.documents.map(doc => {
+    const candidates = this.documents.filter(doc => matchesFilter(doc.metadata, options.filter));
+
+    const scored = candidates.map(doc => {
       const contentLower = doc.content.toLowerCase();
       let score = 0;
 
@@ -390,6 +413,38 @@ export class FileDataSource extends BaseDataSource {
     return id;
   }
 
+  async getDocument(id) {
+    return this.findLoadedDocuments([id])[0];
+  }
+
+  async getDocumentsByIds(ids) {
+    return this.findLoadedDocuments(ids);
+  }
+
+  /**
+   * Update a loaded document
+   * Changes are in memory only and are replaced when the file is reloaded
+   */
+  async updateDocument(id, patch = {}) {
+    const index = this.documents.findIndex(doc => doc.id === id);
+    if (index === -1) return null;
+
+    this.documents[index] = this.applyPatch(this.documents[index], patch);
+    return this.documents[index];
+  }
+
+  /**
+   * Remove a loaded document
+   * The document comes back if its file is reloaded
+   */
+  async deleteDocument(id) {
+    const index = this.documents.findIndex(doc => doc.id === id);
+    if (index === -1) return false;
+
+    this.documents.splice(index, 1);
+    return true;
+  }
+
   getDocuments() {
     return this.documents;
   }
@@ -449,20 +504,33 @@ export class FileDataSource extends BaseDataSource {
       });
 
       const handleChange = (eventType, filePath) => {
+        this._pendingChanges.set(filePath, eventType);
+
         // Debounce refreshes
         if (this._refreshTimeout) {
           clearTimeout(this._refreshTimeout);
         }
         
         this._refreshTimeout = setTimeout(async () => {
-          console.log(`📁 File ${eventType}: ${basename(filePath)}, refreshing index...`);
+          const changes = Array.from(this._pendingChanges, ([path, type]) => ({ filePath: path, eventType: type }));
+          this._pendingChanges.clear();
+
+          // Only reload the files that changed
           const oldCount = this.documents.length;
-          await this.loadDocuments();
+          for (const change of changes) {
+            console.log(`📁 File ${change.eventType}: ${basename(change.filePath)}, reloading...`);
+            try {
+              await this.reloadFile(change.filePath, change.eventType === 'removed');
+            } catch (error) {
+              console.warn(`Warning: Could not reload ${change.filePath}: ${error.message}`);
+            }
+          }
           const newCount = this.documents.length;
-          console.log(`✅ Index refreshed: ${oldCount} → ${newCount} documents`);
+          console.log(`✅ Files reloaded: ${oldCount} → ${newCount} documents`);
           
           if (this.onRefresh) {
-            this.onRefresh(this.documents.length, eventType, filePath);
+            const { eventType: lastEvent, filePath: lastPath } = changes[changes.length - 1];
+            this.onRefresh(this.documents.length, lastEvent, lastPath, changes);
           }
         }, this.watchDebounce);
       };
@@ -1,4 +1,5 @@
 import { BaseDataSource } from './base.js';
+import { isEmptyFilter, matchesFilter, toPineconeFilter } from '../rag/filters.js';
 
 /**
  * Pinecone Data Source
@@ -58,14 +59,22 @@ export class PineconeDataSource extends BaseDataSource {
    * Note: This requires embeddings to be generated externally
    * @param {Array<number>} vector - Query vector
    * @param {number} limit - Maximum number of results
+   * @param {Object} options - Search options
+   * @param {Object} options.filter - Metadata filter, applied by Pinecone
    * @returns {Promise<Array>} - Search results
    */
-  async searchByVector(vector, limit = 5) {
-    const queryResponse = await this.index.namespace(this.namespace).query({
+  async searchByVector(vector, limit = 5, options = {}) {
+    const request = {
       vector,
       topK: limit,
       includeMetadata: true
-    });
+    };
+
+    if (!isEmptyFilter(options.filter)) {
+      request.filter = toPineconeFilter(options.filter);
+    }
+
+    const queryResponse = await this.index.namespace(this.namespace).query(request);
 
     return queryResponse.matches.map(match => ({
       id: match.id,
@@ -79,13 +88,15 @@ export class PineconeDataSource extends BaseDataSource {
    * Text-based search (requires embedding function to be set)
    * @param {string} query - Search query
    * @param {number} limit - Maximum number of results
+   * @param {Object} options - Search options
+   * @param {Object} options.filter - Metadata filter
    * @returns {Promise<Array>} - Search results
    */
-  async search(query, limit = 5) {
+  async search(query, limit = 5, options = {}) {
     // If embedding function is available, use it
     if (this.embeddingFunction) {
       const vector = await this.embeddingFunction(query);
-      return this.searchByVector(vector, limit);
+      return this.searchByVector(vector, limit, options);
     }
 
     // Fallback: search local cache
@@ -93,7 +104,7 @@ export class PineconeDataSource extends BaseDataSource {
     const results = [];
     
     for (const [id, doc] of this.documents) {
-      if (doc.content.toLowerCase().includes(queryLower)) {
+      if (doc.content.toLowerCase().includes(queryLower) && matchesFilter(doc.metadata, options.filter)) {
         results.push({ ...doc, id, score: 1 });
       }
     }
@@ -149,6 +160,80 @@ export class PineconeDataSource extends BaseDataSource {
     this.embeddingFunction = fn;
   }
 
+  /**
+   * Fetch a stored vector record
+   * @param {string} id - Vector ID
+   * @returns {Promise<Object|null>} - Record with values and metadata, or null if not found
+   */
+  async fetchRecord(id) {
+    const response = await this.index.namespace(this.namespace).fetch([id]);
+    return response.records?.[id] || null;
+  }
+
+  async getDocument(id) {
+    if (this.documents.has(id)) {
+      return { id, ...this.documents.get(id) };
+    }
+
+    const record = await this.fetchRecord(id);
+    if (!record) return null;
+
+    const { content = '', ...metadata } = record.metadata || {};
+    return { id, content, metadata };
+  }
+
+  async getDocumentsByIds(ids) {
+    // Documents loaded by this process are served locally; the rest are fetched in one request
+    const missing = ids.filter(id => !this.documents.has(id));
+    const records = missing.length > 0
+      ? (await this.index.namespace(this.namespace).fetch(missing)).records || {}
+      : {};
+
+    return ids.map(id => {
+      if (this.documents.has(id)) {
+        return { id, ...this.documents.get(id) };
+      }
+      if (!records[id]) return null;
+
+      const { content = '', ...metadata } = records[id].metadata || {};
+      return { id, content, metadata };
+    });
+  }
+
+  /**
+   * Update a document
+   * Content changes are re-embedded with the embedding function; the record is re-upserted
+   * so removed metadata keys are dropped
+   */
+  async updateDocument(id, patch = {}) {
+    const record = await this.fetchRecord(id);
+    if (!record) return null;
+
+    const { content = '', ...metadata } = record.metadata || {};
+    const updated = this.applyPatch({ id, content, metadata }, patch);
+
+    let values = record.values;
+    if (updated.content !== content) {
+      if (!this.embeddingFunction) {
+        const error = new Error('Embedding function must be set to update document content. Use setEmbeddingFunction()');
+        error.status = 501;
+        throw error;
+      }
+      values = await this.embeddingFunction(updated.content);
+    }
+
+    await this.addDocumentWithVector(updated, values);
+    return updated;
+  }
+
+  async deleteDocument(id) {
+    const record = await this.fetchRecord(id);
+    if (!record && !this.documents.has(id)) return false;
+
+    await this.deleteDocuments([id]);
+    return true;
+  }
+
   /**
    * Delete vectors by IDs
    * @param {Array<string>} ids - Vector IDs to delete
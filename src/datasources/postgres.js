@@ -1,4 +1,5 @@
 import { BaseDataSource } from './base.js';
+import { isEmptyFilter, toSQLFilter } from '../rag/filters.js';
 
 /**
  * PostgreSQL Data Source
@@ -73,7 +74,12 @@ export class PostgresDataSource extends BaseDataSource {
     return this.documents;
   }
 
-  async search(query, limit = 5) {
+  async search(query, limit = 5, options = {}) {
+    // $1 is the query and $2 the limit, so filter parameters start at $3
+    const filter = isEmptyFilter(options.filter)
+      ? { clause: 'TRUE', params: [] }
+      : toSQLFilter(options.filter, { dialect: 'postgres', paramOffset: 2 });
+
     // Use PostgreSQL full-text search with ranking
     const result = await this.pool.query(`
       SELECT 
@@ -83,9 +89,10 @@ export class PostgresDataSource extends BaseDataSource {
         ts_rank(to_tsvector('english', ${this.contentColumn}), plainto_tsquery('english', $1)) as score
       FROM ${this.tableName}
       WHERE to_tsvector('english', ${this.contentColumn}) @@ plainto_tsquery('english', $1)
+        AND ${filter.clause}
       ORDER BY score DESC
       LIMIT $2
-    `, [query, limit]);
+    `, [query, limit, ...filter.params]);
 
     if (result.rows.length === 0) {
       // Fallback to ILIKE search
@@ -96,8 +103,9 @@ export class PostgresDataSource extends BaseDataSource {
           metadata
         FROM ${this.tableName}
         WHERE ${this.contentColumn} ILIKE $1
+          AND ${filter.clause}
         LIMIT $2
-      `, [`%${query}%`, limit]);
+      `, [`%${query}%`, limit, ...filter.params]);
 
       return fallbackResult.rows.map((row, index) => ({
         id: String(row.id),
@@ -135,6 +143,61 @@ export class PostgresDataSource extends BaseDataSource {
     return id;
   }
 
+  async getDocument(id) {
+    return (await this.getDocumentsByIds([id]))[0];
+  }
+
+  /**
+   * Get several documents by ID in one query
+   */
+  async getDocumentsByIds(ids) {
+    if (ids.length === 0) return [];
+
+    const result = await this.pool.query(`
+      SELECT ${this.idColumn} as id, ${this.contentColumn} as content, metadata FROM ${this.tableName}
+      WHERE ${this.idColumn} = ANY($1)
+    `, [ids.map(String)]);
+
+    const byId = new Map(result.rows.map(row => [String(row.id), {
+      id: String(row.id),
+      content: row.content,
+      metadata: row.metadata || {}
+    }]));
+    return ids.map(id => byId.get(String(id)) || null);
+  }
+
+  async updateDocument(id, patch = {}) {
+    const existing = await this.pool.query(`
+      SELECT ${this.contentColumn} as content, metadata FROM ${this.tableName} WHERE ${this.idColumn} = $1
+    `, [id]);
+    if (existing.rows.length === 0) return null;
+
+    const updated = this.applyPatch({
+      id: String(id),
+      content: existing.rows[0].content,
+      metadata: existing.rows[0].metadata || {}
+    }, patch);
+
+    await this.pool.query(`
+      UPDATE ${this.tableName} SET ${this.contentColumn} = $2, metadata = $3 WHERE ${this.idColumn} = $1
+    `, [id, updated.content, JSON.stringify(updated.metadata)]);
+
+    const index = this.documents.findIndex(doc => doc.id === updated.id);
+    if (index !== -1) {
+      this.documents[index] = updated;
+    } else {
+      this.documents.push(updated);
+    }
+
+    return updated;
+  }
+
+  async deleteDocument(id) {
+    const result = await this.pool.query(`DELETE FROM ${this.tableName} WHERE ${this.idColumn} = $1`, [id]);
+    this.documents = this.documents.filter(doc => doc.id !== String(id));
+    return result.rowCount > 0;
+  }
+
   async close() {
     if (this.pool) {
       await this.pool.end();
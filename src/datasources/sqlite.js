@@ -1,4 +1,5 @@
 import { BaseDataSource } from './base.js';
+import { isEmptyFilter, toSQLFilter } from '../rag/filters.js';
 
 /**
  * SQLite Data Source
@@ -62,7 +63,11 @@ export class SQLiteDataSource extends BaseDataSource {
     return this.documents;
   }
 
-  async search(query, limit = 5) {
+  async search(query, limit = 5, options = {}) {
+    const filter = isEmptyFilter(options.filter)
+      ? { clause: '1 = 1', params: [] }
+      : toSQLFilter(options.filter, { dialect: 'sqlite', column: 'd.metadata' });
+
     // Use FTS5 for full-text search
     try {
       const stmt = this.db.prepare(`
@@ -73,12 +78,12 @@ export class SQLiteDataSource extends BaseDataSource {
           bm25(${this.tableName}_fts) as score
         FROM ${this.tableName}_fts fts
         JOIN ${this.tableName} d ON fts.rowid = d.rowid
-        WHERE ${this.tableName}_fts MATCH ?
+        WHERE ${this.tableName}_fts MATCH ? AND ${filter.clause}
         ORDER BY score
         LIMIT ?
       `);
       
-      const rows = stmt.all(query, limit);
+      const rows = stmt.all(query, ...filter.params, limit);
       
       return rows.map(row => ({
         id: String(row.id),
@@ -93,12 +98,12 @@ export class SQLiteDataSource extends BaseDataSource {
           ${this.idColumn} as id,
           ${this.contentColumn} as content,
           metadata
-        FROM ${this.tableName}
-        WHERE ${this.contentColumn} LIKE ?
+        FROM ${this.tableName} d
+        WHERE ${this.contentColumn} LIKE ? AND ${filter.clause}
         LIMIT ?
       `);
       
-      const rows = stmt.all(`%${query}%`, limit);
+      const rows = stmt.all(`%${query}%`, ...filter.params, limit);
       
       return rows.map((row, index) => ({
         id: String(row.id),
@@ -140,6 +145,81 @@ export class SQLiteDataSource extends BaseDataSource {
     return id;
   }
 
+  async getDocument(id) {
+    return (await this.getDocumentsByIds([id]))[0];
+  }
+
+  /**
+   * Get several documents by ID in one query
+   */
+  async getDocumentsByIds(ids) {
+    if (ids.length === 0) return [];
+
+    const rows = this.db.prepare(`
+      SELECT ${this.idColumn} as id, ${this.contentColumn} as content, metadata FROM ${this.tableName}
+      WHERE ${this.idColumn} IN (${ids.map(() => '?').join(', ')})
+    `).all(...ids);
+
+    const byId = new Map(rows.map(row => [String(row.id), {
+      id: String(row.id),
+      content: row.content,
+      metadata: row.metadata ? JSON.parse(row.metadata) : {}
+    }]));
+    return ids.map(id => byId.get(String(id)) || null);
+  }
+
+  async updateDocument(id, patch = {}) {
+    const row = this.db.prepare(`
+      SELECT rowid, ${this.contentColumn} as content, metadata FROM ${this.tableName} WHERE ${this.idColumn} = ?
+    `).get(id);
+    if (!row) return null;
+
+    const updated = this.applyPatch({
+      id: String(id),
+      content: row.content,
+      metadata: row.metadata ? JSON.parse(row.metadata) : {}
+    }, patch);
+
+    // External-content FTS tables must be told the old content to remove it
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO ${this.tableName}_fts(${this.tableName}_fts, rowid, ${this.contentColumn}) VALUES ('delete', ?, ?)
+      `).run(row.rowid, row.content);
+      this.db.prepare(`
+        UPDATE ${this.tableName} SET ${this.contentColumn} = ?, metadata = ? WHERE ${this.idColumn} = ?
+      `).run(updated.content, JSON.stringify(updated.metadata), id);
+      this.db.prepare(`
+        INSERT INTO ${this.tableName}_fts(rowid, ${this.contentColumn}) VALUES (?, ?)
+      `).run(row.rowid, updated.content);
+    })();
+
+    const index = this.documents.findIndex(doc => doc.id === updated.id);
+    if (index !== -1) {
+      this.documents[index] = updated;
+    } else {
+      this.documents.push(updated);
+    }
+
+    return updated;
+  }
+
+  async deleteDocument(id) {
+    const row = this.db.prepare(`
+      SELECT rowid, ${this.contentColumn} as content FROM ${this.tableName} WHERE ${this.idColumn} = ?
+    `).get(id);
+    if (!row) return false;
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO ${this.tableName}_fts(${this.tableName}_fts, rowid, ${this.contentColumn}) VALUES ('delete', ?, ?)
+      `).run(row.rowid, row.content);
+      this.db.prepare(`DELETE FROM ${this.tableName} WHERE ${this.idColumn} = ?`).run(id);
+    })();
+
+    this.documents = this.documents.filter(doc => doc.id !== String(id));
+    return true;
+  }
+
   async close() {
     if (this.db) {
       this.db.close();
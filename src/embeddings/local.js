@@ -28,6 +28,8 @@ export class LocalEmbeddings {
    */
   async buildVocabulary(documents) {
     const docFreq = new Map();
+    this.vocabulary = new Map();
+    this.idf = new Map();
     this.documentCount = documents.length;
 
     // Tokenize all documents and count document frequencies
@@ -164,11 +166,16 @@ export class LocalEmbeddings {
   /**
    * Find most similar documents
    * @param {Array<number>} queryVector - Query embedding
-   * @param {Array<{id: string, vector: Array<number>}>} documents - Documents with embeddings
+   * @param {Array<{id: string, vector: Array<number>}>|HNSWIndex} documents - Documents with embeddings, or a vector index to search approximately
    * @param {number} topK - Number of results
+   * @param {Object} options - Index search options (ef, filter, exact; see rag/hnsw.js)
    * @returns {Array<{id: string, score: number}>} - Top similar documents
    */
-  findSimilar(queryVector, documents, topK = 5) {
+  findSimilar(queryVector, documents, topK = 5, options = {}) {
+    if (typeof documents.search === 'function') {
+      return documents.search(queryVector, topK, options);
+    }
+
     const scores = documents.map(doc => ({
       id: doc.id,
       score: this.cosineSimilarity(queryVector, doc.vector)
@@ -179,6 +186,31 @@ export class LocalEmbeddings {
       .slice(0, topK);
   }
 
+  /**
+   * Export vocabulary and IDF tables so they can be persisted
+   * @returns {Object} - Serializable embeddings state
+   */
+  exportState() {
+    return {
+      dimension: this.dimension,
+      documentCount: this.documentCount,
+      vocabulary: Array.from(this.vocabulary.entries()),
+      idf: Array.from(this.idf.entries())
+    };
+  }
+
+  /**
+   * Restore vocabulary and IDF tables from a previously exported state
+   * @param {Object} state - State produced by exportState()
+   */
+  importState(state) {
+    this.dimension = state.dimension || this.dimension;
+    this.documentCount = state.documentCount || 0;
+    this.vocabulary = new Map(state.vocabulary || []);
+    this.idf = new Map(state.idf || []);
+    this.initialized = true;
+  }
+
   getDimension() {
     return this.dimension;
   }
@@ -10,9 +10,35 @@ import { SQLiteDataSource } from './datasources/sqlite.js';
 import { PostgresDataSource } from './datasources/postgres.js';
 import { PineconeDataSource } from './datasources/pinecone.js';
 import { ElasticsearchDataSource } from './datasources/elasticsearch.js';
+import { BaseLLM } from './llm/base.js';
 import { GroqLLM } from './llm/groq.js';
+import { OpenAICompatibleLLM } from './llm/openai.js';
+import { OllamaLLM } from './llm/ollama.js';
+import { ResilientLLM } from './llm/resilient.js';
 import { LocalEmbeddings } from './embeddings/local.js';
 import { Guardrails } from './guardrails/policies.js';
+import { BaseReranker } from './rerankers/base.js';
+import { LexicalReranker } from './rerankers/lexical.js';
+import { LLMReranker } from './rerankers/llm.js';
+import { QueryTransformer } from './rag/query-transformer.js';
+import { ContextPacker } from './rag/context-packer.js';
+import { HNSWIndex } from './rag/hnsw.js';
+import { VectorStore } from './rag/vector-store.js';
+import { evaluate, compareReports, parseGoldenSet } from './rag/evaluation.js';
+import { validateSchema, validateValue } from './rag/structured-output.js';
+import { GuardrailsPlugin } from './plugins/guardrails.js';
+import { RoutingPlugin } from './plugins/routing.js';
+import { PromptPlugin } from './plugins/prompt.js';
+import { GroundednessPlugin } from './plugins/groundedness.js';
+import { GroundednessChecker } from './rag/groundedness.js';
+import { AnswerCache } from './cache/answer-cache.js';
+import { UsageTracker } from './usage/tracker.js';
+import { ConversationManager } from './conversations/manager.js';
+import { BaseConversationStore } from './conversations/base.js';
+import { MemoryConversationStore } from './conversations/memory.js';
+import { JSONConversationStore } from './conversations/json.js';
+import { SQLiteConversationStore } from './conversations/sqlite.js';
+import { CollectionManager } from './collections/manager.js';
 import { createAPIServer } from './api/server.js';
 
 export {
@@ -23,28 +49,88 @@ export {
   PostgresDataSource,
   PineconeDataSource,
   ElasticsearchDataSource,
+  BaseLLM,
   GroqLLM,
+  OpenAICompatibleLLM,
+  OllamaLLM,
+  ResilientLLM,
   LocalEmbeddings,
   Guardrails,
+  BaseReranker,
+  LexicalReranker,
+  LLMReranker,
+  QueryTransformer,
+  ContextPacker,
+  HNSWIndex,
+  VectorStore,
+  evaluate,
+  compareReports,
+  parseGoldenSet,
+  validateSchema,
+  validateValue,
+  GuardrailsPlugin,
+  RoutingPlugin,
+  PromptPlugin,
+  GroundednessPlugin,
+  GroundednessChecker,
+  AnswerCache,
+  UsageTracker,
+  ConversationManager,
+  BaseConversationStore,
+  MemoryConversationStore,
+  JSONConversationStore,
+  SQLiteConversationStore,
+  CollectionManager,
   createAPIServer
 };
 
 /**
- * Quick setup function to create a RAG API with minimal configuration
- * @param {Object} config - Configuration object
- * @returns {Object} - Express app and RAG engine
+ * Create and initialize a RAG engine with its LLM, embeddings and optional components
+ * Used by createRAGAPI for the default engine and for each collection
+ * @param {Object} config - Engine configuration (see createRAGAPI)
+ * @param {Object} config.llm - LLM instance, or { provider, ...options } for createLLM (default: Groq with groqApiKey)
+ * @param {Object|boolean} config.llmRetry - Retry options for LLM calls ({ maxRetries, baseDelay, maxDelay, timeout }), false to disable
+ * @param {Array} config.llmFallbacks - LLMs tried in order when the primary is rate-limited or down: model names
+ *   on the same provider, { provider, ...options } configs or LLM instances
+ * @param {Object} config.dataSource - Data source instance, or { type, ...options } for createDataSource
+ * @param {Object} config.guardrails - Guardrails instance or Guardrails options
+ * @param {Object} config.prompts - System prompts: { hybrid, direct }
+ * @param {UsageTracker|Object} config.usage - Usage tracker, or UsageTracker options ({ pricing, retention, path })
+ * @param {string} config.collection - Collection name usage is recorded under
+ * @returns {Promise<RAGEngine>} - Initialized RAG engine
  */
-export async function createRAGAPI(config) {
+export async function createRAGEngine(config) {
   const {
     groqApiKey,
+    llm: llmOption = null,
+    llmRetry = {},
+    llmFallbacks = [],
     dataSource,
-    port = 3000,
     topK = 5,
-    model = 'llama-3.3-70b-versatile',
-    guardrails = null
+    model = null,
+    guardrails = null,
+    indexPath = null,
+    retrievalStrategy = 'vector',
+    reranker = null,
+    queryExpansion = null,
+    maxContextTokens = null,
+    expandContext = null,
+    expandWindow = 1,
+    ann = null,
+    vectorStore = null,
+    answerCache = null,
+    groundedness = null,
+    structuredRetries = 2,
+    prompts = null,
+    usage = null,
+    collection = 'default',
+    plugins = []
   } = config;
 
-  if (!groqApiKey) {
+  // LLM instance, { provider, ...options }, or Groq by default
+  const llmConfig = llmOption || { provider: 'groq' };
+  const provider = llmConfig.provider || 'groq';
+  if (typeof llmConfig.generateResponse !== 'function' && provider === 'groq' && !(llmConfig.apiKey || groqApiKey)) {
     throw new Error('Groq API key is required');
   }
 
@@ -52,28 +138,189 @@ export async function createRAGAPI(config) {
     throw new Error('Data source is required');
   }
 
-  // Initialize LLM
-  const llm = new GroqLLM({ apiKey: groqApiKey, model });
+  if (typeof dataSource.initialize !== 'function' && !dataSource.type) {
+    throw new Error('Data source type is required');
+  }
+
+  // Initialize data source (instance or { type, ...options })
+  const dataSourceInstance = typeof dataSource.initialize === 'function'
+    ? dataSource
+    : createDataSource(dataSource.type, dataSource);
+
+  // Initialize guardrails (instance or options)
+  const guardrailsInstance = guardrails && !(guardrails instanceof Guardrails)
+    ? new Guardrails(guardrails)
+    : guardrails;
+
+  // Initialize LLM, wrapped with retries and fallbacks unless disabled
+  const resilient = Boolean(llmRetry) || llmFallbacks.length > 0;
+  const primaryConfig = {
+    ...(provider === 'groq' && { apiKey: groqApiKey }),
+    ...(resilient && { maxRetries: 0 }), // ResilientLLM retries instead of the provider SDK
+    ...(model && { model }),
+    ...llmConfig
+  };
+  const primaryLLM = typeof llmConfig.generateResponse === 'function'
+    ? llmConfig
+    : createLLM(provider, primaryConfig);
+
+  const llm = resilient && typeof primaryLLM.chat === 'function' && !(primaryLLM instanceof ResilientLLM)
+    ? new ResilientLLM({
+      ...(llmRetry || { maxRetries: 0 }),
+      llm: primaryLLM,
+      fallbacks: llmFallbacks.map(fallback => createFallbackLLM(fallback, primaryConfig, groqApiKey))
+    })
+    : primaryLLM;
 
   // Initialize embeddings
   const embeddings = new LocalEmbeddings();
 
+  // Initialize reranker ('lexical', 'llm' or a reranker instance)
+  const rerankerInstance = typeof reranker === 'string'
+    ? createReranker(reranker, { llm })
+    : reranker;
+
+  // Initialize query rewriting/expansion (true or QueryTransformer options)
+  const queryTransformer = queryExpansion
+    ? new QueryTransformer({ llm, ...(typeof queryExpansion === 'object' ? queryExpansion : {}) })
+    : null;
+
+  // Initialize vector storage (VectorStore options: quantization 'int8', rescorePath, rescoreFactor)
+  const vectorStoreInstance = new VectorStore(vectorStore || {});
+
+  // Initialize the ANN vector index (true or HNSWIndex options: M, efConstruction, efSearch, exactThreshold)
+  const vectorIndex = ann
+    ? new HNSWIndex(typeof ann === 'object' ? ann : {})
+    : null;
+
+  // Initialize the answer cache (true or AnswerCache options: path, semantic, maxDistance, maxEntries, ttl)
+  const answerCacheInstance = answerCache
+    ? new AnswerCache(typeof answerCache === 'object' ? answerCache : {})
+    : null;
+
+  // Initialize groundedness scoring (true or GroundednessChecker options: threshold, judge, action, modes, ...)
+  const groundednessChecker = groundedness
+    ? new GroundednessChecker({ llm, ...(typeof groundedness === 'object' ? groundedness : {}) })
+    : null;
+
+  // Initialize usage accounting (UsageTracker instance, shared between collections, or options)
+  let usageTracker = usage instanceof UsageTracker ? usage : null;
+  if (usage && !usageTracker) {
+    usageTracker = new UsageTracker(usage);
+    await usageTracker.initialize();
+  }
+
   // Create RAG engine
   const ragEngine = new RAGEngine({
-    dataSource,
+    dataSource: dataSourceInstance,
     llm,
     embeddings,
     topK,
-    guardrails
+    guardrails: guardrailsInstance,
+    indexPath,
+    retrievalStrategy,
+    reranker: rerankerInstance,
+    queryTransformer,
+    maxContextTokens,
+    expandContext,
+    expandWindow,
+    vectorStore: vectorStoreInstance,
+    vectorIndex,
+    answerCache: answerCacheInstance,
+    groundedness: groundednessChecker,
+    structuredRetries,
+    usageTracker,
+    collection
   });
 
+  // Replace the built-in prompt plugin when custom prompts are given
+  if (prompts) {
+    ragEngine.use(new PromptPlugin({ hybridPrompt: prompts.hybrid, directPrompt: prompts.direct }));
+  }
+
+  // Register custom query lifecycle plugins after the built-in ones
+  plugins.forEach(plugin => ragEngine.use(plugin));
+
   // Initialize the engine
   await ragEngine.initialize();
 
+  return ragEngine;
+}
+
+/**
+ * Quick setup function to create a RAG API with minimal configuration
+ * @param {Object} config - Configuration object (engine options, see createRAGEngine)
+ * @param {Object} config.conversations - Conversation options: { store, path, maxHistoryTokens, historyShare, summarize }
+ * @param {Object} config.collections - Additional collections by name, each an engine configuration
+ *   ({ dataSource, topK, guardrails, prompts, description, ... }); groqApiKey, llm, llmRetry, llmFallbacks and model are inherited
+ * @param {string} config.defaultCollection - Collection name of the main engine
+ * @param {string} config.adminToken - Bearer token required to create or drop collections (admin routes are off without it)
+ * @param {Object} config.dataSources - Data source configurations by name that collections created through
+ *   POST /collections can use ({ "legal": { type: 'file', path: './data/legal' } })
+ * @param {Object|boolean} config.usage - UsageTracker options ({ pricing, retention, path }) shared by all
+ *   collections, or false to disable usage accounting
+ * @returns {Object} - Express app, RAG engine, conversations, collections and usage tracker
+ */
+export async function createRAGAPI(config) {
+  const {
+    port = 3000,
+    conversations = {},
+    collections = {},
+    defaultCollection = 'default',
+    adminToken = null,
+    dataSources = {},
+    usage = {},
+    ...engineConfig
+  } = config;
+
+  // One usage tracker for every collection, so spend can be compared across them
+  let usageTracker = null;
+  if (usage) {
+    usageTracker = usage instanceof UsageTracker ? usage : new UsageTracker(usage);
+    await usageTracker.initialize();
+  }
+
+  const ragEngine = await createRAGEngine({ ...engineConfig, usage: usageTracker, collection: defaultCollection });
+
+  // Every collection gets its own engine; the main engine is served as the default collection
+  const collectionManager = new CollectionManager({
+    createEngine: (collectionConfig, name) => createRAGEngine({
+      groqApiKey: engineConfig.groqApiKey,
+      llm: engineConfig.llm,
+      llmRetry: engineConfig.llmRetry,
+      llmFallbacks: engineConfig.llmFallbacks,
+      model: engineConfig.model,
+      ...collectionConfig,
+      usage: usageTracker,
+      collection: name
+    })
+  });
+  collectionManager.add(defaultCollection, ragEngine, { protected: true });
+
+  for (const [name, collectionConfig] of Object.entries(collections)) {
+    await collectionManager.create(name, collectionConfig);
+  }
+
+  // Initialize conversation sessions ({ store: 'memory' | 'json' | 'sqlite', path, maxHistoryTokens, historyShare, summarize })
+  const { store = 'memory', ...conversationConfig } = conversations;
+  const conversationManager = new ConversationManager({
+    ...conversationConfig,
+    store: typeof store === 'string' ? createConversationStore(store, conversationConfig) : store,
+    llm: ragEngine.llm,
+    usageTracker
+  });
+  await conversationManager.initialize();
+
   // Create API server
-  const app = createAPIServer(ragEngine);
+  const app = createAPIServer(ragEngine, {
+    conversations: conversationManager,
+    collections: collectionManager,
+    usage: usageTracker,
+    adminToken,
+    dataSources
+  });
 
-  return { app, ragEngine, port };
+  return { app, ragEngine, conversations: conversationManager, collections: collectionManager, usage: usageTracker, port };
 }
 
 /**
@@ -105,3 +352,89 @@ export function createDataSource(type, config) {
   }
 }
 
+
+/**
+ * Helper function to create a reranker from type
+ * @param {string} type - Reranker type (lexical, llm)
+ * @param {Object} config - Reranker configuration
+ * @returns {Object} - Reranker instance
+ */
+export function createReranker(type, config = {}) {
+  switch (type.toLowerCase()) {
+    case 'lexical':
+    case 'bm25':
+      return new LexicalReranker(config);
+    case 'llm':
+      return new LLMReranker(config);
+    default:
+      throw new Error(`Unknown reranker type: ${type}`);
+  }
+}
+
+/**
+ * Helper function to create an LLM from a provider name
+ * @param {string} provider - Provider (groq, openai, ollama)
+ * @param {Object} config - LLM configuration ({ model, apiKey, baseURL, ... })
+ * @returns {BaseLLM} - LLM instance
+ */
+export function createLLM(provider, config = {}) {
+  switch (provider.toLowerCase()) {
+    case 'groq':
+      return new GroqLLM(config);
+    case 'openai':
+    case 'openai-compatible':
+    case 'vllm':
+    case 'llamacpp':
+    case 'lmstudio':
+      return new OpenAICompatibleLLM(config);
+    case 'ollama':
+      return new OllamaLLM(config);
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+}
+
+/**
+ * Create a fallback LLM from a model name, a { provider, ...options } config or an instance
+ * Model names and configs without a provider reuse the primary's provider and settings
+ * @param {string|Object} fallback - Fallback entry
+ * @param {Object} primaryConfig - The primary LLM's configuration ({ provider, ... })
+ * @param {string} groqApiKey - Groq API key for Groq fallbacks
+ * @returns {BaseLLM} - LLM instance
+ */
+function createFallbackLLM(fallback, primaryConfig, groqApiKey) {
+  if (typeof fallback === 'string') {
+    fallback = { model: fallback };
+  }
+  if (typeof fallback.generateResponse === 'function') {
+    return fallback;
+  }
+
+  const primaryProvider = primaryConfig.provider || 'groq';
+  const provider = fallback.provider || primaryProvider;
+  const baseConfig = provider === primaryProvider
+    ? primaryConfig
+    : { ...(provider === 'groq' && { apiKey: groqApiKey }), maxRetries: 0 };
+
+  return createLLM(provider, { ...baseConfig, ...fallback });
+}
+
+/**
+ * Helper function to create a conversation store from type
+ * @param {string} type - Store type (memory, json, sqlite)
+ * @param {Object} config - Store configuration ({ path })
+ * @returns {Object} - Conversation store instance
+ */
+export function createConversationStore(type, config = {}) {
+  switch (type.toLowerCase()) {
+    case 'memory':
+      return new MemoryConversationStore(config);
+    case 'json':
+    case 'file':
+      return new JSONConversationStore(config);
+    case 'sqlite':
+      return new SQLiteConversationStore(config);
+    default:
+      throw new Error(`Unknown conversation store type: ${type}`);
+  }
+}
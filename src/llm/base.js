@@ -0,0 +1,211 @@
+/**
+ * Base LLM class
+ * All LLM implementations should extend this class. Subclasses implement chat(), chatStream()
+ * and listModels() for their provider; prompt building and the RAG-facing methods
+ * (generateResponse, generateStreamingResponse, complete) are shared
+ */
+export class BaseLLM {
+  constructor(config = {}) {
+    this.config = config;
+    this.model = config.model || null;
+    this.temperature = config.temperature ?? 0.7;
+    this.maxTokens = config.maxTokens || 2048;
+    this.contextWindow = config.contextWindow || null; // Tokens; sizes the context budget for models ContextPacker doesn't know
+    this.systemPrompt = config.systemPrompt || this.getDefaultSystemPrompt();
+  }
+
+  /**
+   * Provider name reported in getConfig()
+   * @returns {string}
+   */
+  get provider() {
+    return 'base';
+  }
+
+  /**
+   * Initialize the client (check credentials, connect, resolve the model)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    throw new Error('initialize() must be implemented by subclass');
+  }
+
+  /**
+   * Send chat messages and return the reply
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} options - Options (model, temperature, maxTokens, signal to abort the request,
+   *   onUsage called with the token usage via reportUsage(), operation naming the call in that report,
+   *   responseFormat { type: 'json', schema } to ask for JSON where the provider supports it)
+   * @returns {Promise<string>} - Reply text
+   */
+  async chat(messages, options = {}) {
+    throw new Error('chat() must be implemented by subclass');
+  }
+
+  /**
+   * Send chat messages and stream the reply
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} options - Options (see chat())
+   * @returns {AsyncGenerator<string>} - Stream of reply chunks
+   */
+  async *chatStream(messages, options = {}) {
+    throw new Error('chatStream() must be implemented by subclass');
+  }
+
+  /**
+   * List the models the provider serves
+   * @returns {Promise<Array<{id: string}>>} - Models
+   */
+  async listModels() {
+    throw new Error('listModels() must be implemented by subclass');
+  }
+
+  /**
+   * Report a call's token usage to options.onUsage, if the caller asked for it
+   * @param {Object} options - Call options (onUsage, operation, model)
+   * @param {Object} usage - Token counts from the provider (not reported when both are undefined)
+   * @param {number} usage.promptTokens - Prompt tokens
+   * @param {number} usage.completionTokens - Completion tokens
+   * @param {string} usage.model - Model that answered (default: options.model or this.model)
+   */
+  reportUsage(options, { promptTokens, completionTokens, model } = {}) {
+    // Servers that don't return usage are not reported rather than counted as zero
+    if (typeof options.onUsage !== 'function' || (promptTokens === undefined && completionTokens === undefined)) return;
+
+    options.onUsage({
+      operation: options.operation || 'complete',
+      provider: this.provider,
+      model: model || options.model || this.model,
+      promptTokens: promptTokens || 0,
+      completionTokens: completionTokens || 0,
+      totalTokens: (promptTokens || 0) + (completionTokens || 0)
+    });
+  }
+
+  /**
+   * Get default system prompt for RAG
+   * @returns {string} - Default system prompt
+   */
+  getDefaultSystemPrompt() {
+    return `You are a helpful AI assistant that answers questions based on the provided context.
+
+Instructions:
+- Answer questions accurately based ONLY on the context provided
+- If the context doesn't contain enough information to answer, say so clearly
+- Be concise but thorough in your responses
+- If asked about something not in the context, acknowledge the limitation
+- Cite the context blocks you use with their number in square brackets, e.g. [1] or [2][3]
+- Format your response clearly with proper structure when appropriate`;
+  }
+
+  /**
+   * Set custom system prompt
+   * @param {string} prompt - System prompt
+   */
+  setSystemPrompt(prompt) {
+    this.systemPrompt = prompt;
+  }
+
+  /**
+   * Format context documents as numbered blocks the model can cite as [1], [2], ...
+   * @param {Array<{content: string, metadata: Object}>} context - Retrieved context documents
+   * @returns {string} - Formatted context
+   */
+  formatContext(context = []) {
+    return context.map((doc, i) => {
+      const source = doc.metadata?.source || doc.metadata?.fileName || `Document ${i + 1}`;
+      return `[${i + 1}] Source: ${source}\n${doc.content}`;
+    }).join('\n\n---\n\n');
+  }
+
+  /**
+   * Build the user message from the query and numbered context
+   * @param {string} query - User's question
+   * @param {Array} context - Retrieved context documents
+   * @returns {string} - User message
+   */
+  buildUserMessage(query, context = []) {
+    const contextStr = this.formatContext(context);
+
+    return contextStr
+      ? `Context (cite blocks by number, e.g. [1]):\n${contextStr}\n\nQuestion: ${query}`
+      : `Question: ${query}`;
+  }
+
+  /**
+   * Build the chat messages: system prompt, conversation history, then the question with context
+   * @param {string} query - User's question
+   * @param {Array} context - Retrieved context documents
+   * @param {Object} options - Options (systemPrompt, history)
+   * @returns {Array<{role: string, content: string}>} - Chat messages
+   */
+  buildMessages(query, context = [], options = {}) {
+    const messages = [
+      { role: 'system', content: options.systemPrompt || this.systemPrompt }
+    ];
+
+    // Add conversation history if provided
+    if (options.history && Array.isArray(options.history)) {
+      messages.push(...options.history);
+    }
+
+    messages.push({ role: 'user', content: this.buildUserMessage(query, context) });
+    return messages;
+  }
+
+  /**
+   * Generate a response based on query and context
+   * @param {string} query - User's question
+   * @param {Array<{content: string, metadata: Object}>} context - Retrieved context documents
+   * @param {Object} options - Additional options (history, systemPrompt, model, temperature, maxTokens, onUsage)
+   * @returns {Promise<string>} - Generated response
+   */
+  async generateResponse(query, context = [], options = {}) {
+    return this.chat(this.buildMessages(query, context, options), { operation: 'generate', ...options });
+  }
+
+  /**
+   * Generate a streaming response
+   * @param {string} query - User's question
+   * @param {Array} context - Retrieved context documents
+   * @param {Object} options - Additional options (history, systemPrompt, model, temperature, maxTokens, onUsage)
+   * @returns {AsyncGenerator<string>} - Stream of response chunks
+   */
+  async *generateStreamingResponse(query, context = [], options = {}) {
+    yield* this.chatStream(this.buildMessages(query, context, options), { operation: 'generate', ...options });
+  }
+
+  /**
+   * Simple completion without RAG context
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Additional options (model, temperature, maxTokens, onUsage, operation)
+   * @returns {Promise<string>} - Generated response
+   */
+  async complete(prompt, options = {}) {
+    return this.chat([{ role: 'user', content: prompt }], options);
+  }
+
+  /**
+   * Get model info
+   * @returns {Object} - Model configuration
+   */
+  getConfig() {
+    return {
+      provider: this.provider,
+      model: this.model,
+      temperature: this.temperature,
+      maxTokens: this.maxTokens
+    };
+  }
+
+  /**
+   * Update configuration
+   * @param {Object} config - New configuration
+   */
+  updateConfig(config) {
+    if (config.model) this.model = config.model;
+    if (config.temperature !== undefined) this.temperature = config.temperature;
+    if (config.maxTokens) this.maxTokens = config.maxTokens;
+    if (config.systemPrompt) this.systemPrompt = config.systemPrompt;
+  }
+}
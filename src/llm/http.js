@@ -0,0 +1,66 @@
+/**
+ * HTTP helpers for LLM servers reached with fetch (OpenAI-compatible, Ollama)
+ */
+
+/**
+ * Send a request, throwing with the server's error message when it fails
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options (headers, signal, ...); body objects are sent as JSON
+ * @param {string} label - Provider name for error messages
+ * @returns {Promise<Response>} - Response (body unread)
+ */
+export async function request(url, options = {}, label = 'LLM server') {
+  const { body, headers = {}, ...rest } = options;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      ...rest,
+      headers: { ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  } catch (error) {
+    // Keep the cause: its code (ECONNREFUSED, ...) tells ResilientLLM the failure is worth retrying
+    throw new Error(`${label} request to ${url} failed: ${error.cause?.message || error.message}`, { cause: error });
+  }
+
+  if (!response.ok) {
+    let detail = await response.text().catch(() => '');
+    try {
+      const parsed = JSON.parse(detail);
+      detail = parsed.error?.message || parsed.error || detail;
+    } catch (error) {
+      // Not JSON; keep the raw text
+    }
+    const err = new Error(`${label} error ${response.status}: ${String(detail).substring(0, 500) || response.statusText}`);
+    err.status = response.status;
+    err.headers = Object.fromEntries(response.headers); // retry-after, for ResilientLLM
+    throw err;
+  }
+
+  return response;
+}
+
+/**
+ * Read a streamed response body line by line
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<string>} - Non-empty lines
+ */
+export async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.substring(0, newline).trim();
+      buffer = buffer.substring(newline + 1);
+      if (line) yield line;
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) yield buffer.trim();
+}
@@ -0,0 +1,108 @@
+import { BaseLLM } from './base.js';
+import { request, readLines } from './http.js';
+
+/**
+ * Ollama LLM
+ * Uses a local or on-prem Ollama server's native chat API (/api/chat)
+ */
+export class OllamaLLM extends BaseLLM {
+  constructor(config = {}) {
+    super({ ...config, model: config.model || 'llama3.1' });
+    this.baseURL = (config.baseURL || 'http://localhost:11434').replace(/\/+$/, '');
+    this.keepAlive = config.keepAlive ?? null; // How long the model stays loaded, e.g. '10m' (server default when null)
+    this.headers = config.headers || {};
+  }
+
+  get provider() {
+    return 'ollama';
+  }
+
+  /**
+   * Check the server is reachable and the model has been pulled
+   */
+  async initialize() {
+    const models = await this.listModels();
+    const names = models.map(model => model.id);
+    const pulled = names.some(name => name === this.model || name === `${this.model}:latest`);
+    if (!pulled) {
+      throw new Error(`Ollama model ${this.model} is not available at ${this.baseURL}; run: ollama pull ${this.model}`);
+    }
+  }
+
+  /**
+   * Build the chat request
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Options (model, temperature, maxTokens, responseFormat)
+   * @param {boolean} stream - Stream the reply
+   * @returns {Object} - Request body
+   */
+  buildRequest(messages, options, stream) {
+    return {
+      model: options.model || this.model,
+      messages,
+      stream,
+      ...(this.keepAlive !== null && { keep_alive: this.keepAlive }),
+      // Ollama constrains the reply to a JSON schema, or to any JSON with 'json'
+      ...(options.responseFormat?.type === 'json' && { format: options.responseFormat.schema || 'json' }),
+      options: {
+        temperature: options.temperature ?? this.temperature,
+        num_predict: options.maxTokens || this.maxTokens,
+        // Ollama's default context is small; send contextWindow so long contexts aren't truncated
+        ...(this.contextWindow && { num_ctx: this.contextWindow })
+      }
+    };
+  }
+
+  async chat(messages, options = {}) {
+    const response = await request(`${this.baseURL}/api/chat`, {
+      method: 'POST',
+      headers: this.headers,
+      body: this.buildRequest(messages, options, false),
+      signal: options.signal
+    }, 'Ollama');
+
+    const reply = await response.json();
+    this.reportUsage(options, { promptTokens: reply.prompt_eval_count, completionTokens: reply.eval_count });
+    return reply.message?.content || '';
+  }
+
+  async *chatStream(messages, options = {}) {
+    const response = await request(`${this.baseURL}/api/chat`, {
+      method: 'POST',
+      headers: this.headers,
+      body: this.buildRequest(messages, options, true),
+      signal: options.signal
+    }, 'Ollama');
+
+    // Newline-delimited JSON, one object per chunk, the last with done: true
+    for await (const line of readLines(response.body)) {
+      const chunk = JSON.parse(line);
+      if (chunk.error) {
+        throw new Error(`Ollama error: ${chunk.error}`);
+      }
+
+      if (chunk.message?.content) {
+        yield chunk.message.content;
+      }
+      if (chunk.done) {
+        this.reportUsage(options, { promptTokens: chunk.prompt_eval_count, completionTokens: chunk.eval_count });
+        break;
+      }
+    }
+  }
+
+  /**
+   * List pulled models
+   * @returns {Promise<Array<{id: string, size: number, modifiedAt: string}>>} - Models
+   */
+  async listModels() {
+    const response = await request(`${this.baseURL}/api/tags`, { headers: this.headers }, 'Ollama');
+    const { models = [] } = await response.json();
+    return models.map(model => ({
+      id: model.name,
+      size: model.size,
+      modifiedAt: model.modified_at,
+      details: model.details
+    }));
+  }
+}
@@ -0,0 +1,145 @@
+import { BaseLLM } from './base.js';
+import { request, readLines } from './http.js';
+
+/**
+ * OpenAI-compatible LLM
+ * Talks to any server implementing the OpenAI chat completions API over HTTP: OpenAI itself,
+ * vLLM, llama.cpp server, LM Studio, LocalAI, ... No SDK is required
+ */
+export class OpenAICompatibleLLM extends BaseLLM {
+  constructor(config = {}) {
+    super(config);
+    this.baseURL = (config.baseURL || 'http://localhost:8000/v1').replace(/\/+$/, ''); // Up to and including /v1
+    this.apiKey = config.apiKey || null; // Sent as a bearer token when set
+    this.headers = config.headers || {}; // Extra request headers
+    this.label = config.label || 'OpenAI-compatible server';
+    this.streamUsage = config.streamUsage ?? true; // Ask for usage in streams (stream_options.include_usage)
+    // response_format sent for JSON answers: 'json_object', 'json_schema' (the schema is enforced
+    // by the server) or false for servers that reject response_format
+    this.jsonMode = config.jsonMode ?? 'json_object';
+  }
+
+  get provider() {
+    return 'openai';
+  }
+
+  /**
+   * Check the server is reachable; without a configured model, use the first one it serves
+   */
+  async initialize() {
+    if (this.model) return;
+
+    const models = await this.listModels();
+    if (models.length === 0) {
+      throw new Error(`${this.label} at ${this.baseURL} serves no models; set a model`);
+    }
+    this.model = models[0].id;
+  }
+
+  getHeaders() {
+    return {
+      ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+      ...this.headers
+    };
+  }
+
+  /**
+   * Build the chat completion request
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Options (model, temperature, maxTokens, responseFormat)
+   * @param {boolean} stream - Stream the reply
+   * @returns {Object} - Request body
+   */
+  buildRequest(messages, options, stream) {
+    return {
+      model: options.model || this.model,
+      messages,
+      temperature: options.temperature ?? this.temperature,
+      max_tokens: options.maxTokens || this.maxTokens,
+      stream,
+      ...(stream && this.streamUsage && { stream_options: { include_usage: true } }),
+      ...(options.responseFormat?.type === 'json' && this.jsonMode && { response_format: this.getResponseFormat(options.responseFormat) })
+    };
+  }
+
+  /**
+   * response_format for a JSON answer, depending on jsonMode
+   * @param {Object} responseFormat - { type: 'json', schema }
+   * @returns {Object} - OpenAI response_format
+   */
+  getResponseFormat(responseFormat) {
+    if (this.jsonMode === 'json_schema' && responseFormat.schema) {
+      return { type: 'json_schema', json_schema: { name: 'answer', schema: responseFormat.schema } };
+    }
+    return { type: 'json_object' };
+  }
+
+  async chat(messages, options = {}) {
+    const response = await request(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: this.buildRequest(messages, options, false),
+      signal: options.signal
+    }, this.label);
+
+    const completion = await response.json();
+    this.reportUsage(options, {
+      promptTokens: completion.usage?.prompt_tokens,
+      completionTokens: completion.usage?.completion_tokens,
+      model: completion.model
+    });
+    return completion.choices?.[0]?.message?.content || '';
+  }
+
+  async *chatStream(messages, options = {}) {
+    const response = await request(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: { ...this.getHeaders(), Accept: 'text/event-stream' },
+      body: this.buildRequest(messages, options, true),
+      signal: options.signal
+    }, this.label);
+
+    // Server-sent events: "data: {json}" lines, ending with "data: [DONE]"
+    for await (const line of readLines(response.body)) {
+      if (!line.startsWith('data:')) continue;
+
+      const data = line.substring(5).trim();
+      if (data === '[DONE]') break;
+
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch (error) {
+        continue; // Keep-alive comments and partial frames
+      }
+
+      if (chunk.error) {
+        throw new Error(`${this.label} error: ${chunk.error.message || chunk.error}`);
+      }
+
+      const content = chunk.choices?.[0]?.delta?.content;
+      if (content) {
+        yield content;
+      }
+
+      // With include_usage, the last chunk before [DONE] carries the usage and no choices
+      if (chunk.usage) {
+        this.reportUsage(options, {
+          promptTokens: chunk.usage.prompt_tokens,
+          completionTokens: chunk.usage.completion_tokens,
+          model: chunk.model
+        });
+      }
+    }
+  }
+
+  /**
+   * List available models
+   * @returns {Promise<Array<{id: string}>>} - Models
+   */
+  async listModels() {
+    const response = await request(`${this.baseURL}/models`, { headers: this.getHeaders() }, this.label);
+    const models = await response.json();
+    return models.data || [];
+  }
+}
@@ -0,0 +1,370 @@
+import { BaseLLM } from './base.js';
+
+// Socket and DNS failures that may clear up on their own (Node and undici error codes)
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+]);
+// Aborts, timeouts and groq-sdk's connection errors (matched by class name, they set no code)
+const NETWORK_ERROR_NAMES = new Set(['AbortError', 'TimeoutError', 'APIConnectionError', 'APIConnectionTimeoutError']);
+
+/**
+ * Whether a failed call is worth retrying or handing to a fallback: timeouts, network failures,
+ * 408, 429 and server errors. Other 4xx errors are the request's fault, and errors without a
+ * status that aren't network failures (a TypeError, a missing API key) are bugs or configuration
+ * problems that no retry fixes
+ * @param {Error} error - Error thrown by an LLM call
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  // Network failures are often wrapped: follow the cause chain
+  for (let current = error; current; current = current.cause) {
+    if (current.timedOut || NETWORK_ERROR_CODES.has(current.code)
+      || NETWORK_ERROR_NAMES.has(current.name) || NETWORK_ERROR_NAMES.has(current.constructor?.name)) {
+      return true;
+    }
+  }
+
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Delay requested by the server through retry-after-ms or retry-after (seconds or an HTTP date)
+ * @param {Error} error - Error with the response headers (groq-sdk and llm/http.js both attach them)
+ * @returns {number|null} - Milliseconds, or null when the server didn't say
+ */
+export function getRetryAfterMs(error) {
+  const headers = error.headers || {};
+  const get = name => typeof headers.get === 'function' ? headers.get(name) : headers[name];
+
+  const ms = parseFloat(get('retry-after-ms'));
+  if (!Number.isNaN(ms)) return Math.max(0, ms);
+
+  const value = get('retry-after');
+  if (!value) return null;
+
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Summarize the events a ResilientLLM reported for one call, for response metadata
+ * @param {Array<Object>} events - Events passed to options.onEvent
+ * @returns {{provider: string, model: string, retries: number, fallback: boolean, events: Array}}
+ */
+export function summarizeLLMEvents(events) {
+  const success = events.findLast(event => event.type === 'success');
+  return {
+    provider: success?.provider ?? null,
+    model: success?.model ?? null,
+    retries: events.filter(event => event.type === 'retry').length,
+    fallback: events.some(event => event.type === 'fallback'),
+    events: events.filter(event => event.type !== 'success')
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Stop a stream that is being abandoned; errors from an already-failed stream are ignored
+const closeIterator = iterator => Promise.resolve(iterator.return?.()).catch(() => {});
+
+/**
+ * Resilient LLM
+ * Wraps a primary LLM and an ordered list of fallbacks (other models or providers). Each call is
+ * retried with exponential backoff and jitter, honoring retry-after, and bounded by a per-call
+ * timeout; once the primary's retries are used up on a retryable error, the next LLM in the chain
+ * takes over. Prompts are built once here, so every LLM in the chain gets the same messages.
+ *
+ * Retries and fallbacks are logged and reported to options.onEvent, which receives
+ * { type: 'retry' | 'fallback' | 'success', provider, model, ... }
+ */
+export class ResilientLLM extends BaseLLM {
+  constructor(config = {}) {
+    const { llm, fallbacks = [] } = config;
+    if (!llm) {
+      throw new Error('Primary LLM is required');
+    }
+
+    super({
+      model: llm.model,
+      temperature: llm.temperature,
+      maxTokens: llm.maxTokens,
+      contextWindow: llm.contextWindow,
+      systemPrompt: llm.systemPrompt
+    });
+
+    this.chain = [llm, ...fallbacks];
+    for (const target of this.chain) {
+      if (typeof target.chat !== 'function' || typeof target.chatStream !== 'function') {
+        throw new Error('LLMs in a fallback chain must implement chat() and chatStream() (extend BaseLLM)');
+      }
+    }
+
+    this.maxRetries = config.maxRetries ?? 2; // Retries per LLM in the chain, after the first attempt
+    this.baseDelay = config.baseDelay ?? 500; // ms before the first retry, doubled on each retry
+    this.maxDelay = config.maxDelay ?? 10000; // Cap on the backoff; a longer retry-after moves on to the next LLM
+    this.jitter = config.jitter ?? true; // Randomize delays so clients don't retry in lockstep
+    this.timeout = config.timeout ?? 60000; // ms per call; for streams, per chunk
+  }
+
+  get primary() {
+    return this.chain[0];
+  }
+
+  get provider() {
+    return this.primary.provider;
+  }
+
+  /**
+   * Initialize every LLM in the chain
+   * An LLM that fails to initialize stays in the chain (it may be down only for now); the error
+   * is only thrown when none of them initialize
+   */
+  async initialize() {
+    let firstError = null;
+    let ready = 0;
+
+    for (const target of this.chain) {
+      try {
+        await target.initialize();
+        ready++;
+      } catch (error) {
+        firstError = firstError || error;
+        if (this.chain.length > 1) {
+          console.warn(`⚠️  LLM ${this.describe(target)} failed to initialize: ${error.message}`);
+        }
+      }
+    }
+
+    if (ready === 0) {
+      throw firstError;
+    }
+
+    // The primary may resolve its model during initialization (e.g. OpenAI-compatible servers)
+    this.model = this.primary.model;
+  }
+
+  /**
+   * Name an LLM in logs and events
+   * @param {BaseLLM} target - LLM in the chain
+   * @returns {string} - provider/model
+   */
+  describe(target) {
+    return `${target.provider}/${target.model}`;
+  }
+
+  /**
+   * Options for a call to one LLM in the chain; a model override only applies to the primary
+   * @param {BaseLLM} target - LLM in the chain
+   * @param {Object} options - Call options
+   * @param {AbortSignal} signal - Aborted on timeout
+   * @returns {Object} - Options for target.chat() / target.chatStream()
+   */
+  getCallOptions(target, options, signal) {
+    const { onEvent, model, ...rest } = options;
+    return {
+      ...rest,
+      ...(target === this.primary && model && { model }),
+      signal
+    };
+  }
+
+  /**
+   * Backoff before a retry: exponential, capped, with jitter; at least the server's retry-after
+   * @param {number} retry - Retry number (0 for the first retry)
+   * @param {Error} error - Error that triggered the retry
+   * @returns {number|null} - ms to wait, or null when retry-after exceeds maxDelay
+   */
+  getRetryDelay(retry, error) {
+    const backoff = Math.min(this.maxDelay, this.baseDelay * 2 ** retry);
+    const delay = this.jitter ? backoff / 2 + Math.random() * backoff / 2 : backoff;
+
+    const retryAfter = getRetryAfterMs(error);
+    if (retryAfter !== null && retryAfter > this.maxDelay) {
+      return null;
+    }
+
+    return Math.round(Math.max(delay, retryAfter ?? 0));
+  }
+
+  /**
+   * Run a call with the per-call timeout, aborting it when the time is up
+   * @param {Function} run - Called with an AbortSignal, returns a promise
+   * @param {BaseLLM} target - LLM being called (for the error message)
+   * @param {AbortController} controller - Controller aborted on timeout (a stream reuses one across chunks)
+   * @returns {Promise<*>} - The call's result
+   */
+  async withTimeout(run, target, controller = new AbortController()) {
+    if (!this.timeout) {
+      return run(controller.signal);
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`LLM ${this.describe(target)} timed out after ${this.timeout}ms`);
+        error.timedOut = true;
+        controller.abort(error);
+        reject(error);
+      }, this.timeout);
+    });
+
+    try {
+      return await Promise.race([run(controller.signal), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Try the chain in order, retrying each LLM, until an attempt succeeds
+   * @param {Function} attempt - Called with each LLM in the chain, returns a promise
+   * @param {Object} options - Call options (onEvent receives retry, fallback and success events)
+   * @returns {Promise<*>} - The first successful attempt's result
+   */
+  async runWithFallback(attempt, options = {}) {
+    const emit = event => options.onEvent?.(event);
+    const events = [];
+    let lastError = null;
+
+    for (let i = 0; i < this.chain.length; i++) {
+      const target = this.chain[i];
+
+      if (lastError) {
+        const event = {
+          type: 'fallback',
+          from: { provider: this.chain[i - 1].provider, model: this.chain[i - 1].model },
+          to: { provider: target.provider, model: target.model },
+          status: lastError.status ?? null,
+          error: lastError.message
+        };
+        console.warn(`⚠️  LLM ${this.describe(this.chain[i - 1])} unavailable, falling back to ${this.describe(target)}`);
+        events.push(event);
+        emit(event);
+      }
+
+      for (let retry = 0; ; retry++) {
+        const started = Date.now();
+        try {
+          const result = await attempt(target);
+          emit({
+            type: 'success',
+            provider: target.provider,
+            model: target.model,
+            attempt: retry + 1,
+            latencyMs: Date.now() - started
+          });
+          return result;
+        } catch (error) {
+          if (!isRetryableError(error)) {
+            throw error;
+          }
+          lastError = error;
+
+          const delay = retry < this.maxRetries ? this.getRetryDelay(retry, error) : null;
+          if (delay === null) break;
+
+          const event = {
+            type: 'retry',
+            provider: target.provider,
+            model: target.model,
+            attempt: retry + 1,
+            delayMs: delay,
+            status: error.status ?? null,
+            error: error.message
+          };
+          console.warn(`⚠️  LLM ${this.describe(target)} failed (attempt ${retry + 1}/${this.maxRetries + 1}): ${error.message}; retrying in ${delay}ms`);
+          events.push(event);
+          emit(event);
+          await sleep(delay);
+        }
+      }
+    }
+
+    const attempts = events.filter(event => event.type === 'retry').length + this.chain.length;
+    const error = new Error(`LLM unavailable after ${attempts} attempts: ${lastError.message}`);
+    error.status = 503;
+    error.cause = lastError;
+    error.events = events;
+    const retryAfter = getRetryAfterMs(lastError);
+    error.retryAfter = retryAfter === null ? null : Math.ceil(retryAfter / 1000); // Seconds, for a Retry-After header
+    throw error;
+  }
+
+  async chat(messages, options = {}) {
+    return this.runWithFallback(
+      target => this.withTimeout(signal => target.chat(messages, this.getCallOptions(target, options, signal)), target),
+      options
+    );
+  }
+
+  /**
+   * Stream from the first LLM in the chain that produces a chunk
+   * Failures before the first chunk are retried and fall back like chat(); once the answer has
+   * started streaming, errors are thrown to the caller. The timeout applies to each chunk
+   */
+  async *chatStream(messages, options = {}) {
+    let iterator = null;
+    let target = null;
+    let first = null;
+    let controller = null;
+
+    await this.runWithFallback(async candidate => {
+      controller = new AbortController();
+      const stream = candidate.chatStream(messages, this.getCallOptions(candidate, options, controller.signal));
+      const candidateIterator = stream[Symbol.asyncIterator]();
+      try {
+        first = await this.withTimeout(() => candidateIterator.next(), candidate, controller);
+      } catch (error) {
+        closeIterator(candidateIterator);
+        throw error;
+      }
+      iterator = candidateIterator;
+      target = candidate;
+    }, options);
+
+    // Too late to fail over from here: part of the answer has been sent
+    try {
+      let next = first;
+      while (!next.done) {
+        yield next.value;
+        next = await this.withTimeout(() => iterator.next(), target, controller);
+      }
+    } finally {
+      closeIterator(iterator);
+    }
+  }
+
+  async listModels() {
+    return this.primary.listModels();
+  }
+
+  /**
+   * Get model info, including the fallback chain and retry settings
+   * @returns {Object} - Model configuration
+   */
+  getConfig() {
+    return {
+      ...this.primary.getConfig(),
+      fallbacks: this.chain.slice(1).map(target => ({ provider: target.provider, model: target.model })),
+      retry: {
+        maxRetries: this.maxRetries,
+        baseDelay: this.baseDelay,
+        maxDelay: this.maxDelay,
+        timeout: this.timeout
+      }
+    };
+  }
+
+  /**
+   * Update configuration (applies to the primary as well)
+   * @param {Object} config - New configuration
+   */
+  updateConfig(config) {
+    super.updateConfig(config);
+    this.primary.updateConfig(config);
+  }
+}
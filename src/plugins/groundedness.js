@@ -0,0 +1,37 @@
+/**
+ * Groundedness Plugin
+ * Scores the answer against the context it was generated from and, below the checker's
+ * threshold, replaces it with an abstention message or annotates it
+ */
+export class GroundednessPlugin {
+  constructor(config = {}) {
+    this.name = 'groundedness';
+    this.checker = config.checker || null; // Defaults to the engine's groundedness checker
+  }
+
+  getChecker(ctx) {
+    return this.checker || ctx.engine.groundedness;
+  }
+
+  async afterGenerate(ctx) {
+    const checker = this.getChecker(ctx);
+    if (!checker || !checker.modes.includes(ctx.mode)) return;
+
+    const report = await checker.check(ctx.answer, ctx.contextDocs, { onUsage: ctx.onUsage });
+    const abstained = report.confidence < checker.threshold;
+
+    ctx.groundedness = {
+      ...report,
+      threshold: checker.threshold,
+      abstained,
+      action: abstained ? checker.action : null,
+      originalAnswer: abstained ? ctx.answer : undefined
+    };
+
+    if (!abstained) return;
+
+    ctx.answer = checker.action === 'annotate'
+      ? `${ctx.answer}\n\n${checker.annotation}`
+      : checker.abstentionMessage;
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * Guardrails Plugin
+ * Validates and sanitizes the query, drops documents that fail content checks,
+ * and moderates the answer (incrementally while streaming)
+ */
+export class GuardrailsPlugin {
+  constructor(config = {}) {
+    this.name = 'guardrails';
+    this.guardrails = config.guardrails || null; // Defaults to the engine's guardrails
+  }
+
+  getGuardrails(ctx) {
+    return this.guardrails || ctx.engine.guardrails;
+  }
+
+  beforeRetrieve(ctx) {
+    const guardrails = this.getGuardrails(ctx);
+    if (!guardrails) return;
+
+    const validation = guardrails.validateQuery(ctx.query, ctx.options.userId);
+    if (!validation.allowed) {
+      ctx.query = validation.sanitized || ctx.query;
+      ctx.blocked = {
+        stage: 'query',
+        reason: validation.reason,
+        answer: `I cannot process this query: ${validation.reason}`
+      };
+      return;
+    }
+
+    ctx.query = validation.sanitized;
+    ctx.warnings = validation.warnings || null;
+  }
+
+  afterRetrieve(ctx) {
+    const guardrails = this.getGuardrails(ctx);
+    if (!guardrails) return;
+
+    ctx.docs = ctx.docs.filter(doc => guardrails.validateDocument(doc.content).allowed);
+  }
+
+  onStreamChunk(ctx) {
+    const guardrails = this.getGuardrails(ctx);
+    if (!guardrails) return;
+
+    const validation = guardrails.validateResponse(ctx.answer);
+    if (!validation.allowed) {
+      this.blockResponse(ctx, validation.reason);
+    }
+  }
+
+  afterGenerate(ctx) {
+    const guardrails = this.getGuardrails(ctx);
+    if (!guardrails) return;
+
+    const validation = guardrails.validateResponse(ctx.answer);
+    if (!validation.allowed) {
+      this.blockResponse(ctx, validation.reason);
+      return;
+    }
+
+    // Apply response policies (disclaimers, etc.)
+    ctx.answer = guardrails.applyResponsePolicies(validation.sanitized, ctx.query);
+  }
+
+  blockResponse(ctx, reason) {
+    ctx.answer = `Response blocked: ${reason}`;
+    ctx.blocked = { stage: 'response', reason, answer: ctx.answer };
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * Prompt Plugin
+ * Picks the system prompt for the resolved mode unless the caller supplied one:
+ * the hybrid prompt for 'hybrid', the direct prompt for 'llm' and the LLM's default RAG prompt for 'rag'
+ */
+export class PromptPlugin {
+  constructor(config = {}) {
+    this.name = 'prompt';
+    this.hybridPrompt = config.hybridPrompt || null; // Defaults to engine.getHybridPrompt()
+    this.directPrompt = config.directPrompt || null; // Defaults to engine.getDirectLLMPrompt()
+  }
+
+  beforeGenerate(ctx) {
+    if (ctx.systemPrompt) return;
+
+    if (ctx.mode === 'hybrid') {
+      ctx.systemPrompt = this.hybridPrompt || ctx.engine.getHybridPrompt();
+    } else if (ctx.mode === 'llm') {
+      ctx.systemPrompt = this.directPrompt || ctx.engine.getDirectLLMPrompt();
+    }
+  }
+}
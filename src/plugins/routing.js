@@ -0,0 +1,18 @@
+/**
+ * Routing Plugin
+ * Resolves 'auto' mode after retrieval: hybrid when the top document is relevant enough,
+ * otherwise direct LLM (the documents are still returned as sources for reference)
+ */
+export class RoutingPlugin {
+  constructor(config = {}) {
+    this.name = 'routing';
+    this.threshold = config.threshold ?? null; // Min top score to use RAG; defaults to the engine's routingThreshold
+  }
+
+  afterRetrieve(ctx) {
+    if (ctx.mode !== 'auto') return;
+
+    const threshold = this.threshold ?? ctx.engine.routingThreshold;
+    ctx.mode = ctx.routing && ctx.routing.topScore >= threshold ? 'hybrid' : 'llm';
+  }
+}
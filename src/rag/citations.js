@@ -0,0 +1,104 @@
+/**
+ * Citations
+ * Parses inline [n] citation markers from an answer and verifies them against the
+ * numbered context blocks the LLM was given (block n = retrieved document n - 1)
+ */
+
+const MARKER_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+const QUOTE_PATTERN = /"([^"\n]+)"|“([^”\n]+)”/g;
+
+/**
+ * Normalize text for quote matching (case, curly quotes, whitespace)
+ * @param {string} text - Input text
+ * @returns {string} - Normalized text
+ */
+function normalize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Check whether a quoted span appears in a document
+ * Quotes elided with "..." match when every fragment appears in order
+ * @param {string} quote - Quoted span
+ * @param {string} content - Document content
+ * @returns {boolean} - True if the quote is found
+ */
+export function quoteAppearsIn(quote, content) {
+  const haystack = normalize(content);
+  const fragments = normalize(quote)
+    .split(/\s*(?:\.\.\.|…)\s*/)
+    .map(fragment => fragment.replace(/^[\s.,;:!?]+|[\s.,;:!?]+$/g, ''))
+    .filter(Boolean);
+
+  if (fragments.length === 0) return false;
+
+  let from = 0;
+  for (const fragment of fragments) {
+    const index = haystack.indexOf(fragment, from);
+    if (index === -1) return false;
+    from = index + fragment.length;
+  }
+  return true;
+}
+
+/**
+ * Find the quoted span a marker refers to: the last quote between the previous
+ * marker (or line start) and the marker itself
+ * @param {string} segment - Text preceding the marker
+ * @returns {string|null} - Quoted span, or null if the claim is not a direct quote
+ */
+function findQuote(segment) {
+  let quote = null;
+  for (const match of segment.matchAll(QUOTE_PATTERN)) {
+    quote = match[1] || match[2];
+  }
+  return quote;
+}
+
+/**
+ * Extract and verify the citations in an answer
+ * @param {string} answer - LLM answer containing [n] markers
+ * @param {Array<{id: string, content: string}>} sources - Documents in the order they were numbered
+ * @returns {Array<{marker: number, sourceId: string|null, quote: string|null, position: number, sourceExists: boolean, quoteVerified: boolean|null, valid: boolean, issue: string|null}>}
+ */
+export function extractCitations(answer, sources = []) {
+  const citations = [];
+  if (!answer) return citations;
+
+  let segmentStart = 0;
+
+  for (const match of answer.matchAll(MARKER_PATTERN)) {
+    const lineStart = answer.lastIndexOf('\n', match.index) + 1;
+    const quote = findQuote(answer.substring(Math.max(segmentStart, lineStart), match.index));
+
+    for (const number of match[1].split(',').map(n => parseInt(n, 10))) {
+      const source = sources[number - 1];
+      const sourceExists = Boolean(source);
+      const quoteVerified = sourceExists && quote ? quoteAppearsIn(quote, source.content) : null;
+
+      let issue = null;
+      if (!sourceExists) issue = 'unknown_source';
+      else if (quoteVerified === false) issue = 'quote_not_found';
+
+      citations.push({
+        marker: number,
+        sourceId: source?.id ?? null,
+        quote,
+        position: match.index,
+        sourceExists,
+        quoteVerified,
+        valid: issue === null,
+        issue
+      });
+    }
+
+    segmentStart = match.index + match[0].length;
+  }
+
+  return citations;
+}
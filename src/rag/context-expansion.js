@@ -0,0 +1,158 @@
+/**
+ * Context Expansion
+ * Widens retrieved chunks to their neighbouring chunks (or the whole parent document) so the
+ * LLM sees the text around a hit. Chunks are identified by metadata.source and
+ * metadata.chunkIndex, as recorded by FileDataSource for text and PDF files
+ */
+
+const MIN_STITCH_OVERLAP = 20; // Shorter suffix/prefix matches are treated as coincidence
+
+/**
+ * Check whether a document is a chunk of a larger source
+ * @param {Object} doc - Document
+ * @returns {boolean}
+ */
+export function isChunk(doc) {
+  return Boolean(doc.metadata?.source)
+    && Number.isInteger(doc.metadata.chunkIndex)
+    && (doc.metadata.totalChunks || 0) > 1;
+}
+
+/**
+ * Join consecutive chunks, dropping the text they overlap by
+ * @param {Array<string>} texts - Chunk texts in order
+ * @returns {string} - Stitched text
+ */
+export function stitchChunks(texts) {
+  return texts.reduce((text, next) => {
+    if (!text) return next;
+
+    // The longest suffix of text that is a prefix of next (chunks overlap by chunkOverlap characters)
+    const probe = next.substring(0, MIN_STITCH_OVERLAP);
+    let pos = text.indexOf(probe, Math.max(0, text.length - next.length));
+    while (probe.length === MIN_STITCH_OVERLAP && pos !== -1) {
+      if (next.startsWith(text.substring(pos))) {
+        return text.substring(0, pos) + next;
+      }
+      pos = text.indexOf(probe, pos + 1);
+    }
+
+    return `${text}\n${next}`;
+  }, '');
+}
+
+/**
+ * Expand ranked hits to the chunks around them and merge overlapping expansions
+ * Neighbours are added one step at a time (distance 1 for every hit in rank order, then
+ * distance 2, ...) so the best hits grow first and no hit is crowded out by another's expansion
+ * @param {Array<Object>} hits - Ranked documents
+ * @param {Map<string, Map<number, Object>>} chunksBySource - Source -> chunkIndex -> chunk document
+ * @param {Object} options - Expansion options
+ * @param {number} options.window - Chunks to add on each side (Infinity for the whole parent document)
+ * @param {number} options.budgetTokens - Token budget for all documents (default: unlimited)
+ * @param {Function} options.estimateTokens - Token estimate for a text
+ * @param {number} options.blockOverheadTokens - Tokens per context block
+ * @returns {Array<Object>} - Documents in rank order; merged blocks carry an expansion report
+ */
+export function expandHits(hits, chunksBySource, options = {}) {
+  const {
+    window = 1,
+    budgetTokens = Infinity,
+    estimateTokens = text => Math.ceil((text || '').length / 4),
+    blockOverheadTokens = 0
+  } = options;
+
+  const covered = new Map(); // Source -> Set of chunk indexes
+  let used = hits.reduce((sum, hit) => sum + estimateTokens(hit.content) + blockOverheadTokens, 0);
+
+  const expandable = hits.filter(hit => isChunk(hit) && chunksBySource.has(hit.metadata.source));
+  for (const hit of expandable) {
+    const { source, chunkIndex } = hit.metadata;
+    if (!covered.has(source)) covered.set(source, new Set());
+    covered.get(source).add(chunkIndex);
+  }
+
+  const maxDistance = Math.min(
+    window,
+    Math.max(0, ...expandable.map(hit => hit.metadata.totalChunks - 1))
+  );
+
+  for (let distance = 1; distance <= maxDistance; distance++) {
+    for (const hit of expandable) {
+      const { source, chunkIndex } = hit.metadata;
+      const chunks = chunksBySource.get(source);
+
+      for (const index of [chunkIndex - distance, chunkIndex + distance]) {
+        const chunk = chunks.get(index);
+        if (!chunk || covered.get(source).has(index)) continue;
+
+        // Skip neighbours that don't fit; a shorter one further down may still fit
+        const tokens = estimateTokens(chunk.content);
+        if (used + tokens > budgetTokens) continue;
+
+        covered.get(source).add(index);
+        used += tokens;
+      }
+    }
+  }
+
+  // Turn each source's covered indexes into contiguous runs, one context block per run
+  const runs = new Map(); // Source -> Array<{start, end}>
+  for (const [source, indexes] of covered) {
+    const sorted = Array.from(indexes).sort((a, b) => a - b);
+    const sourceRuns = [];
+    for (const index of sorted) {
+      const last = sourceRuns[sourceRuns.length - 1];
+      if (last && index === last.end + 1) {
+        last.end = index;
+      } else {
+        sourceRuns.push({ start: index, end: index });
+      }
+    }
+    runs.set(source, sourceRuns);
+  }
+
+  const blocks = new Map(); // Run -> block, so later hits in the same run merge into the first
+  const results = [];
+
+  for (const hit of hits) {
+    if (!isChunk(hit) || !runs.has(hit.metadata.source)) {
+      results.push(hit);
+      continue;
+    }
+
+    const { source, chunkIndex } = hit.metadata;
+    const run = runs.get(source).find(r => chunkIndex >= r.start && chunkIndex <= r.end);
+    if (run.start === run.end) {
+      results.push(hit); // Not expanded
+      continue;
+    }
+
+    const existing = blocks.get(run);
+    if (existing) {
+      existing.expansion.hits.push(hit.id);
+      continue;
+    }
+
+    const chunks = chunksBySource.get(source);
+    const texts = [];
+    for (let index = run.start; index <= run.end; index++) {
+      texts.push(index === chunkIndex ? hit.content : chunks.get(index).content);
+    }
+
+    const block = {
+      ...hit,
+      content: stitchChunks(texts),
+      expansion: {
+        source,
+        chunks: [run.start, run.end],
+        totalChunks: hit.metadata.totalChunks,
+        hits: [hit.id]
+      }
+    };
+    blocks.set(run, block);
+    results.push(block);
+  }
+
+  return results;
+}
@@ -0,0 +1,157 @@
+/**
+ * Known model context windows (tokens) and rough characters-per-token ratios
+ * Unknown models fall back to the packer's defaults
+ */
+export const MODEL_LIMITS = {
+  'llama-3.3-70b-versatile': { contextWindow: 131072, charsPerToken: 4 },
+  'llama-3.1-70b-versatile': { contextWindow: 131072, charsPerToken: 4 },
+  'llama-3.1-8b-instant': { contextWindow: 131072, charsPerToken: 4 },
+  'llama3-70b-8192': { contextWindow: 8192, charsPerToken: 4 },
+  'llama3-8b-8192': { contextWindow: 8192, charsPerToken: 4 },
+  'mixtral-8x7b-32768': { contextWindow: 32768, charsPerToken: 3.5 },
+  'gemma2-9b-it': { contextWindow: 8192, charsPerToken: 4 }
+};
+
+/**
+ * Context Packer
+ * Fits retrieved documents into the model's prompt budget: reserves room for the system
+ * prompt, history, question and output, then fills what is left in relevance order,
+ * truncating or dropping documents that don't fit
+ */
+export class ContextPacker {
+  constructor(config = {}) {
+    this.modelLimits = { ...MODEL_LIMITS, ...(config.modelLimits || {}) };
+    this.defaultContextWindow = config.defaultContextWindow || 8192; // For models not in modelLimits
+    this.charsPerToken = config.charsPerToken || 4; // Default token estimate
+    this.maxContextTokens = config.maxContextTokens || null; // Optional hard cap on context tokens
+    this.safetyMargin = config.safetyMargin ?? 0.05; // Share of the window kept free for estimation error
+    this.messageOverheadTokens = config.messageOverheadTokens ?? 4; // Per chat message formatting
+    this.blockOverheadTokens = config.blockOverheadTokens ?? 16; // Per context block header and separator
+    this.minTruncatedTokens = config.minTruncatedTokens ?? 64; // Drop rather than keep a smaller fragment
+  }
+
+  /**
+   * Get the context window and token ratio for a model
+   * @param {string} model - Model name
+   * @returns {{contextWindow: number, charsPerToken: number}}
+   */
+  getModelLimits(model) {
+    const limits = this.modelLimits[model] || {};
+    return {
+      contextWindow: limits.contextWindow || this.defaultContextWindow,
+      charsPerToken: limits.charsPerToken || this.charsPerToken
+    };
+  }
+
+  /**
+   * Estimate the token count of a text for a model
+   * @param {string} text - Input text
+   * @param {string} model - Model name
+   * @returns {number} - Estimated tokens
+   */
+  estimateTokens(text, model) {
+    return Math.ceil((text || '').length / this.getModelLimits(model).charsPerToken);
+  }
+
+  /**
+   * Compute the token budget left for context documents
+   * @param {Object} options - Prompt parts and model settings
+   * @returns {number} - Tokens available for context
+   */
+  getBudget(options = {}) {
+    const { model, systemPrompt = '', query = '', history = [], maxTokens = 0 } = options;
+    const contextWindow = options.contextWindow || this.getModelLimits(model).contextWindow;
+
+    const historyTokens = (Array.isArray(history) ? history : []).reduce(
+      (sum, msg) => sum + this.estimateTokens(msg.content, model) + this.messageOverheadTokens,
+      0
+    );
+    const reserved = maxTokens
+      + historyTokens
+      + this.estimateTokens(systemPrompt, model)
+      + this.estimateTokens(query, model)
+      + this.messageOverheadTokens * 2
+      + Math.ceil(contextWindow * this.safetyMargin);
+
+    const available = Math.max(0, contextWindow - reserved);
+    return this.maxContextTokens ? Math.min(available, this.maxContextTokens) : available;
+  }
+
+  /**
+   * Truncate text to roughly a token count, preferring a sentence or word boundary
+   * @param {string} text - Input text
+   * @param {number} tokens - Token limit
+   * @param {string} model - Model name
+   * @returns {string} - Truncated text
+   */
+  truncate(text, tokens, model) {
+    const maxChars = Math.floor(tokens * this.getModelLimits(model).charsPerToken) - 1;
+    if (text.length <= maxChars) return text;
+
+    let cut = text.substring(0, maxChars);
+    const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('\n'));
+    if (sentenceEnd > maxChars * 0.6) {
+      cut = cut.substring(0, sentenceEnd + 1);
+    } else {
+      const wordEnd = cut.lastIndexOf(' ');
+      if (wordEnd > maxChars * 0.6) cut = cut.substring(0, wordEnd);
+    }
+
+    return `${cut.trimEnd()}…`;
+  }
+
+  /**
+   * Pack documents into the context budget in the order given (most relevant first)
+   * @param {Array<{id: string, content: string}>} documents - Ranked documents
+   * @param {Object} options - Prompt parts and model settings
+   * @param {string} options.model - Model name
+   * @param {string} options.systemPrompt - System prompt
+   * @param {string} options.query - User question
+   * @param {Array} options.history - Conversation history
+   * @param {number} options.maxTokens - Tokens reserved for the response
+   * @returns {{documents: Array, report: Object}} - Packed documents (truncated copies where needed) and a packing report
+   */
+  pack(documents, options = {}) {
+    const { model } = options;
+    const budget = this.getBudget(options);
+    const packed = [];
+    const included = [];
+    const dropped = [];
+    let remaining = budget;
+
+    for (const doc of documents) {
+      const tokens = this.estimateTokens(doc.content, model) + this.blockOverheadTokens;
+
+      if (tokens <= remaining) {
+        packed.push(doc);
+        included.push({ id: doc.id, tokens, truncated: false });
+        remaining -= tokens;
+        continue;
+      }
+
+      const available = remaining - this.blockOverheadTokens;
+      if (available >= this.minTruncatedTokens) {
+        const content = this.truncate(doc.content, available, model);
+        const used = this.estimateTokens(content, model) + this.blockOverheadTokens;
+        packed.push({ ...doc, content, truncated: true, originalLength: doc.content.length });
+        included.push({ id: doc.id, tokens: used, truncated: true });
+        remaining -= used;
+      } else {
+        // Later (smaller) documents may still fit
+        dropped.push({ id: doc.id, tokens });
+      }
+    }
+
+    return {
+      documents: packed,
+      report: {
+        model: model || null,
+        budgetTokens: budget,
+        usedTokens: budget - remaining,
+        included,
+        truncated: included.filter(entry => entry.truncated).map(entry => entry.id),
+        dropped
+      }
+    };
+  }
+}
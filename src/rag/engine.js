@@ -1,3 +1,24 @@
+import { fingerprintDocuments, hashContent, hashDocument, readSnapshot, writeSnapshot } from './snapshot.js';
+import { reciprocalRankFusion, weightedScoreFusion } from './fusion.js';
+import { isEmptyFilter, matchesFilter, validateFilter } from './filters.js';
+import { maximalMarginalRelevance } from './mmr.js';
+import { extractCitations } from './citations.js';
+import { ContextPacker } from './context-packer.js';
+import { expandHits, isChunk } from './context-expansion.js';
+import { VectorStore } from './vector-store.js';
+import { buildRepairPrompt, buildSchemaInstructions, parseStructuredOutput, validateSchema } from './structured-output.js';
+import { summarizeLLMEvents } from '../llm/resilient.js';
+import { summarizeUsage } from '../usage/tracker.js';
+import { GuardrailsPlugin } from '../plugins/guardrails.js';
+import { RoutingPlugin } from '../plugins/routing.js';
+import { PromptPlugin } from '../plugins/prompt.js';
+import { GroundednessPlugin } from '../plugins/groundedness.js';
+
+const HOOK_STAGES = ['beforeRetrieve', 'afterRetrieve', 'beforeGenerate', 'onStreamChunk', 'afterGenerate', 'onError'];
+
+// Score a document was ranked by: the reranker's when it ran (score stays the retrieval score)
+const rankScore = doc => doc.rerankScore ?? doc.score;
+
 /**
  * RAG Engine
  * Orchestrates the retrieval-augmented generation pipeline
@@ -12,10 +33,109 @@ export class RAGEngine {
     this.similarityThreshold = config.similarityThreshold || 0.15; // Lower threshold for better recall
     this.smartRouting = config.smartRouting ?? true; // Enable smart routing by default
     this.routingThreshold = config.routingThreshold || 0.25; // Min score to use RAG
-    this.documentVectors = new Map();
+    this.indexPath = config.indexPath || null; // Snapshot file for warm starts
+    this.retrievalStrategy = config.retrievalStrategy || 'vector'; // 'vector', 'lexical' or 'hybrid'
+    this.fusionMethod = config.fusionMethod || 'rrf'; // 'rrf' or 'weighted' (hybrid only)
+    this.rrfK = config.rrfK || 60; // Rank constant for reciprocal rank fusion
+    this.hybridWeights = { vector: 1, lexical: 1, ...config.hybridWeights };
+    this.mmr = config.mmr ?? false; // Diversify results with maximal marginal relevance
+    this.mmrLambda = config.mmrLambda ?? 0.5; // 1 = pure relevance, 0 = pure diversity
+    this.mmrCandidates = config.mmrCandidates || 4; // Candidate pool size as a multiple of topK
+    this.reranker = config.reranker || null; // Second-stage reranker (see rerankers/)
+    this.rerankCandidates = config.rerankCandidates || 20; // Top-N candidates passed to the reranker
+    this.queryTransformer = config.queryTransformer || null; // LLM query rewriting/expansion
+    this.hyde = config.hyde ?? false; // Search with the embedding of a hypothetical answer (HyDE)
+    this.hydeQueryWeight = config.hydeQueryWeight ?? 0; // Share of the query vector averaged into the HyDE vector
+    this.rebuildThreshold = config.rebuildThreshold ?? 0.5; // Changed share of documents that triggers a full re-embed on refresh
+    this.contextPacker = config.contextPacker === undefined
+      ? new ContextPacker({ maxContextTokens: config.maxContextTokens })
+      : config.contextPacker || null; // Fits retrieved context into the model's prompt budget (false to disable)
+    this.expandContext = config.expandContext || null; // 'neighbors' or 'parent': widen chunk hits to the text around them
+    this.expandWindow = config.expandWindow ?? 1; // Neighbouring chunks added on each side in 'neighbors' mode
+    this.groundedness = config.groundedness || null; // GroundednessChecker scoring answers against their context
+    this.structuredRetries = config.structuredRetries ?? 2; // Repair requests when a JSON answer doesn't match its schema
+    this.plugins = []; // Query lifecycle hooks, run in order (see use())
+    // Groundedness runs first so its afterGenerate scores the answer before guardrails append disclaimers
+    (config.plugins || [new GroundednessPlugin(), new GuardrailsPlugin(), new RoutingPlugin(), new PromptPlugin()])
+      .forEach(plugin => this.use(plugin));
+    this.answerCache = config.answerCache || null; // Replays answers to repeated questions (see cache/answer-cache.js)
+    this.usageTracker = config.usageTracker || null; // Aggregates token usage and cost (see usage/tracker.js)
+    this.collection = config.collection || 'default'; // Collection name usage is recorded under
+    this.vectorStore = config.vectorStore || new VectorStore(); // Typed-array vector storage, optionally int8-quantized
+    this.vectorIndex = config.vectorIndex || null; // Approximate nearest neighbour index (see rag/hnsw.js); exact search when null
+    this.indexedDocuments = new Map(); // ID -> { id, metadata, contentHash, textHash }; content stays in the data source
     this.initialized = false;
   }
 
+  /**
+   * Register a query lifecycle plugin
+   * A plugin is an object with a name and any of the hooks beforeRetrieve, afterRetrieve,
+   * beforeGenerate, onStreamChunk, afterGenerate (each called with the query context, may be async)
+   * and onError(error, ctx). Hooks modify the context in place; setting ctx.blocked stops the query.
+   * A plugin with the same name as a registered one replaces it in place
+   * @param {Object} plugin - Plugin
+   * @param {Object} options - Placement options
+   * @param {string} options.before - Insert before the plugin with this name
+   * @param {string} options.after - Insert after the plugin with this name
+   * @returns {RAGEngine} - The engine, for chaining
+   */
+  use(plugin, options = {}) {
+    if (!plugin || !HOOK_STAGES.some(stage => typeof plugin[stage] === 'function')) {
+      throw new Error(`Plugin must implement at least one hook: ${HOOK_STAGES.join(', ')}`);
+    }
+
+    const existing = plugin.name ? this.plugins.findIndex(p => p.name === plugin.name) : -1;
+    if (existing !== -1 && !options.before && !options.after) {
+      this.plugins[existing] = plugin;
+      return this;
+    }
+    if (existing !== -1) {
+      this.plugins.splice(existing, 1);
+    }
+
+    const anchor = options.before || options.after;
+    const index = anchor ? this.plugins.findIndex(p => p.name === anchor) : -1;
+    if (anchor && index === -1) {
+      throw new Error(`Plugin not found: ${anchor}`);
+    }
+
+    if (index === -1) {
+      this.plugins.push(plugin);
+    } else {
+      this.plugins.splice(options.before ? index : index + 1, 0, plugin);
+    }
+
+    return this;
+  }
+
+  /**
+   * Remove a plugin by name
+   * @param {string} name - Plugin name
+   * @returns {boolean} - True if a plugin was removed
+   */
+  removePlugin(name) {
+    const index = this.plugins.findIndex(p => p.name === name);
+    if (index === -1) return false;
+
+    this.plugins.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Run one lifecycle stage across the plugins in order
+   * Stops as soon as a hook blocks the query
+   * @param {string} stage - Hook name
+   * @param {Object} ctx - Query context
+   */
+  async runHooks(stage, ctx) {
+    for (const plugin of this.plugins) {
+      if (ctx.blocked) return;
+      if (typeof plugin[stage] === 'function') {
+        await plugin[stage](ctx);
+      }
+    }
+  }
+
   /**
    * Initialize the RAG engine
    */
@@ -28,6 +148,10 @@ export class RAGEngine {
       throw new Error('LLM is required');
     }
 
+    if (this.vectorIndex && this.vectorStore.quantized) {
+      throw new Error('int8 vector quantization cannot be combined with an ANN index: the HNSW graph keeps a Float32 copy of every vector');
+    }
+
     // Initialize data source
     if (!this.dataSource.initialized) {
       await this.dataSource.initialize();
@@ -38,13 +162,22 @@ export class RAGEngine {
 
     // Initialize embeddings and build index
     if (this.embeddings) {
-      const documents = this.dataSource.getDocuments();
-      const texts = documents.map(d => d.content);
-      
-      await this.embeddings.initialize(texts);
-      
-      // Generate embeddings for all documents
-      await this.buildVectorIndex();
+      // Warm start from a snapshot if one matches the current data source content
+      const loaded = this.indexPath ? await this.loadIndex(this.indexPath) : false;
+
+      if (!loaded) {
+        const documents = this.dataSource.getDocuments();
+        const texts = documents.map(d => d.content);
+        
+        await this.embeddings.initialize(texts);
+        
+        // Generate embeddings for all documents
+        await this.buildVectorIndex();
+
+        if (this.indexPath) {
+          await this.saveIndex(this.indexPath);
+        }
+      }
     }
 
     // Update cached document count for Elasticsearch and other async data sources
@@ -57,6 +190,10 @@ export class RAGEngine {
       }
     }
 
+    if (this.answerCache) {
+      await this.answerCache.initialize(fingerprintDocuments(await this.dataSource.getDocuments()));
+    }
+
     this.initialized = true;
   }
 
@@ -64,15 +201,224 @@ export class RAGEngine {
    * Build vector index for all documents
    */
   async buildVectorIndex() {
-    const documents = this.dataSource.getDocuments();
+    const documents = await this.dataSource.getDocuments();
     
     for (const doc of documents) {
       const vector = await this.embeddings.embed(doc.content);
-      this.documentVectors.set(doc.id, {
+      this.setDocumentVector(doc, vector);
+    }
+  }
+
+  /**
+   * Store a document's vector and index entry, and keep the ANN index in sync
+   * @param {{id: string, content: string, metadata: Object}} doc - Source document
+   * @param {ArrayLike<number>} vector - Document embedding
+   */
+  setDocumentVector(doc, vector) {
+    this.indexedDocuments.set(doc.id, {
+      id: doc.id,
+      metadata: doc.metadata || {},
+      contentHash: hashDocument(doc),
+      textHash: hashContent(doc.content)
+    });
+    // The index holds views into the store: tombstone the old node before its vector is overwritten
+    if (this.vectorStore.has(doc.id)) {
+      this.vectorIndex?.remove(doc.id);
+    }
+    this.vectorStore.set(doc.id, vector);
+    this.vectorIndex?.add(doc.id, this.vectorStore.get(doc.id));
+  }
+
+  /**
+   * Get a document's vector, reusing the stored one when its content hasn't changed
+   * @param {{id: string, content: string}} doc - Source document
+   * @returns {Promise<ArrayLike<number>>} - Document embedding
+   */
+  async embedDocument(doc) {
+    // Metadata-only changes keep the existing vector
+    const existing = this.indexedDocuments.get(doc.id);
+    if (existing && existing.textHash === hashContent(doc.content) && this.vectorStore.has(doc.id)) {
+      return this.vectorStore.getExact(doc.id);
+    }
+    return this.embeddings.embed(doc.content);
+  }
+
+  /**
+   * Remove a document's vector from the store and the ANN index
+   * @param {string} id - Document ID
+   */
+  removeDocumentVector(id) {
+    this.indexedDocuments.delete(id);
+    this.vectorStore.delete(id);
+    this.vectorIndex?.remove(id);
+  }
+
+  /**
+   * Drop every vector
+   */
+  clearDocumentVectors() {
+    this.indexedDocuments = new Map();
+    this.vectorStore.clear();
+    this.vectorIndex?.clear();
+  }
+
+  /**
+   * Compare data source documents against the vector index by content hash
+   * @param {Array} documents - Current data source documents
+   * @returns {{added: Array, updated: Array, removed: Array<string>, unchanged: number}} - Changes to apply
+   */
+  diffDocuments(documents) {
+    const changes = { added: [], updated: [], removed: [], unchanged: 0 };
+    const seen = new Set();
+
+    for (const doc of documents) {
+      seen.add(doc.id);
+      const existing = this.indexedDocuments.get(doc.id);
+
+      if (!existing) {
+        changes.added.push(doc);
+      } else if ((existing.contentHash || hashDocument(existing)) !== hashDocument(doc)) {
+        changes.updated.push(doc);
+      } else {
+        changes.unchanged++;
+      }
+    }
+
+    for (const id of this.indexedDocuments.keys()) {
+      if (!seen.has(id)) changes.removed.push(id);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Bring the vector index in line with the data source's current documents
+   * Only added or changed documents are embedded and removed IDs are evicted. When more than
+   * rebuildThreshold of the documents changed, the vocabulary is rebuilt and everything re-embedded
+   * @param {Object} options - Sync options
+   * @param {boolean} options.full - Force a full rebuild
+   * @returns {Promise<{added: number, updated: number, removed: number, unchanged: number, fullRebuild: boolean}>}
+   */
+  async syncIndex(options = {}) {
+    const documents = await this.dataSource.getDocuments();
+    const changes = this.diffDocuments(documents);
+    const changed = changes.added.length + changes.updated.length + changes.removed.length;
+    const result = {
+      added: changes.added.length,
+      updated: changes.updated.length,
+      removed: changes.removed.length,
+      unchanged: changes.unchanged,
+      fullRebuild: false
+    };
+
+    if (!this.embeddings || (changed === 0 && !options.full)) {
+      return result;
+    }
+
+    if (options.full || changed > documents.length * this.rebuildThreshold) {
+      await this.embeddings.buildVocabulary(documents.map(d => d.content));
+      this.clearDocumentVectors();
+      await this.buildVectorIndex();
+      result.fullRebuild = true;
+    } else {
+      for (const id of changes.removed) {
+        this.removeDocumentVector(id);
+      }
+
+      for (const doc of [...changes.added, ...changes.updated]) {
+        this.setDocumentVector(doc, await this.embedDocument(doc));
+      }
+    }
+
+    if (this.indexPath) {
+      await this.saveIndex(this.indexPath);
+    }
+
+    await this.invalidateAnswerCache(fingerprintDocuments(documents));
+
+    return result;
+  }
+
+  /**
+   * Save the vector index and embeddings state to a snapshot file
+   * @param {string} path - Snapshot file path
+   */
+  async saveIndex(path = this.indexPath) {
+    if (!path) {
+      throw new Error('Index path is required');
+    }
+
+    if (!this.embeddings) {
+      throw new Error('Embeddings are required to save an index');
+    }
+
+    const documents = await this.dataSource.getDocuments();
+
+    await writeSnapshot(path, {
+      createdAt: new Date().toISOString(),
+      fingerprint: fingerprintDocuments(documents),
+      embeddings: this.embeddings.exportState(),
+      documents: Array.from(this.indexedDocuments.values(), doc => ({
         ...doc,
-        vector
-      });
+        vector: Array.from(this.vectorStore.getExact(doc.id))
+      })),
+      vectorIndex: this.vectorIndex?.exportState() || null
+    });
+  }
+
+  /**
+   * Load the vector index and embeddings state from a snapshot file
+   * The snapshot is discarded if the data source content has changed since it was saved
+   * @param {string} path - Snapshot file path
+   * @returns {Promise<boolean>} - True if the snapshot was loaded
+   */
+  async loadIndex(path = this.indexPath) {
+    if (!path) {
+      throw new Error('Index path is required');
     }
+
+    if (!this.embeddings) {
+      throw new Error('Embeddings are required to load an index');
+    }
+
+    const snapshot = await readSnapshot(path);
+    if (!snapshot) {
+      return false;
+    }
+
+    const documents = await this.dataSource.getDocuments();
+    if (snapshot.fingerprint !== fingerprintDocuments(documents)) {
+      console.log('♻️  Index snapshot is stale (data source changed), rebuilding...');
+      return false;
+    }
+
+    if (snapshot.embeddings?.dimension !== this.embeddings.getDimension()) {
+      console.log('♻️  Index snapshot has a different embedding dimension, rebuilding...');
+      return false;
+    }
+
+    this.embeddings.importState(snapshot.embeddings);
+    this.indexedDocuments = new Map();
+    this.vectorStore.clear();
+    for (const { vector, content, ...doc } of snapshot.documents) {
+      // Older snapshots stored the content instead of its hash
+      this.indexedDocuments.set(doc.id, { ...doc, textHash: doc.textHash || hashContent(content) });
+      this.vectorStore.set(doc.id, vector);
+    }
+
+    if (this.vectorIndex) {
+      const restored = snapshot.vectorIndex
+        && this.vectorIndex.importState(snapshot.vectorIndex, id => this.vectorStore.get(id));
+      if (!restored) {
+        // Snapshot predates the index or was built with different parameters; rebuild the graph only
+        this.vectorIndex.clear();
+        for (const id of this.vectorStore.keys()) {
+          this.vectorIndex.add(id, this.vectorStore.get(id));
+        }
+      }
+    }
+
+    return true;
   }
 
   /**
@@ -85,77 +431,401 @@ export class RAGEngine {
     
     if (this.embeddings) {
       const vector = await this.embeddings.embed(document.content);
-      this.documentVectors.set(id, {
-        id,
-        content: document.content,
-        metadata: document.metadata || {},
-        vector
-      });
+      this.setDocumentVector({ ...document, id }, vector);
     }
+
+    await this.invalidateAnswerCache();
     
     return id;
   }
 
+  /**
+   * Get a document by ID
+   * @param {string} id - Document ID
+   * @returns {Promise<Object|null>} - Document, or null if not found
+   */
+  async getDocument(id) {
+    return this.dataSource.getDocument(id);
+  }
+
+  /**
+   * Update a document and keep its vector in sync
+   * @param {string} id - Document ID
+   * @param {{content: string, metadata: Object}} patch - Fields to change (null metadata values remove keys)
+   * @param {Object} options - Update options
+   * @param {boolean} options.replace - Replace the metadata instead of merging into it
+   * @returns {Promise<Object|null>} - Updated document, or null if not found
+   * @throws {Error} - With status 400 for an invalid patch, 501 if the data source can't apply it
+   */
+  async updateDocument(id, patch = {}, options = {}) {
+    const { content, metadata } = patch;
+    let patchError = null;
+    if (options.replace && !content) {
+      patchError = 'Content is required';
+    } else if (content !== undefined && (typeof content !== 'string' || !content)) {
+      patchError = 'Content must be a non-empty string';
+    } else if (metadata !== undefined && (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata))) {
+      patchError = 'Metadata must be an object';
+    }
+
+    if (patchError) {
+      const error = new Error(patchError);
+      error.status = 400;
+      throw error;
+    }
+
+    if (options.replace) {
+      const existing = await this.dataSource.getDocument(id);
+      if (!existing) return null;
+
+      // Express a replacement as a patch that removes every key not in the new metadata
+      const metadata = Object.fromEntries(Object.keys(existing.metadata || {}).map(key => [key, null]));
+      patch = { ...patch, metadata: { ...metadata, ...(patch.metadata || {}) } };
+    }
+
+    const updated = await this.dataSource.updateDocument(id, patch);
+    if (!updated) return null;
+
+    if (this.embeddings) {
+      this.setDocumentVector(updated, await this.embedDocument(updated));
+    }
+
+    await this.invalidateAnswerCache();
+
+    return updated;
+  }
+
+  /**
+   * Delete a document and its vector
+   * @param {string} id - Document ID
+   * @returns {Promise<boolean>} - True if the document existed
+   */
+  async deleteDocument(id) {
+    const deleted = await this.dataSource.deleteDocument(id);
+    this.removeDocumentVector(id);
+    if (deleted) {
+      await this.invalidateAnswerCache();
+    }
+    return deleted;
+  }
+
+  /**
+   * Drop cached answers after the indexed documents changed
+   * @param {string|null} fingerprint - New data source fingerprint, if already computed
+   */
+  async invalidateAnswerCache(fingerprint = null) {
+    if (!this.answerCache) return;
+
+    // A persisted cache needs the fingerprint to be reloaded on the next start
+    if (!fingerprint && this.answerCache.path) {
+      fingerprint = fingerprintDocuments(await this.dataSource.getDocuments());
+    }
+    await this.answerCache.clear(fingerprint);
+  }
+
   /**
    * Retrieve relevant documents for a query
    * @param {string} query - Search query
    * @param {number} topK - Number of documents to retrieve
+   * @param {Object} options - Retrieval options
+   * @param {string} options.strategy - Override strategy: 'vector', 'lexical' or 'hybrid'
+   * @param {Object} options.filter - Metadata filter (see rag/filters.js)
+   * @param {boolean} options.mmr - Override MMR diversification
+   * @param {number} options.mmrLambda - Override MMR relevance/diversity trade-off
+   * @param {boolean} options.rerank - Set to false to skip the reranker for this call
+   * @param {boolean} options.hyde - Override HyDE retrieval
+   * @param {number} options.hydeQueryWeight - Override the share of the query vector in the HyDE vector
+   * @param {Function} options.onUsage - Receives the token usage of LLM calls (HyDE, LLM reranking)
    * @returns {Promise<Array>} - Retrieved documents with scores
    */
-  async retrieve(query, topK = this.topK) {
+  async retrieve(query, topK = this.topK, options = {}) {
+    validateFilter(options.filter);
+
+    // HyDE only changes the vector side of retrieval; lexical search still uses the query text
+    if ((options.hyde ?? this.hyde) && this.embeddings && !options.queryVector) {
+      options = {
+        ...options,
+        queryVector: await this.embedHypotheticalDocument(query, options.hydeQueryWeight ?? this.hydeQueryWeight, {
+          onUsage: options.onUsage
+        })
+      };
+    }
+
+    const useMMR = (options.mmr ?? this.mmr) && this.embeddings;
+    const useReranker = this.reranker && options.rerank !== false;
+
+    let poolSize = useMMR ? topK * this.mmrCandidates : topK;
+    if (useReranker) {
+      poolSize = Math.max(poolSize, this.rerankCandidates);
+    }
+
+    let candidates = await this.retrieveCandidates(query, poolSize, options);
+
+    if (useReranker) {
+      candidates = await this.reranker.rerank(query, candidates, { onUsage: options.onUsage });
+    }
+
+    if (useMMR) {
+      return this.diversify(query, candidates, topK, options.mmrLambda ?? this.mmrLambda, options.queryVector);
+    }
+
+    return candidates.slice(0, topK);
+  }
+
+  /**
+   * Set the second-stage reranker
+   * @param {BaseReranker|null} reranker - Reranker instance, or null to disable
+   */
+  setReranker(reranker) {
+    this.reranker = reranker;
+  }
+
+  /**
+   * Retrieve documents using the configured retrieval strategy
+   * @param {string} query - Search query
+   * @param {number} topK - Number of documents to retrieve
+   * @param {Object} options - Retrieval options (see retrieve())
+   * @returns {Promise<Array>} - Retrieved documents with scores
+   */
+  async retrieveCandidates(query, topK, options = {}) {
+    const strategy = options.strategy || this.retrievalStrategy;
+    const hasVectors = this.embeddings && this.vectorStore.size > 0;
+
+    if (strategy === 'hybrid' && hasVectors) {
+      return this.retrieveHybrid(query, topK, options);
+    }
+
     // Use vector similarity if embeddings are available
-    if (this.embeddings && this.documentVectors.size > 0) {
-      return this.retrieveByVector(query, topK);
+    if (strategy !== 'lexical' && hasVectors) {
+      return this.retrieveByVector(query, topK, options);
     }
     
-    // Fallback to data source's search
-    return this.dataSource.search(query, topK);
+    // Fallback to data source's search (filter is pushed down to the source)
+    return this.dataSource.search(query, topK, { filter: options.filter });
+  }
+
+  /**
+   * Ask the LLM for a passage that would answer the query
+   * @param {string} query - Search query
+   * @param {Object} options - Options (onUsage receives the call's token usage)
+   * @returns {Promise<string>} - Hypothetical answer passage
+   */
+  async generateHypotheticalDocument(query, options = {}) {
+    return this.llm.complete(
+      `Write a short, factual passage (3-5 sentences) that directly answers the question below, as it might appear in a reference document. Do not mention that it is hypothetical.
+
+Question: ${query}
+
+Passage:`,
+      { temperature: 0.3, maxTokens: 256, operation: 'hyde', onUsage: options.onUsage }
+    );
+  }
+
+  /**
+   * Build a HyDE query vector: the embedding of a hypothetical answer passage,
+   * optionally averaged with the query's own embedding
+   * Falls back to the plain query vector if generation fails
+   * @param {string} query - Search query
+   * @param {number} queryWeight - Share of the query vector (0 = passage only, 1 = query only)
+   * @param {Object} options - Options (onUsage receives the generation's token usage)
+   * @returns {Promise<Array<number>>} - Normalized query vector
+   */
+  async embedHypotheticalDocument(query, queryWeight = this.hydeQueryWeight, options = {}) {
+    const queryVector = await this.embeddings.embed(query);
+
+    let passage;
+    try {
+      passage = await this.generateHypotheticalDocument(query, options);
+    } catch (error) {
+      console.warn('HyDE generation failed, using query vector:', error.message);
+      return queryVector;
+    }
+
+    if (!passage || !passage.trim()) {
+      return queryVector;
+    }
+
+    const passageVector = await this.embeddings.embed(passage);
+    if (queryWeight <= 0) {
+      return passageVector;
+    }
+
+    return this.embeddings.normalize(passageVector.map((value, i) =>
+      (1 - queryWeight) * value + queryWeight * queryVector[i]
+    ));
+  }
+
+  /**
+   * Re-rank candidates with maximal marginal relevance
+   * Uses the vectors already in the index; candidates from lexical search that are not indexed are embedded on the fly
+   * @param {string} query - Search query
+   * @param {Array} candidates - Retrieved candidate documents
+   * @param {number} topK - Number of documents to keep
+   * @param {number} lambda - 1 = pure relevance, 0 = pure diversity
+   * @param {Array<number>} queryVector - Precomputed query vector (e.g. from HyDE)
+   * @returns {Promise<Array>} - Diversified documents with scores
+   */
+  async diversify(query, candidates, topK, lambda = this.mmrLambda, queryVector = null) {
+    if (candidates.length <= 1) {
+      return candidates.slice(0, topK);
+    }
+
+    queryVector = queryVector || await this.embeddings.embed(query);
+    const withVectors = await Promise.all(candidates.map(async doc => ({
+      ...doc,
+      vector: this.vectorStore.get(doc.id) || await this.embeddings.embed(doc.content)
+    })));
+
+    const selected = maximalMarginalRelevance(queryVector, withVectors, {
+      topK,
+      lambda,
+      similarity: (a, b) => this.embeddings.cosineSimilarity(a, b)
+    });
+
+    return selected.map(({ vector, ...doc }) => doc);
+  }
+
+  /**
+   * Retrieve documents using both vector similarity and the data source's lexical search
+   * Results are fused so exact terms found by BM25/full-text search are not lost
+   * @param {string} query - Search query
+   * @param {number} topK - Number of documents to retrieve
+   * @param {Object} options - Retrieval options
+   * @param {Object} options.filter - Metadata filter
+   * @returns {Promise<Array>} - Fused documents with scores and contributing retrievers
+   */
+  async retrieveHybrid(query, topK, options = {}) {
+    const candidates = topK * 2;
+
+    const [vectorResults, lexicalResults] = await Promise.all([
+      this.retrieveByVector(query, candidates, options),
+      this.dataSource.search(query, candidates, { filter: options.filter }).catch(error => {
+        console.warn('Lexical search failed, using vector results only:', error.message);
+        return [];
+      })
+    ]);
+
+    const resultLists = [
+      { name: 'vector', results: vectorResults, weight: this.hybridWeights.vector },
+      { name: 'lexical', results: lexicalResults, weight: this.hybridWeights.lexical }
+    ];
+
+    const fused = this.fusionMethod === 'weighted'
+      ? weightedScoreFusion(resultLists)
+      : reciprocalRankFusion(resultLists, { k: this.rrfK });
+
+    return fused.slice(0, topK);
   }
 
   /**
    * Retrieve documents using vector similarity
    * @param {string} query - Search query
    * @param {number} topK - Number of documents to retrieve
+   * @param {Object} options - Retrieval options
+   * @param {Object} options.filter - Metadata filter
+   * @param {Array<number>} options.queryVector - Precomputed query vector (e.g. from HyDE)
    * @returns {Promise<Array>} - Retrieved documents with scores
    */
-  async retrieveByVector(query, topK) {
-    const queryVector = await this.embeddings.embed(query);
-    
-    const documents = Array.from(this.documentVectors.values());
-    const similarities = this.embeddings.findSimilar(
+  async retrieveByVector(query, topK, options = {}) {
+    const queryVector = options.queryVector || await this.embeddings.embed(query);
+    const searchOptions = isEmptyFilter(options.filter)
+      ? {}
+      : { filter: id => matchesFilter(this.indexedDocuments.get(id)?.metadata, options.filter) };
+
+    const candidates = topK * 2; // Get more candidates for filtering
+    const rescore = this.vectorStore.rescorable;
+    let similarities = this.embeddings.findSimilar(
       queryVector,
-      documents,
-      topK * 2 // Get more candidates for filtering
+      this.vectorIndex || this.vectorStore,
+      rescore ? candidates * this.vectorStore.rescoreFactor : candidates,
+      searchOptions
     );
 
-    // Filter by threshold and limit
-    const results = [];
-    for (const { id, score } of similarities) {
-      if (score >= this.similarityThreshold && results.length < topK) {
-        const doc = this.documentVectors.get(id);
-        results.push({
-          id: doc.id,
-          content: doc.content,
-          metadata: doc.metadata,
-          score
-        });
-      }
+    // Approximate int8 scores are replaced by exact ones from the store's full-precision vectors
+    if (rescore) {
+      similarities = this.vectorStore.rescore(queryVector, similarities, candidates);
     }
 
-    // If no results pass threshold, return top results anyway
-    if (results.length === 0 && similarities.length > 0) {
-      for (const { id, score } of similarities.slice(0, topK)) {
-        const doc = this.documentVectors.get(id);
-        results.push({
-          id: doc.id,
-          content: doc.content,
-          metadata: doc.metadata,
-          score
-        });
-      }
+    // Filter by threshold and limit; if no results pass threshold, return top results anyway
+    let hits = similarities.filter(({ score }) => score >= this.similarityThreshold).slice(0, topK);
+    if (hits.length === 0) {
+      hits = similarities.slice(0, topK);
+    }
+
+    // Content stays in the data source; documents removed since the last sync are skipped
+    const docs = await this.fetchDocuments(hits.map(hit => hit.id));
+
+    return hits
+      .map((hit, i) => docs[i] && { id: docs[i].id, content: docs[i].content, metadata: docs[i].metadata, score: hit.score })
+      .filter(Boolean);
+  }
+
+  /**
+   * Fetch documents from the data source in one batch where it supports it
+   * @param {Array<string>} ids - Document IDs
+   * @returns {Promise<Array<Object|null>>} - Documents in the order of ids, null where not found
+   */
+  async fetchDocuments(ids) {
+    if (typeof this.dataSource.getDocumentsByIds === 'function') {
+      return this.dataSource.getDocumentsByIds(ids);
+    }
+    return Promise.all(ids.map(id => this.dataSource.getDocument(id)));
+  }
+
+  /**
+   * Retrieve context for a user query, applying query transformation when enabled
+   * Each generated query is retrieved separately and the results are merged, keeping each document's best score
+   * @param {string} query - User's question
+   * @param {number} topK - Number of documents to retrieve
+   * @param {Object} options - Query options (see query())
+   * @returns {Promise<{docs: Array, queries: Object|null}>} - Documents and the generated queries
+   */
+  async retrieveForQuery(query, topK, options = {}) {
+    const retrieveOptions = {
+      strategy: options.retrievalStrategy,
+      filter: options.filter,
+      mmr: options.mmr,
+      mmrLambda: options.mmrLambda,
+      rerank: options.rerank,
+      hyde: options.hyde,
+      hydeQueryWeight: options.hydeQueryWeight,
+      onUsage: options.onUsage
+    };
+
+    const expand = options.expandQuery ?? true;
+    if (!this.queryTransformer || !expand) {
+      return { docs: await this.retrieve(query, topK, retrieveOptions), queries: null };
     }
 
-    return results;
+    const transformed = await this.queryTransformer.transform(query, options.history, {
+      numQueries: options.numQueries,
+      onUsage: options.onUsage
+    });
+
+    const resultLists = await Promise.all(
+      transformed.queries.map(q => this.retrieve(q, topK, retrieveOptions))
+    );
+
+    const merged = new Map();
+    resultLists.forEach((results, queryIndex) => {
+      for (const doc of results) {
+        const existing = merged.get(doc.id);
+        if (!existing) {
+          merged.set(doc.id, { ...doc, matchedQueries: [queryIndex] });
+        } else {
+          existing.matchedQueries.push(queryIndex);
+          if (rankScore(doc) > rankScore(existing)) {
+            merged.set(doc.id, { ...doc, matchedQueries: existing.matchedQueries });
+          }
+        }
+      }
+    });
+
+    const docs = Array.from(merged.values())
+      .sort((a, b) => rankScore(b) - rankScore(a))
+      .slice(0, topK);
+
+    return { docs, queries: transformed };
   }
 
   /**
@@ -200,131 +870,483 @@ export class RAGEngine {
    * @param {string} query - User's question
    * @param {Object} options - Query options
    * @param {string} options.mode - Force mode: 'auto', 'rag', 'hybrid', 'llm'
-   * @returns {Promise<Object>} - Response with answer and sources
+   * @param {string} options.retrievalStrategy - Override retrieval: 'vector', 'lexical', 'hybrid'
+   * @param {Object} options.filter - Metadata filter applied during retrieval
+   * @param {boolean} options.mmr - Diversify retrieved context with MMR
+   * @param {number} options.mmrLambda - MMR relevance/diversity trade-off (0-1)
+   * @param {boolean} options.rerank - Set to false to skip the reranker
+   * @param {boolean} options.expandQuery - Set to false to skip query rewriting/expansion
+   * @param {number} options.numQueries - Override the number of generated sub-queries
+   * @param {boolean} options.hyde - Retrieve with a hypothetical answer embedding (HyDE)
+   * @param {number} options.hydeQueryWeight - Share of the query vector averaged into the HyDE vector
+   * @param {string|boolean} options.expandContext - Widen hits to 'neighbors' or the whole 'parent' document (false to skip)
+   * @param {number} options.expandWindow - Neighbouring chunks added on each side
+   * @param {boolean} options.cache - Set to false to bypass the answer cache
+   * @param {Object} options.schema - JSON Schema the answer must conform to; the parsed answer is returned as data
+   * @returns {Promise<Object>} - Response with answer, sources and parsed citations
    */
   async query(query, options = {}) {
+    const ctx = this.createQueryContext(query, options);
+    // Answers that depend on conversation history are never cached
+    ctx.useCache = Boolean(this.answerCache) && options.cache !== false && !(ctx.history?.length > 0);
+
+    try {
+      if (options.schema) {
+        validateSchema(options.schema);
+      }
+
+      await this.prepareQuery(ctx);
+      if (ctx.blocked) {
+        return this.buildBlockedResponse(ctx);
+      }
+
+      if (ctx.cacheHit) {
+        return this.buildCachedResponse(ctx);
+      }
+
+      // Generate response (JSON validated against the schema when one is given)
+      ctx.answer = options.schema
+        ? await this.generateStructured(ctx)
+        : await this.llm.generateResponse(ctx.query, ctx.contextDocs, {
+          history: ctx.history,
+          systemPrompt: ctx.systemPrompt,
+          temperature: options.temperature,
+          onEvent: event => ctx.llmEvents.push(event),
+          onUsage: ctx.onUsage
+        });
+
+      await this.runHooks('afterGenerate', ctx);
+      const response = this.buildResponse(ctx);
+
+      if (!ctx.useCache) return response;
+      // Answers from a fallback model are not cached under the primary model's scope
+      if (!ctx.blocked && !response.llm?.fallback) {
+        await this.answerCache.set(ctx.query, this.getCacheScope(ctx), response, ctx.state.cacheVector);
+      }
+      return { ...response, cache: { hit: false } };
+    } catch (error) {
+      this.recordUsage(ctx); // Tokens spent before the failure still count
+      return this.handleError(error, ctx);
+    }
+  }
+
+  /**
+   * Generate an answer as JSON that conforms to ctx.options.schema
+   * The schema is added to the system prompt and the provider's JSON mode is used where it has
+   * one. Replies that don't parse or validate are sent back with the errors for repair, up to
+   * structuredRetries times
+   * @param {Object} ctx - Query context
+   * @returns {Promise<string>} - The JSON reply (ctx.structured records the parsed data and repairs)
+   * @throws {Error} - With status 422 and validationErrors if no reply conforms
+   */
+  async generateStructured(ctx) {
+    const { schema } = ctx.options;
+    if (typeof this.llm.chat !== 'function') {
+      throw new Error('Structured answers require an LLM that implements chat() (extend BaseLLM)');
+    }
+
+    const messages = this.llm.buildMessages(ctx.query, ctx.contextDocs, {
+      history: ctx.history,
+      systemPrompt: `${ctx.systemPrompt || this.llm.systemPrompt}\n\n${buildSchemaInstructions(schema)}`
+    });
+    const callOptions = {
+      temperature: ctx.options.temperature,
+      responseFormat: { type: 'json', schema },
+      onEvent: event => ctx.llmEvents.push(event),
+      onUsage: ctx.onUsage
+    };
+
+    let reply = await this.llm.chat(messages, { ...callOptions, operation: 'generate' });
+    const repairs = []; // Validation errors of each rejected reply
+    for (;;) {
+      const { data, errors } = parseStructuredOutput(reply, schema);
+      if (errors.length === 0) {
+        ctx.structured = { data, attempts: repairs.length + 1, repairs };
+        return reply;
+      }
+
+      if (repairs.length >= this.structuredRetries) {
+        const error = new Error(`Answer did not conform to the schema after ${repairs.length + 1} attempts: ${errors.join('; ')}`);
+        error.status = 422;
+        error.validationErrors = errors;
+        error.output = reply;
+        throw error;
+      }
+
+      repairs.push(errors);
+      reply = await this.llm.chat([
+        ...messages,
+        { role: 'assistant', content: reply },
+        { role: 'user', content: buildRepairPrompt(errors) }
+      ], { ...callOptions, operation: 'repair' });
+    }
+  }
+
+  /**
+   * Parsed data of a structured answer
+   * Read back from the final answer so afterGenerate hooks (sanitizing, disclaimers) apply to it too
+   * @param {Object} ctx - Query context after generation
+   * @returns {*} - Data, or null when the answer was blocked, replaced by an abstention or no longer conforms
+   */
+  getStructuredData(ctx) {
+    if (ctx.blocked || ctx.groundedness?.action === 'replace') return null;
+
+    const { data, errors } = parseStructuredOutput(ctx.answer, ctx.options.schema);
+    return errors.length === 0 ? data : null;
+  }
+
+  /**
+   * Settings a cached answer depends on; answers are only reused within the same scope
+   * @param {Object} ctx - Query context
+   * @returns {Object} - Cache scope
+   */
+  getCacheScope(ctx) {
+    const { options } = ctx;
+    const mmr = Boolean(options.mmr ?? this.mmr);
+    const hyde = Boolean(options.hyde ?? this.hyde);
+    const expandQuery = Boolean(this.queryTransformer) && options.expandQuery !== false;
+    return {
+      mode: ctx.mode,
+      topK: ctx.topK,
+      filter: options.filter || null,
+      model: this.llm?.model || null,
+      temperature: options.temperature ?? null,
+      retrievalStrategy: options.retrievalStrategy || this.retrievalStrategy,
+      mmr,
+      mmrLambda: mmr ? options.mmrLambda ?? this.mmrLambda : null,
+      hyde,
+      hydeQueryWeight: hyde ? options.hydeQueryWeight ?? this.hydeQueryWeight : null,
+      rerank: Boolean(this.reranker) && options.rerank !== false,
+      expandQuery,
+      numQueries: expandQuery ? options.numQueries ?? null : null,
+      expandContext: options.expandContext ?? this.expandContext,
+      expandWindow: options.expandWindow ?? this.expandWindow,
+      systemPrompt: options.systemPrompt || null,
+      schema: options.schema || null
+    };
+  }
+
+  /**
+   * Look up the (possibly rewritten) query in the answer cache
+   * @param {Object} ctx - Query context
+   * @returns {Promise<Object|null>} - Cache hit, or null
+   */
+  async lookupAnswerCache(ctx) {
+    if (this.answerCache.semantic && this.embeddings) {
+      // Kept on the context so a miss can store the vector without embedding twice
+      ctx.state.cacheVector = await this.embeddings.embed(this.answerCache.normalizeQuery(ctx.query));
+    }
+
+    return this.answerCache.get(ctx.query, this.getCacheScope(ctx), ctx.state.cacheVector || null);
+  }
+
+  /**
+   * Build the response for a query answered from the cache
+   * @param {Object} ctx - Query context with ctx.cacheHit set
+   * @returns {Object} - Cached response with cache-hit metadata
+   */
+  buildCachedResponse(ctx) {
+    const { entry, match, similarity } = ctx.cacheHit;
+    return {
+      ...entry.response,
+      query: ctx.query,
+      usage: this.recordUsage(ctx), // Usage of this request, not of the one that was cached
+      cache: {
+        hit: true,
+        match, // 'exact' or 'semantic'
+        similarity,
+        cachedQuery: entry.query,
+        cachedAt: entry.createdAt,
+        hits: entry.hits
+      }
+    };
+  }
+
+  /**
+   * Create the mutable context passed through the plugin hooks
+   * @param {string} query - User's question
+   * @param {Object} options - Query options
+   * @returns {Object} - Query context
+   */
+  createQueryContext(query, options = {}) {
+    const ctx = {
+      engine: this,
+      originalQuery: query,
+      query, // Query used for retrieval and generation (plugins may rewrite or sanitize it)
+      options,
+      topK: options.topK || this.topK,
+      mode: options.mode || 'hybrid', // 'auto', 'rag', 'hybrid' or 'llm'
+      history: options.history,
+      systemPrompt: options.systemPrompt || null,
+      docs: [], // Retrieved documents
+      sourceDocs: [], // Documents returned as sources
+      contextDocs: [], // Documents sent to the LLM
+      contextReport: null,
+      routing: null,
+      warnings: null,
+      answer: null,
+      groundedness: null, // Set by the groundedness plugin after generation
+      structured: null, // { data, attempts, repairs } once a JSON answer validates against options.schema
+      llmEvents: [], // Retries, fallbacks and the LLM that answered (reported by ResilientLLM)
+      usage: [], // Token usage of every LLM call made for the query
+      usageReport: null, // Priced usage, set once the query's usage is recorded
+      blocked: null, // { stage, reason, answer } once a hook blocks the query
+      useCache: false, // Set by query() when the answer cache applies
+      cacheHit: null, // { entry, match, similarity } when answered from the cache
+      state: {} // Scratch space shared between plugins
+    };
+    // Passed as onUsage to every LLM call made for the query (plugins making their own calls can pass it too)
+    ctx.onUsage = usage => ctx.usage.push(usage);
+    return ctx;
+  }
+
+  /**
+   * Run everything that precedes generation: beforeRetrieve hooks, retrieval, afterRetrieve hooks,
+   * beforeGenerate hooks and context packing. Shared by query() and queryStream()
+   * @param {Object} ctx - Query context
+   * @returns {Promise<Object>} - The context, with ctx.blocked set if a hook rejected the query
+   */
+  async prepareQuery(ctx) {
     if (!this.initialized) {
       throw new Error('RAG engine not initialized. Call initialize() first.');
     }
 
-    const topK = options.topK || this.topK;
-    const requestedMode = options.mode || 'hybrid'; // Default to hybrid mode
-    
-    let retrievedDocs = [];
-    let mode = requestedMode;
-    let routingInfo = null;
-
-    // Always retrieve documents first (except for pure LLM mode)
-    if (mode !== 'llm') {
-      retrievedDocs = await this.retrieve(query, topK);
-      routingInfo = {
-        topScore: retrievedDocs[0]?.score || 0,
-        avgScore: retrievedDocs.length > 0 
-          ? retrievedDocs.reduce((sum, d) => sum + d.score, 0) / retrievedDocs.length 
+    await this.runHooks('beforeRetrieve', ctx);
+    if (ctx.blocked) return ctx;
+
+    // Repeated questions skip retrieval and generation
+    if (ctx.useCache) {
+      ctx.cacheHit = await this.lookupAnswerCache(ctx);
+      if (ctx.cacheHit) return ctx;
+    }
+
+    // Retrieve documents (except for pure LLM mode)
+    if (ctx.mode !== 'llm') {
+      const retrieval = await this.retrieveForQuery(ctx.query, ctx.topK, { ...ctx.options, onUsage: ctx.onUsage });
+      ctx.docs = retrieval.docs;
+      ctx.routing = {
+        topScore: ctx.docs[0]?.score || 0,
+        avgScore: ctx.docs.length > 0 
+          ? ctx.docs.reduce((sum, d) => sum + d.score, 0) / ctx.docs.length 
           : 0,
-        docCount: retrievedDocs.length
+        docCount: ctx.docs.length,
+        queries: retrieval.queries
       };
     }
 
-    // Determine system prompt based on mode
-    let systemPrompt = options.systemPrompt;
-    if (!systemPrompt) {
-      switch (mode) {
-        case 'hybrid':
-          // Hybrid: quote data first, then add LLM knowledge
-          systemPrompt = this.getHybridPrompt();
-          break;
-        case 'rag':
-          // Pure RAG: only use retrieved context
-          systemPrompt = null; // Use default RAG prompt from LLM
-          break;
-        case 'llm':
-          // Pure LLM: no context
-          systemPrompt = this.getDirectLLMPrompt();
-          retrievedDocs = [];
-          break;
-        case 'auto':
-        default:
-          // Auto: decide based on relevance scores
-          if (routingInfo && routingInfo.topScore >= this.routingThreshold) {
-            systemPrompt = this.getHybridPrompt();
-            mode = 'hybrid';
-          } else {
-            systemPrompt = this.getDirectLLMPrompt();
-            mode = 'llm';
-            // Keep docs for reference but don't use as context
-          }
-          break;
-      }
+    await this.runHooks('afterRetrieve', ctx);
+    if (ctx.blocked) return ctx;
+
+    await this.runHooks('beforeGenerate', ctx);
+    if (ctx.blocked) return ctx;
+
+    if (ctx.mode === 'llm') {
+      // Keep any retrieved docs for reference but don't use them as context
+      ctx.sourceDocs = ctx.docs;
+      ctx.contextDocs = [];
+    } else {
+      // Widen chunk hits to the text around them, then fit the context into the model's prompt budget
+      const docs = await this.expandDocuments(ctx.docs, {
+        mode: ctx.options.expandContext,
+        window: ctx.options.expandWindow,
+        budgetTokens: this.contextPacker?.getBudget(this.getPackOptions(ctx.query, ctx))
+      });
+      const packed = this.packContext(docs, ctx.query, ctx);
+      ctx.sourceDocs = packed.documents;
+      ctx.contextDocs = packed.documents;
+      ctx.contextReport = packed.report;
     }
 
-    // Apply guardrails to query
-    let validation = { allowed: true, sanitized: query };
-    if (this.guardrails) {
-      validation = this.guardrails.validateQuery(query, options.userId);
-      if (!validation.allowed) {
-        return {
-          answer: `I cannot process this query: ${validation.reason}`,
-          sources: [],
-          query: validation.sanitized || query,
-          mode,
-          routing: routingInfo,
-          blocked: true,
-          reason: validation.reason
-        };
+    return ctx;
+  }
+
+  /**
+   * Give onError hooks a chance to recover from a failed query
+   * The first hook that returns a response object wins; otherwise the error is rethrown
+   * @param {Error} error - The error
+   * @param {Object} ctx - Query context
+   * @returns {Promise<Object>} - Recovered response
+   */
+  async handleError(error, ctx) {
+    for (const plugin of this.plugins) {
+      if (typeof plugin.onError === 'function') {
+        const recovered = await plugin.onError(error, ctx);
+        if (recovered) return recovered;
       }
-      query = validation.sanitized;
     }
 
-    // Filter retrieved documents through guardrails
-    let filteredDocs = retrievedDocs;
-    if (this.guardrails) {
-      filteredDocs = retrievedDocs.filter(doc => {
-        const docValidation = this.guardrails.validateDocument(doc.content);
-        return docValidation.allowed;
-      });
+    throw error;
+  }
+
+  /**
+   * Format documents as response sources
+   * @param {Array} docs - Context documents
+   * @returns {Array<Object>} - Sources
+   */
+  formatSources(docs) {
+    return docs.map(doc => ({
+      id: doc.id,
+      content: doc.content, // Full content for display
+      preview: doc.content.substring(0, 200) + (doc.content.length > 200 ? '...' : ''),
+      metadata: doc.metadata,
+      score: doc.score,
+      rerankScore: doc.rerankScore,
+      retrievers: doc.retrievers,
+      expansion: doc.expansion,
+      truncated: doc.truncated || false
+    }));
+  }
+
+  /**
+   * Build the query response from the context
+   * @param {Object} ctx - Query context after generation
+   * @returns {Object} - Response with answer, sources and parsed citations
+   */
+  buildResponse(ctx) {
+    return {
+      answer: ctx.answer,
+      sources: this.formatSources(ctx.sourceDocs),
+      query: ctx.query,
+      mode: ctx.mode,
+      citations: ctx.mode === 'llm' ? [] : extractCitations(ctx.answer, ctx.contextDocs),
+      context: ctx.contextReport,
+      routing: ctx.routing,
+      warnings: ctx.warnings,
+      ...(ctx.groundedness && { confidence: ctx.groundedness.confidence, groundedness: ctx.groundedness }),
+      ...(ctx.structured && {
+        data: this.getStructuredData(ctx),
+        structured: { attempts: ctx.structured.attempts, repairs: ctx.structured.repairs }
+      }),
+      ...(ctx.llmEvents.length > 0 && { llm: summarizeLLMEvents(ctx.llmEvents) }),
+      usage: this.recordUsage(ctx)
+    };
+  }
+
+  /**
+   * Price the query's LLM calls and add them to the usage tracker
+   * Records once per query; later calls return the same report
+   * @param {Object} ctx - Query context
+   * @returns {Object} - Token totals, estimated cost (null when unpriced) and the individual calls
+   */
+  recordUsage(ctx) {
+    if (!ctx.usageReport) {
+      ctx.usageReport = this.trackUsage(ctx.usage, ctx.options.userId);
     }
+    return ctx.usageReport;
+  }
 
-    // Generate response
-    const answer = await this.llm.generateResponse(
-      query, 
-      mode === 'llm' ? [] : filteredDocs, 
-      {
-        history: options.history,
-        systemPrompt,
-        temperature: options.temperature
-      }
-    );
+  /**
+   * Price LLM calls and add them to the usage tracker under this engine's collection
+   * @param {Array<Object>} calls - Usage reports collected with onUsage
+   * @param {string} userId - User the calls were made for
+   * @returns {Object} - Token totals, estimated cost (null when unpriced) and the individual calls
+   */
+  trackUsage(calls, userId) {
+    const priced = this.usageTracker && calls.length > 0
+      ? this.usageTracker.record(calls, { userId, collection: this.collection })
+      : calls.map(call => ({ ...call, cost: null }));
+    return summarizeUsage(priced);
+  }
 
-    // Apply guardrails to response
-    let finalAnswer = answer;
-    if (this.guardrails) {
-      const responseValidation = this.guardrails.validateResponse(answer);
-      if (!responseValidation.allowed) {
-        finalAnswer = `Response blocked: ${responseValidation.reason}`;
-      } else {
-        finalAnswer = responseValidation.sanitized;
-        // Apply response policies (disclaimers, etc.)
-        finalAnswer = this.guardrails.applyResponsePolicies(finalAnswer, query);
-      }
+  /**
+   * Build the response for a query blocked before generation
+   * @param {Object} ctx - Query context
+   * @returns {Object} - Blocked response
+   */
+  buildBlockedResponse(ctx) {
+    return {
+      answer: ctx.blocked.answer || `I cannot process this query: ${ctx.blocked.reason}`,
+      sources: [],
+      citations: [],
+      query: ctx.query,
+      mode: ctx.mode,
+      routing: ctx.routing,
+      blocked: true,
+      reason: ctx.blocked.reason,
+      usage: this.recordUsage(ctx)
+    };
+  }
+
+  /**
+   * Fit documents into the LLM's prompt budget, keeping the most relevant first
+   * @param {Array} docs - Ranked documents
+   * @param {string} query - User's question
+   * @param {Object} options - Query options (systemPrompt, history)
+   * @returns {{documents: Array, report: Object|null}} - Packed documents and packing report
+   */
+  packContext(docs, query, options = {}) {
+    if (!this.contextPacker) {
+      return { documents: docs, report: null };
     }
 
+    return this.contextPacker.pack(docs, this.getPackOptions(query, options));
+  }
+
+  /**
+   * Prompt parts and model settings the context budget is computed from
+   * @param {string} query - User's question
+   * @param {Object} options - Query options (systemPrompt, history)
+   * @returns {Object} - Context packer options
+   */
+  getPackOptions(query, options = {}) {
     return {
-      answer: finalAnswer,
-      sources: filteredDocs.map(doc => ({
-        id: doc.id,
-        content: doc.content, // Full content for display
-        preview: doc.content.substring(0, 200) + (doc.content.length > 200 ? '...' : ''),
-        metadata: doc.metadata,
-        score: doc.score
-      })),
-      query: validation.sanitized || query,
-      mode,
-      routing: routingInfo,
-      warnings: validation.warnings || null
+      model: this.llm?.model,
+      contextWindow: this.llm?.contextWindow,
+      maxTokens: this.llm?.maxTokens,
+      systemPrompt: options.systemPrompt || this.llm?.systemPrompt,
+      query,
+      history: options.history
     };
   }
 
+  /**
+   * Widen chunk hits to their neighbouring chunks or their whole parent document
+   * Neighbours are only added while the documents fit the token budget, and hits whose
+   * expansions overlap are merged into one block (see rag/context-expansion.js)
+   * @param {Array} docs - Ranked documents
+   * @param {Object} options - Expansion options
+   * @param {string|boolean} options.mode - 'neighbors', 'parent' or false (default: engine expandContext)
+   * @param {number} options.window - Chunks added on each side in 'neighbors' mode (default: engine expandWindow)
+   * @param {number} options.budgetTokens - Token budget for all documents (default: the packer's budget)
+   * @returns {Promise<Array>} - Documents; expanded ones carry an expansion report
+   */
+  async expandDocuments(docs, options = {}) {
+    const mode = options.mode ?? this.expandContext;
+    if (!mode || docs.length === 0) {
+      return docs;
+    }
+
+    if (mode !== 'neighbors' && mode !== 'parent') {
+      throw new Error(`Unknown context expansion: ${mode}`);
+    }
+
+    const sources = new Set(docs.filter(isChunk).map(doc => doc.metadata.source));
+    if (sources.size === 0) {
+      return docs;
+    }
+
+    const chunksBySource = new Map();
+    for (const doc of await this.dataSource.getDocuments()) {
+      if (!isChunk(doc) || !sources.has(doc.metadata.source)) continue;
+      if (!chunksBySource.has(doc.metadata.source)) {
+        chunksBySource.set(doc.metadata.source, new Map());
+      }
+      chunksBySource.get(doc.metadata.source).set(doc.metadata.chunkIndex, doc);
+    }
+
+    const model = this.llm?.model;
+    return expandHits(docs, chunksBySource, {
+      window: mode === 'parent' ? Infinity : (options.window ?? this.expandWindow),
+      budgetTokens: options.budgetTokens
+        ?? this.contextPacker?.getBudget(this.getPackOptions('', {}))
+        ?? Infinity,
+      estimateTokens: this.contextPacker
+        ? text => this.contextPacker.estimateTokens(text, model)
+        : undefined,
+      blockOverheadTokens: this.contextPacker?.blockOverheadTokens
+    });
+  }
+
   /**
    * Get system prompt for direct LLM mode (no RAG context)
    * @returns {string} - System prompt
@@ -344,7 +1366,7 @@ If you don't know something, say so. Be concise and accurate.`;
 **REQUIRED FORMAT:**
 
 From your data:
-[Quote relevant information from the provided context. Use quotation marks for direct quotes. Cite the source if available.]
+[Quote relevant information from the provided context. Use quotation marks for direct quotes and put the number of the context block right after each quote or claim, e.g. "..." [1].]
 
 Additional information:
 [Add your own knowledge to expand on the topic. Provide useful context, examples, or explanations that go beyond what's in the data.]
@@ -352,6 +1374,7 @@ Additional information:
 **RULES:**
 - ALWAYS use both sections "From your data:" and "Additional information:" in your response
 - The "From your data:" section MUST contain quotes or paraphrased content from the context provided
+- Only cite block numbers that exist in the context, and only quote text that appears in the cited block
 - The "Additional information:" section MUST add value beyond just the context
 - If the context is not relevant, say "No directly relevant information found in your data" then provide general knowledge
 - Be comprehensive and helpful`;
@@ -378,10 +1401,13 @@ Additional information:
       throw new Error('RAG engine not initialized. Call initialize() first.');
     }
 
+    const ctx = this.createQueryContext(query, options);
     const answer = await this.llm.generateResponse(query, [], {
       history: options.history,
       systemPrompt: options.systemPrompt || this.getDirectLLMPrompt(),
-      temperature: options.temperature
+      temperature: options.temperature,
+      onEvent: event => ctx.llmEvents.push(event),
+      onUsage: ctx.onUsage
     });
 
     return {
@@ -389,45 +1415,90 @@ Additional information:
       sources: [],
       query,
       mode: 'llm',
-      routing: { reason: 'forced_llm' }
+      routing: { reason: 'forced_llm' },
+      ...(ctx.llmEvents.length > 0 && { llm: summarizeLLMEvents(ctx.llmEvents) }),
+      usage: this.recordUsage(ctx)
     };
   }
 
   /**
    * Query with streaming response
+   * Runs the same plugin hooks as query(). onStreamChunk hooks see the answer so far and can
+   * block it, which cuts the stream off mid-answer
    * @param {string} query - User's question
-   * @param {Object} options - Query options
-   * @returns {AsyncGenerator} - Stream of response chunks
+   * @param {Object} options - Query options (see query(); schema is not supported)
+   * @returns {AsyncGenerator} - Stream of events: sources, content, blocked and a final done event
    */
   async *queryStream(query, options = {}) {
-    if (!this.initialized) {
-      throw new Error('RAG engine not initialized. Call initialize() first.');
-    }
+    const ctx = this.createQueryContext(query, options);
 
-    const topK = options.topK || this.topK;
-    
-    // Retrieve relevant documents
-    const retrievedDocs = await this.retrieve(query, topK);
-
-    // Yield sources first
-    yield {
-      type: 'sources',
-      sources: retrievedDocs.map(doc => ({
-        id: doc.id,
-        content: doc.content.substring(0, 200) + (doc.content.length > 200 ? '...' : ''),
-        metadata: doc.metadata,
-        score: doc.score
-      }))
-    };
+    try {
+      // A reply can only be validated and repaired once it is complete
+      if (options.schema) {
+        throw new Error('Structured answers (schema) are not supported when streaming; use query()');
+      }
 
-    // Stream response
-    const stream = this.llm.generateStreamingResponse(query, retrievedDocs, options);
-    
-    for await (const chunk of stream) {
-      yield { type: 'content', content: chunk };
+      await this.prepareQuery(ctx);
+
+      if (ctx.blocked) {
+        const { sources, ...result } = this.buildBlockedResponse(ctx);
+        yield { type: 'blocked', stage: ctx.blocked.stage, reason: result.reason, answer: result.answer };
+        yield { type: 'done', ...result };
+        return;
+      }
+
+      // Yield sources first
+      yield {
+        type: 'sources',
+        sources: this.formatSources(ctx.sourceDocs),
+        context: ctx.contextReport
+      };
+
+      // Stream response
+      const stream = this.llm.generateStreamingResponse(ctx.query, ctx.contextDocs, {
+        history: ctx.history,
+        systemPrompt: ctx.systemPrompt,
+        temperature: options.temperature,
+        onEvent: event => ctx.llmEvents.push(event),
+        onUsage: ctx.onUsage
+      });
+      ctx.answer = '';
+      
+      for await (const chunk of stream) {
+        ctx.answer += chunk;
+
+        // Stop streaming (and generating) as soon as a hook blocks the answer so far
+        await this.runHooks('onStreamChunk', ctx);
+        if (ctx.blocked) break;
+
+        yield { type: 'content', content: chunk };
+      }
+
+      await this.runHooks('afterGenerate', ctx);
+      if (ctx.blocked) {
+        ctx.answer = ctx.blocked.answer || ctx.answer;
+        yield { type: 'blocked', stage: ctx.blocked.stage, reason: ctx.blocked.reason, answer: ctx.answer };
+      }
+
+      const { sources, ...response } = this.buildResponse(ctx);
+      yield {
+        type: 'done',
+        ...response,
+        ...(ctx.blocked ? { blocked: true, reason: ctx.blocked.reason } : {})
+      };
+    } catch (error) {
+      this.recordUsage(ctx); // Tokens spent before the failure still count
+      const { sources, ...recovered } = await this.handleError(error, ctx);
+      yield { type: 'done', ...recovered };
     }
+  }
 
-    yield { type: 'done' };
+  /**
+   * Bytes used by the vector store and ANN graph (approximate for the graph)
+   * @returns {number}
+   */
+  getIndexMemoryUsage() {
+    return this.vectorStore.getMemoryUsage() + (this.vectorIndex?.getMemoryUsage() || 0);
   }
 
   /**
@@ -437,10 +1508,19 @@ Additional information:
   getStats() {
     return {
       initialized: this.initialized,
-      documentCount: this.documentVectors.size || this.dataSource?.getDocumentCount() || 0,
+      documentCount: this.indexedDocuments.size || this.dataSource?.getDocumentCount() || 0,
       topK: this.topK,
       similarityThreshold: this.similarityThreshold,
+      retrievalStrategy: this.retrievalStrategy,
+      reranker: this.reranker?.getInfo() || null,
+      maxContextTokens: this.contextPacker?.maxContextTokens || null,
+      answerCache: this.answerCache?.getStats() || null,
+      usage: this.usageTracker?.getStats({ collection: this.collection }) || null,
+      vectorStore: this.vectorStore.getStats(),
+      vectorIndex: this.vectorIndex?.getStats() || null,
+      indexMemoryBytes: this.getIndexMemoryUsage(),
       dataSourceType: this.dataSource?.constructor.name,
+      llmProvider: this.llm?.provider || null,
       llmModel: this.llm?.model,
       embeddingDimension: this.embeddings?.getDimension()
     };
@@ -451,7 +1531,7 @@ Additional information:
    * @returns {Promise<Object>} - Engine stats with accurate document count
    */
   async getStatsAsync() {
-    let documentCount = this.documentVectors.size || this.dataSource?.getDocumentCount() || 0;
+    let documentCount = this.indexedDocuments.size || this.dataSource?.getDocumentCount() || 0;
     
     // If data source has getStats method, use it for accurate count
     if (this.dataSource && typeof this.dataSource.getStats === 'function') {
@@ -469,7 +1549,16 @@ Additional information:
       documentCount,
       topK: this.topK,
       similarityThreshold: this.similarityThreshold,
+      retrievalStrategy: this.retrievalStrategy,
+      reranker: this.reranker?.getInfo() || null,
+      maxContextTokens: this.contextPacker?.maxContextTokens || null,
+      answerCache: this.answerCache?.getStats() || null,
+      usage: this.usageTracker?.getStats({ collection: this.collection }) || null,
+      vectorStore: this.vectorStore.getStats(),
+      vectorIndex: this.vectorIndex?.getStats() || null,
+      indexMemoryBytes: this.getIndexMemoryUsage(),
       dataSourceType: this.dataSource?.constructor.name,
+      llmProvider: this.llm?.provider || null,
       llmModel: this.llm?.model,
       embeddingDimension: this.embeddings?.getDimension()
     };
@@ -477,27 +1566,43 @@ Additional information:
 
   /**
    * Update configuration
+   * Cached answers are dropped (and the persisted cache rewritten) before this resolves
    * @param {Object} config - New configuration
    */
-  updateConfig(config) {
+  async updateConfig(config) {
     if (config.topK) this.topK = config.topK;
     if (config.similarityThreshold !== undefined) {
       this.similarityThreshold = config.similarityThreshold;
     }
+    if (config.retrievalStrategy) this.retrievalStrategy = config.retrievalStrategy;
+    if (config.fusionMethod) this.fusionMethod = config.fusionMethod;
+    if (config.mmr !== undefined) this.mmr = config.mmr;
+    if (config.mmrLambda !== undefined) this.mmrLambda = config.mmrLambda;
+    if (config.hyde !== undefined) this.hyde = config.hyde;
+    if (config.expandContext !== undefined) this.expandContext = config.expandContext || null;
+    if (config.expandWindow !== undefined) this.expandWindow = config.expandWindow;
+    if (config.maxContextTokens !== undefined && this.contextPacker) {
+      this.contextPacker.maxContextTokens = config.maxContextTokens || null;
+    }
+    if (config.groundednessThreshold !== undefined && this.groundedness) {
+      this.groundedness.threshold = config.groundednessThreshold;
+    }
+    if (config.annEfSearch !== undefined && this.vectorIndex) {
+      this.vectorIndex.efSearch = config.annEfSearch;
+    }
+
+    // Cached answers were produced under the old settings
+    await this.answerCache?.clear(this.answerCache.fingerprint);
   }
 
   /**
-   * Refresh the index (reload documents from data source)
+   * Refresh the index (reload documents from data source and re-embed what changed)
+   * @param {Object} options - Sync options (see syncIndex)
+   * @returns {Promise<{added: number, updated: number, removed: number, unchanged: number, fullRebuild: boolean}>}
    */
-  async refresh() {
+  async refresh(options = {}) {
     await this.dataSource.loadDocuments();
-    
-    if (this.embeddings) {
-      const documents = this.dataSource.getDocuments();
-      const texts = documents.map(d => d.content);
-      await this.embeddings.buildVocabulary(texts);
-      await this.buildVectorIndex();
-    }
+    return this.syncIndex(options);
   }
 
   /**
@@ -507,6 +1612,10 @@ Additional information:
     if (this.dataSource) {
       await this.dataSource.close();
     }
+    if (this.answerCache) {
+      await this.answerCache.close();
+    }
+    this.vectorStore.close();
     this.initialized = false;
   }
 }
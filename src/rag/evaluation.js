@@ -0,0 +1,307 @@
+/**
+ * Evaluation
+ * Runs a golden set of questions through the engine and scores retrieval (recall@k,
+ * precision@k, MRR, nDCG@k) and, optionally, answers (expected keywords). Reports from
+ * two runs can be compared to see what a config change does before rolling it out
+ */
+
+const SUMMARY_METRICS = ['recall', 'precision', 'mrr', 'ndcg', 'keywordRecall'];
+
+/**
+ * Parse a JSONL golden set, one question per line:
+ * {"id": "q1", "query": "...", "expectedIds": ["doc-1"], "keywords": ["paris"], "filter": {...}}
+ * @param {string} text - JSONL text
+ * @returns {Array<Object>} - Golden set entries
+ */
+export function parseGoldenSet(text) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('//'))
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid golden set line ${index + 1}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Check and normalize golden set entries
+ * @param {Array<Object>} entries - Golden set entries
+ * @returns {Array<{id: string, query: string, expectedIds: Array<string>, keywords: Array<string>, filter: Object|null}>}
+ */
+export function normalizeGoldenSet(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Golden set must contain at least one query');
+  }
+
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry.query !== 'string' || !entry.query.trim()) {
+      throw new Error(`Golden set entry ${index + 1} is missing a query`);
+    }
+
+    const expectedIds = (entry.expectedIds || entry.expected_ids || []).map(String);
+    const keywords = entry.keywords || entry.answerKeywords || [];
+    if (expectedIds.length === 0 && keywords.length === 0) {
+      throw new Error(`Golden set entry ${index + 1} needs expectedIds or keywords`);
+    }
+
+    return {
+      id: String(entry.id ?? index + 1),
+      query: entry.query,
+      expectedIds,
+      keywords,
+      filter: entry.filter || null
+    };
+  });
+}
+
+/**
+ * Check whether a retrieved document is an expected one
+ * Expected IDs may name the document ID or its source file, so chunked sources
+ * can be scored independently of chunk boundaries
+ * @param {Object} doc - Retrieved document
+ * @param {string} expectedId - Expected ID, file name or source path
+ * @returns {boolean}
+ */
+function matchesExpected(doc, expectedId) {
+  return String(doc.id) === expectedId
+    || doc.metadata?.fileName === expectedId
+    || doc.metadata?.source === expectedId;
+}
+
+/**
+ * Score one ranked result list against the expected IDs
+ * @param {Array<Object>} docs - Retrieved documents, best first
+ * @param {Array<string>} expectedIds - Expected IDs
+ * @param {number} k - Cutoff
+ * @returns {{recall: number, precision: number, mrr: number, ndcg: number, firstRelevantRank: number|null, missingIds: Array<string>}}
+ */
+export function scoreRetrieval(docs, expectedIds, k) {
+  const top = docs.slice(0, k);
+  const found = new Set();
+  let relevantRetrieved = 0;
+  let firstRelevantRank = null;
+  let dcg = 0;
+
+  top.forEach((doc, index) => {
+    const matches = expectedIds.filter(id => matchesExpected(doc, id));
+    if (matches.length === 0) return;
+
+    relevantRetrieved++;
+    if (firstRelevantRank === null) firstRelevantRank = index + 1;
+
+    // Binary gain, counted once per expected ID (several chunks of one file don't inflate it)
+    const newMatches = matches.filter(id => !found.has(id));
+    if (newMatches.length > 0) {
+      dcg += 1 / Math.log2(index + 2);
+      newMatches.forEach(id => found.add(id));
+    }
+  });
+
+  let idcg = 0;
+  for (let i = 0; i < Math.min(expectedIds.length, k); i++) {
+    idcg += 1 / Math.log2(i + 2);
+  }
+
+  return {
+    recall: found.size / expectedIds.length,
+    precision: relevantRetrieved / k,
+    mrr: firstRelevantRank ? 1 / firstRelevantRank : 0,
+    ndcg: idcg > 0 ? dcg / idcg : 0,
+    firstRelevantRank,
+    missingIds: expectedIds.filter(id => !found.has(id))
+  };
+}
+
+/**
+ * Score an answer against the expected keywords (case-insensitive)
+ * @param {string} answer - Generated answer
+ * @param {Array<string>} keywords - Expected keywords
+ * @returns {{keywordRecall: number, missingKeywords: Array<string>}}
+ */
+export function scoreAnswer(answer, keywords) {
+  const text = (answer || '').toLowerCase();
+  const missingKeywords = keywords.filter(keyword => !text.includes(String(keyword).toLowerCase()));
+  return {
+    keywordRecall: (keywords.length - missingKeywords.length) / keywords.length,
+    missingKeywords
+  };
+}
+
+/**
+ * Average a metric over the queries that have it
+ * @param {Array<Object>} results - Per-query results
+ * @param {string} metric - Metric name
+ * @returns {number|null} - Mean, or null if no query has the metric
+ */
+function mean(results, metric) {
+  const values = results.map(result => result[metric]).filter(value => typeof value === 'number');
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Run a golden set through the engine
+ * Queries with expectedIds are scored on retrieve(); queries with keywords are answered with
+ * query() (skipped when options.generate is false, e.g. to avoid LLM calls)
+ * @param {RAGEngine} engine - Initialized RAG engine
+ * @param {Array<Object>} goldenSet - Golden set entries (see parseGoldenSet)
+ * @param {Object} options - Evaluation options
+ * @param {number} options.k - Cutoff for the retrieval metrics (default: engine topK)
+ * @param {boolean} options.generate - Generate answers for keyword checks (default true)
+ * @param {Object} options.retrieval - Options passed to retrieve() and query() (strategy, mmr, rerank, ...)
+ * @param {string} options.mode - Query mode for answer checks (default 'hybrid')
+ * @param {string} options.name - Label for the run
+ * @returns {Promise<Object>} - Report with config, summary and per-query results
+ */
+export async function evaluate(engine, goldenSet, options = {}) {
+  const entries = normalizeGoldenSet(goldenSet);
+  const k = options.k || engine.topK;
+  const generate = options.generate ?? true;
+  const retrieval = options.retrieval || {};
+  const results = [];
+  const startedAt = Date.now();
+
+  for (const entry of entries) {
+    const result = { id: entry.id, query: entry.query };
+
+    try {
+      if (entry.expectedIds.length > 0) {
+        const docs = await engine.retrieve(entry.query, k, { ...retrieval, filter: entry.filter || retrieval.filter });
+        Object.assign(result, scoreRetrieval(docs, entry.expectedIds, k), {
+          retrievedIds: docs.map(doc => doc.id)
+        });
+      }
+
+      if (entry.keywords.length > 0 && generate) {
+        const response = await engine.query(entry.query, {
+          ...retrieval,
+          topK: k,
+          retrievalStrategy: retrieval.strategy,
+          filter: entry.filter || retrieval.filter,
+          mode: options.mode || 'hybrid',
+          cache: false
+        });
+        Object.assign(result, scoreAnswer(response.answer, entry.keywords), {
+          answer: response.answer,
+          blocked: response.blocked || false
+        });
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    result.miss = Boolean(result.error)
+      || (result.missingIds?.length || 0) > 0
+      || (result.missingKeywords?.length || 0) > 0;
+    results.push(result);
+  }
+
+  const stats = engine.getStats();
+  const summary = { queries: results.length };
+  for (const metric of SUMMARY_METRICS) {
+    summary[metric] = mean(results, metric);
+  }
+  summary.misses = results.filter(result => result.miss).length;
+  summary.errors = results.filter(result => result.error).length;
+
+  return {
+    name: options.name || null,
+    createdAt: new Date().toISOString(),
+    durationMs: Date.now() - startedAt,
+    k,
+    config: {
+      k,
+      topK: stats.topK,
+      similarityThreshold: stats.similarityThreshold,
+      retrievalStrategy: retrieval.strategy || stats.retrievalStrategy,
+      reranker: stats.reranker?.type || null,
+      mmr: retrieval.mmr ?? engine.mmr,
+      hyde: retrieval.hyde ?? engine.hyde,
+      dataSourceType: stats.dataSourceType,
+      documentCount: stats.documentCount,
+      chunkSize: engine.dataSource?.chunkSize ?? null,
+      llmModel: generate ? stats.llmModel : null
+    },
+    summary,
+    queries: results
+  };
+}
+
+/**
+ * Compare two evaluation reports (e.g. before and after a config change)
+ * Positive deltas are improvements for every metric
+ * @param {Object} baseline - Report from the current setup
+ * @param {Object} candidate - Report from the proposed setup
+ * @returns {{config: Object, summary: Object, improved: Array, regressed: Array, added: Array, removed: Array}}
+ */
+export function compareReports(baseline, candidate) {
+  if (!baseline?.queries || !candidate?.queries) {
+    throw new Error('Both reports must contain per-query results');
+  }
+
+  const config = {};
+  for (const key of new Set([...Object.keys(baseline.config || {}), ...Object.keys(candidate.config || {})])) {
+    const before = baseline.config?.[key] ?? null;
+    const after = candidate.config?.[key] ?? null;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      config[key] = { baseline: before, candidate: after };
+    }
+  }
+
+  const summary = {};
+  for (const metric of [...SUMMARY_METRICS, 'misses']) {
+    const before = baseline.summary?.[metric] ?? null;
+    const after = candidate.summary?.[metric] ?? null;
+    summary[metric] = {
+      baseline: before,
+      candidate: after,
+      delta: before !== null && after !== null ? after - before : null
+    };
+  }
+
+  const baselineById = new Map(baseline.queries.map(result => [result.id, result]));
+  const candidateIds = new Set(candidate.queries.map(result => result.id));
+  const improved = [];
+  const regressed = [];
+
+  for (const result of candidate.queries) {
+    const before = baselineById.get(result.id);
+    if (!before) continue;
+
+    const changes = {};
+    let score = 0;
+    for (const metric of SUMMARY_METRICS) {
+      if (typeof before[metric] !== 'number' || typeof result[metric] !== 'number') continue;
+      const delta = result[metric] - before[metric];
+      if (Math.abs(delta) > 1e-9) {
+        changes[metric] = { baseline: before[metric], candidate: result[metric], delta };
+        score += delta;
+      }
+    }
+
+    if (Object.keys(changes).length === 0) continue;
+
+    const entry = {
+      id: result.id,
+      query: result.query,
+      changes,
+      missingIds: result.missingIds,
+      missingKeywords: result.missingKeywords
+    };
+    (score >= 0 ? improved : regressed).push(entry);
+  }
+
+  return {
+    baseline: { name: baseline.name || null, createdAt: baseline.createdAt || null },
+    candidate: { name: candidate.name || null, createdAt: candidate.createdAt || null },
+    config,
+    summary,
+    improved,
+    regressed,
+    added: candidate.queries.filter(result => !baselineById.has(result.id)).map(result => result.id),
+    removed: baseline.queries.filter(result => !candidateIds.has(result.id)).map(result => result.id)
+  };
+}
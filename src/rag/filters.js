@@ -0,0 +1,332 @@
+/**
+ * Metadata Filters
+ * A small filter expression language over document metadata, evaluated in memory
+ * or translated into native queries for SQL, Elasticsearch and Pinecone
+ *
+ * Examples:
+ *   { fileType: 'pdf' }                               // equality
+ *   { fileName: { $in: ['q3-report.pdf', 'q3.pdf'] } } // membership
+ *   { year: { $gte: 2023, $lt: 2025 } }                // range
+ *   { sheetName: { $exists: true } }                   // presence
+ *   { $or: [{ fileType: 'pdf' }, { category: 'finance' }] }
+ */
+
+const COMPARISON_OPERATORS = ['$eq', '$ne', '$in', '$nin', '$gt', '$gte', '$lt', '$lte', '$exists'];
+const LOGICAL_OPERATORS = ['$and', '$or'];
+const FIELD_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_. -]*$/;
+// Postgres regex for metadata strings that cast to numeric (CSV and Excel values are strings)
+const NUMERIC_PATTERN = '^\\s*[-+]?([0-9]+\\.?[0-9]*|\\.[0-9]+)([eE][-+]?[0-9]+)?\\s*$';
+
+/**
+ * Check whether a filter is empty
+ * @param {Object} filter - Filter expression
+ * @returns {boolean}
+ */
+export function isEmptyFilter(filter) {
+  return !filter || Object.keys(filter).length === 0;
+}
+
+/**
+ * Normalize a field condition into an operator object
+ * @param {*} condition - Raw value or operator object
+ * @returns {Object} - Operator object, e.g. { $eq: 'pdf' }
+ */
+function toOperators(condition) {
+  if (condition !== null && typeof condition === 'object' && !Array.isArray(condition)) {
+    return condition;
+  }
+  return Array.isArray(condition) ? { $in: condition } : { $eq: condition };
+}
+
+/**
+ * Validate a filter expression
+ * @param {Object} filter - Filter expression
+ * @throws {Error} - If the filter is malformed
+ */
+export function validateFilter(filter) {
+  if (filter === undefined || filter === null) return;
+
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('Invalid filter: must be an object');
+  }
+
+  for (const [key, condition] of Object.entries(filter)) {
+    if (LOGICAL_OPERATORS.includes(key)) {
+      if (!Array.isArray(condition) || condition.length === 0) {
+        throw new Error(`Invalid filter: ${key} requires a non-empty array`);
+      }
+      condition.forEach(validateFilter);
+      continue;
+    }
+
+    if (key.startsWith('$')) {
+      throw new Error(`Invalid filter: unknown operator ${key}`);
+    }
+
+    if (!FIELD_PATTERN.test(key)) {
+      throw new Error(`Invalid filter: unsupported field name "${key}"`);
+    }
+
+    for (const [op, value] of Object.entries(toOperators(condition))) {
+      if (!COMPARISON_OPERATORS.includes(op)) {
+        throw new Error(`Invalid filter: unknown operator ${op} on field "${key}"`);
+      }
+      if ((op === '$in' || op === '$nin') && !Array.isArray(value)) {
+        throw new Error(`Invalid filter: ${op} on field "${key}" requires an array`);
+      }
+      if (op === '$exists' && typeof value !== 'boolean') {
+        throw new Error(`Invalid filter: $exists on field "${key}" requires true or false`);
+      }
+    }
+  }
+}
+
+/**
+ * Coerce a metadata value for comparison against a filter value
+ * CSV and Excel metadata are strings, so "2023" should compare equal to 2023
+ * @param {*} actual - Metadata value
+ * @param {*} expected - Filter value
+ * @returns {*} - Comparable value
+ */
+function coerce(actual, expected) {
+  if (typeof expected === 'number' && typeof actual === 'string' && actual.trim() !== '') {
+    const num = Number(actual);
+    return Number.isNaN(num) ? actual : num;
+  }
+  if (typeof expected === 'boolean' && typeof actual === 'string') {
+    return actual === 'true' ? true : actual === 'false' ? false : actual;
+  }
+  return actual;
+}
+
+/**
+ * Evaluate a single operator against a metadata value
+ * null matches missing fields as well as null values, as in SQL (IS NULL) and MongoDB
+ */
+function matchesOperator(actual, op, expected) {
+  const exists = actual !== undefined && actual !== null;
+
+  switch (op) {
+    case '$exists':
+      return exists === expected;
+    case '$eq':
+      return expected === null ? !exists : coerce(actual, expected) === expected;
+    case '$ne':
+      return expected === null ? exists : coerce(actual, expected) !== expected;
+    case '$in':
+      return expected.some(value => matchesOperator(actual, '$eq', value));
+    case '$nin':
+      return !expected.some(value => matchesOperator(actual, '$eq', value));
+    case '$gt':
+      return exists && coerce(actual, expected) > expected;
+    case '$gte':
+      return exists && coerce(actual, expected) >= expected;
+    case '$lt':
+      return exists && coerce(actual, expected) < expected;
+    case '$lte':
+      return exists && coerce(actual, expected) <= expected;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether document metadata matches a filter
+ * @param {Object} metadata - Document metadata
+ * @param {Object} filter - Filter expression
+ * @returns {boolean}
+ */
+export function matchesFilter(metadata = {}, filter) {
+  if (isEmptyFilter(filter)) return true;
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(sub => matchesFilter(metadata, sub));
+    if (key === '$or') return condition.some(sub => matchesFilter(metadata, sub));
+
+    const actual = metadata?.[key];
+    return Object.entries(toOperators(condition))
+      .every(([op, expected]) => matchesOperator(actual, op, expected));
+  });
+}
+
+/**
+ * Translate a filter into a SQL WHERE clause over a JSON metadata column
+ * @param {Object} filter - Filter expression
+ * @param {Object} options - Translation options
+ * @param {string} options.dialect - 'sqlite' or 'postgres'
+ * @param {string} options.column - Metadata column name (default 'metadata')
+ * @param {number} options.paramOffset - Number of parameters already bound (postgres placeholders)
+ * @returns {{clause: string, params: Array}} - Clause without the WHERE keyword, and bound parameters
+ */
+export function toSQLFilter(filter, options = {}) {
+  const { dialect = 'sqlite', column = 'metadata', paramOffset = 0 } = options;
+  const params = [];
+
+  const param = (value) => {
+    params.push(typeof value === 'boolean' && dialect === 'sqlite' ? (value ? 1 : 0) : value);
+    return dialect === 'postgres' ? `$${paramOffset + params.length}` : '?';
+  };
+
+  const fieldExpr = (key, value) => {
+    if (dialect === 'postgres') {
+      const text = `(${column}->>'${key}')`;
+      // Casts are guarded so a row whose value doesn't convert compares as NULL instead of failing the query
+      if (typeof value === 'number') {
+        return `(CASE WHEN jsonb_typeof(${column}->'${key}') = 'number' OR ${text} ~ '${NUMERIC_PATTERN}' THEN ${text}::numeric END)`;
+      }
+      if (typeof value === 'boolean') {
+        return `(CASE WHEN ${text} IN ('true', 'false') THEN ${text}::boolean END)`;
+      }
+      return text;
+    }
+    const extracted = `json_extract(${column}, '$."${key}"')`;
+    // Metadata loaded from CSV or Excel stores numbers as strings
+    return typeof value === 'number' ? `CAST(${extracted} AS REAL)` : extracted;
+  };
+
+  const build = (expr) => {
+    const parts = Object.entries(expr).map(([key, condition]) => {
+      if (key === '$and' || key === '$or') {
+        const joined = condition.map(build).join(key === '$and' ? ' AND ' : ' OR ');
+        return `(${joined})`;
+      }
+
+      return Object.entries(toOperators(condition)).map(([op, value]) => {
+        switch (op) {
+          case '$exists':
+            return `${fieldExpr(key)} IS ${value ? 'NOT NULL' : 'NULL'}`;
+          case '$eq':
+            // "= NULL" never matches; null matches missing and null values as in matchesFilter
+            if (value === null) return `${fieldExpr(key)} IS NULL`;
+            return `${fieldExpr(key, value)} = ${param(value)}`;
+          case '$ne':
+            if (value === null) return `${fieldExpr(key)} IS NOT NULL`;
+            return `(${fieldExpr(key, value)} IS NULL OR ${fieldExpr(key, value)} <> ${param(value)})`;
+          case '$in':
+          case '$nin': {
+            const values = value.filter(v => v !== null);
+            const hasNull = values.length < value.length;
+            const field = fieldExpr(key, values[0]);
+            const list = values.length > 0 ? `${field} IN (${values.map(v => param(v)).join(', ')})` : '1 = 0';
+            if (op === '$in') {
+              return hasNull ? `(${field} IS NULL OR ${list})` : list;
+            }
+            return hasNull ? `(${field} IS NOT NULL AND NOT (${list}))` : `(${field} IS NULL OR NOT (${list}))`;
+          }
+          case '$gt':
+            return `${fieldExpr(key, value)} > ${param(value)}`;
+          case '$gte':
+            return `${fieldExpr(key, value)} >= ${param(value)}`;
+          case '$lt':
+            return `${fieldExpr(key, value)} < ${param(value)}`;
+          case '$lte':
+            return `${fieldExpr(key, value)} <= ${param(value)}`;
+          default:
+            throw new Error(`Invalid filter: unknown operator ${op}`);
+        }
+      }).join(' AND ');
+    });
+
+    return parts.length > 0 ? parts.join(' AND ') : '1 = 1';
+  };
+
+  return { clause: build(filter), params };
+}
+
+/**
+ * Translate a filter into an Elasticsearch bool query
+ * @param {Object} filter - Filter expression
+ * @param {string} prefix - Field prefix for metadata (default 'metadata.')
+ * @returns {Object} - Elasticsearch query clause
+ */
+export function toElasticsearchFilter(filter, prefix = 'metadata.') {
+  const must = [];
+  const mustNot = [];
+
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === '$and') {
+      must.push(...condition.map(sub => toElasticsearchFilter(sub, prefix)));
+      continue;
+    }
+    if (key === '$or') {
+      must.push({
+        bool: {
+          should: condition.map(sub => toElasticsearchFilter(sub, prefix)),
+          minimum_should_match: 1
+        }
+      });
+      continue;
+    }
+
+    const field = `${prefix}${key}`;
+    // Exact matching on strings needs the keyword sub-field of dynamically mapped text
+    const termField = (value) => typeof value === 'string' ? `${field}.keyword` : field;
+    // Elasticsearch has no null term: null matches a missing field, as in matchesFilter and SQL IS NULL
+    const missing = { bool: { must_not: [{ exists: { field } }] } };
+
+    // One terms clause per sub-field (strings and other values are mapped apart), ORed together
+    const anyOf = (values) => {
+      const groups = new Map();
+      for (const value of values) {
+        if (value === null) continue;
+        const target = termField(value);
+        groups.set(target, [...(groups.get(target) || []), value]);
+      }
+      const clauses = Array.from(groups, ([target, group]) => ({ terms: { [target]: group } }));
+      if (values.includes(null)) clauses.push(missing);
+
+      if (clauses.length === 0) return { terms: { [field]: [] } }; // Empty list: matches nothing
+      return clauses.length === 1 ? clauses[0] : { bool: { should: clauses, minimum_should_match: 1 } };
+    };
+
+    for (const [op, value] of Object.entries(toOperators(condition))) {
+      switch (op) {
+        case '$exists':
+          (value ? must : mustNot).push({ exists: { field } });
+          break;
+        case '$eq':
+          must.push(value === null ? missing : { term: { [termField(value)]: value } });
+          break;
+        case '$ne':
+          if (value === null) {
+            must.push({ exists: { field } });
+          } else {
+            mustNot.push({ term: { [termField(value)]: value } });
+          }
+          break;
+        case '$in':
+          must.push(anyOf(value));
+          break;
+        case '$nin':
+          mustNot.push(anyOf(value));
+          break;
+        case '$gt':
+        case '$gte':
+        case '$lt':
+        case '$lte':
+          must.push({ range: { [field]: { [op.slice(1)]: value } } });
+          break;
+      }
+    }
+  }
+
+  return { bool: { filter: must, must_not: mustNot } };
+}
+
+/**
+ * Translate a filter into a Pinecone metadata filter
+ * Pinecone's filter syntax is already Mongo-style, so this only normalizes shorthand
+ * @param {Object} filter - Filter expression
+ * @returns {Object} - Pinecone filter
+ */
+export function toPineconeFilter(filter) {
+  const result = {};
+
+  for (const [key, condition] of Object.entries(filter)) {
+    result[key] = LOGICAL_OPERATORS.includes(key)
+      ? condition.map(toPineconeFilter)
+      : toOperators(condition);
+  }
+
+  return result;
+}
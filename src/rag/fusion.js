@@ -0,0 +1,73 @@
+/**
+ * Result Fusion
+ * Merges ranked result lists from several retrievers into a single ranking
+ */
+
+/**
+ * Merge result lists, keeping track of which retrievers found each document
+ * @param {Array<{name: string, results: Array}>} resultLists - Named result lists
+ * @param {Function} scoreFn - (result, rank, list) => contribution to the fused score
+ * @returns {Array} - Fused documents sorted by score
+ */
+function fuse(resultLists, scoreFn) {
+  const fused = new Map();
+
+  for (const list of resultLists) {
+    list.results.forEach((result, rank) => {
+      let entry = fused.get(result.id);
+      if (!entry) {
+        entry = {
+          id: result.id,
+          content: result.content,
+          metadata: result.metadata,
+          score: 0,
+          retrievers: [],
+          retrieverScores: {}
+        };
+        fused.set(result.id, entry);
+      }
+
+      entry.score += scoreFn(result, rank, list);
+      entry.retrievers.push(list.name);
+      entry.retrieverScores[list.name] = result.score;
+    });
+  }
+
+  return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Reciprocal rank fusion
+ * Scores are normalized so a document ranked first by every retriever scores 1
+ * @param {Array<{name: string, results: Array, weight?: number}>} resultLists - Named result lists
+ * @param {Object} options - Fusion options
+ * @param {number} options.k - RRF rank constant (default 60)
+ * @returns {Array} - Fused documents sorted by score
+ */
+export function reciprocalRankFusion(resultLists, options = {}) {
+  const k = options.k ?? 60;
+  const maxScore = resultLists.reduce((sum, list) => sum + (list.weight ?? 1) / (k + 1), 0) || 1;
+
+  return fuse(resultLists, (result, rank, list) => (list.weight ?? 1) / (k + rank + 1) / maxScore);
+}
+
+/**
+ * Weighted score fusion
+ * Normalizes each retriever's scores by its best score, then sums them by weight
+ * @param {Array<{name: string, results: Array, weight?: number}>} resultLists - Named result lists
+ * @returns {Array} - Fused documents sorted by score
+ */
+export function weightedScoreFusion(resultLists) {
+  const totalWeight = resultLists.reduce((sum, list) => sum + (list.weight ?? 1), 0) || 1;
+
+  const maxScores = new Map(resultLists.map(list => [
+    list.name,
+    Math.max(0, ...list.results.map(r => r.score || 0))
+  ]));
+
+  return fuse(resultLists, (result, rank, list) => {
+    const max = maxScores.get(list.name);
+    const normalized = max > 0 ? Math.max(0, result.score || 0) / max : 0;
+    return normalized * (list.weight ?? 1) / totalWeight;
+  });
+}
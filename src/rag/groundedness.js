@@ -0,0 +1,184 @@
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'than', 'so', 'of', 'in', 'on', 'at', 'to', 'for',
+  'from', 'by', 'with', 'as', 'into', 'about', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'it',
+  'its', 'this', 'that', 'these', 'those', 'there', 'here', 'which', 'who', 'whom', 'what', 'when',
+  'where', 'how', 'do', 'does', 'did', 'has', 'have', 'had', 'can', 'could', 'will', 'would', 'should',
+  'may', 'might', 'also', 'not', 'no', 'yes', 'you', 'your', 'we', 'our', 'they', 'their', 'he', 'she',
+  'his', 'her', 'i', 'my', 'me', 'based', 'according', 'context', 'provided', 'information', 'document',
+  'documents', 'source', 'sources'
+]);
+
+const CITATION_PATTERN = /\[\d+(?:\s*,\s*\d+)*\]/g;
+
+/**
+ * Groundedness Checker
+ * Scores how well each sentence of an answer is supported by the context documents:
+ * lexical overlap of content words, optionally blended with an LLM-as-judge grade
+ */
+export class GroundednessChecker {
+  constructor(config = {}) {
+    this.llm = config.llm || null; // Required for the judge pass
+    this.judge = config.judge ?? false; // Also grade sentences with the LLM
+    this.model = config.model || null; // Optional cheaper/faster model for judging
+    this.judgeWeight = config.judgeWeight ?? 0.7; // Share of the judge grade in a sentence score
+    this.threshold = config.threshold ?? 0.5; // Answers below this confidence abstain
+    this.supportThreshold = config.supportThreshold ?? 0.5; // Sentence score counted as supported
+    this.action = config.action || 'replace'; // 'replace' the answer or 'annotate' it below the threshold
+    this.modes = config.modes || ['rag']; // Query modes that are checked
+    this.minSentenceTokens = config.minSentenceTokens ?? 3; // Shorter sentences ("Sure!") are not scored
+    this.maxPassageLength = config.maxPassageLength || 1500; // Characters per context block in the judge prompt
+    this.abstentionMessage = config.abstentionMessage
+      || "I couldn't find enough support in the available documents to answer this reliably.";
+    this.annotation = config.annotation
+      || '⚠️ Low confidence: parts of this answer may not be supported by the retrieved documents.';
+  }
+
+  /**
+   * Split text into normalized content words
+   * @param {string} text - Input text
+   * @returns {Array<string>} - Tokens
+   */
+  tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(token => !STOPWORDS.has(token) && (token.length > 1 || /\d/.test(token)))
+      .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+  }
+
+  /**
+   * Split an answer into sentences, dropping citation markers and list bullets
+   * @param {string} answer - Generated answer
+   * @returns {Array<string>} - Sentences
+   */
+  splitSentences(answer) {
+    return (answer || '')
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.replace(CITATION_PATTERN, '').replace(/^\s*(?:[-*•]|\d+\.)\s+/, '').trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Build the judge prompt
+   * @param {Array<string>} sentences - Sentences to grade
+   * @param {Array} documents - Context documents
+   * @returns {string} - Prompt text
+   */
+  buildJudgePrompt(sentences, documents) {
+    const context = documents.map((doc, i) =>
+      `[${i + 1}] ${doc.content.substring(0, this.maxPassageLength)}`
+    ).join('\n\n');
+    const statements = sentences.map((sentence, i) => `${i + 1}. ${sentence}`).join('\n');
+
+    return `Rate how well the context supports each statement on a scale from 0 (not supported or contradicted) to 10 (directly stated in the context). Judge only against the context, not general knowledge.
+
+Context:
+${context || '(no context)'}
+
+Statements:
+${statements}
+
+Respond with ONLY a JSON array of ${sentences.length} numbers, one per statement in order, e.g. [9, 2, 10].`;
+  }
+
+  /**
+   * Parse the judge's grades
+   * @param {string} text - LLM output
+   * @param {number} count - Expected number of grades
+   * @returns {Array<number>|null} - Grades normalized to 0-1, or null if unparseable
+   */
+  parseJudgeScores(text, count) {
+    const match = text.match(/\[[\s\S]*?\]/);
+    if (!match) return null;
+
+    try {
+      const grades = JSON.parse(match[0]);
+      if (!Array.isArray(grades) || grades.length !== count) return null;
+      return grades.map(g => Math.min(Math.max(Number(g) || 0, 0), 10) / 10);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Grade sentences with the LLM
+   * @param {Array<string>} sentences - Sentences to grade
+   * @param {Array} documents - Context documents
+   * @param {Object} options - Options (onUsage receives the judge call's token usage)
+   * @returns {Promise<Array<number>|null>} - Grades (0-1), or null if judging failed
+   */
+  async judgeSentences(sentences, documents, options = {}) {
+    if (!this.llm) {
+      throw new Error('LLM is required for groundedness judging');
+    }
+
+    try {
+      const output = await this.llm.complete(this.buildJudgePrompt(sentences, documents), {
+        model: this.model || undefined,
+        temperature: 0,
+        maxTokens: 20 + sentences.length * 4,
+        operation: 'judge',
+        onUsage: options.onUsage
+      });
+      return this.parseJudgeScores(output, sentences.length);
+    } catch (error) {
+      console.warn('Groundedness judging failed, using lexical scores:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Score an answer against its context documents
+   * @param {string} answer - Generated answer
+   * @param {Array<{id: string, content: string}>} documents - Documents the answer was generated from
+   * @param {Object} options - Options (onUsage receives the judge call's token usage)
+   * @returns {Promise<{confidence: number, method: string, sentences: Array<{text: string, score: number, lexicalScore: number, judgeScore: number|null, supported: boolean, sourceIds: Array<string>}>}>}
+   */
+  async check(answer, documents = [], options = {}) {
+    const docTokens = documents.map(doc => new Set(this.tokenize(doc.content)));
+
+    const sentences = this.splitSentences(answer)
+      .map(text => ({ text, tokens: [...new Set(this.tokenize(text))] }))
+      .filter(sentence => sentence.tokens.length >= this.minSentenceTokens);
+
+    const scored = sentences.map(sentence => {
+      const coverages = docTokens.map(tokens =>
+        sentence.tokens.filter(token => tokens.has(token)).length / sentence.tokens.length
+      );
+      return {
+        text: sentence.text,
+        weight: sentence.tokens.length,
+        lexicalScore: coverages.length > 0 ? Math.max(...coverages) : 0,
+        judgeScore: null,
+        sourceIds: documents
+          .filter((doc, i) => coverages[i] >= this.supportThreshold)
+          .map(doc => doc.id)
+      };
+    });
+
+    let method = 'lexical';
+    if (this.judge && scored.length > 0) {
+      const grades = await this.judgeSentences(scored.map(sentence => sentence.text), documents, options);
+      if (grades) {
+        grades.forEach((grade, i) => { scored[i].judgeScore = grade; });
+        method = 'lexical+llm';
+      }
+    }
+
+    let totalWeight = 0;
+    let weightedScore = 0;
+    const results = scored.map(({ weight, ...sentence }) => {
+      const score = sentence.judgeScore === null
+        ? sentence.lexicalScore
+        : this.judgeWeight * sentence.judgeScore + (1 - this.judgeWeight) * sentence.lexicalScore;
+      totalWeight += weight;
+      weightedScore += weight * score;
+      return { ...sentence, score, supported: score >= this.supportThreshold };
+    });
+
+    return {
+      // Answers without checkable statements (e.g. "I don't know.") make no unsupported claims
+      confidence: totalWeight > 0 ? weightedScore / totalWeight : 1,
+      method,
+      sentences: results
+    };
+  }
+}
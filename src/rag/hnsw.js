@@ -0,0 +1,435 @@
+/**
+ * Binary heap ordered by a comparator (root = first in order)
+ */
+class Heap {
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let next = i;
+        if (left < items.length && this.compare(items[left], items[next]) < 0) next = left;
+        if (right < items.length && this.compare(items[right], items[next]) < 0) next = right;
+        if (next === i) break;
+        [items[i], items[next]] = [items[next], items[i]];
+        i = next;
+      }
+    }
+    return top;
+  }
+}
+
+const bySimilarityDesc = (a, b) => b.sim - a.sim;
+const bySimilarityAsc = (a, b) => a.sim - b.sim;
+
+/**
+ * HNSW Index
+ * Approximate nearest neighbour search over L2-normalized vectors (similarity = dot product)
+ * using a Hierarchical Navigable Small World graph. Vectors can be added and removed one at a
+ * time; removals are tombstoned and the graph is compacted once too many accumulate.
+ * Small corpora (below exactThreshold) are searched exhaustively
+ */
+export class HNSWIndex {
+  constructor(config = {}) {
+    this.M = config.M || 16; // Links per node on upper layers (2M on layer 0); more = better recall, more memory
+    this.efConstruction = config.efConstruction || 100; // Candidate list size while inserting; more = better graph, slower builds
+    this.efSearch = config.efSearch || 64; // Candidate list size while searching; more = better recall, slower queries
+    this.exactThreshold = config.exactThreshold ?? 1000; // Search exhaustively below this many vectors
+    this.compactRatio = config.compactRatio ?? 0.3; // Rebuild once this share of nodes is deleted
+    this.levelMultiplier = 1 / Math.log(this.M);
+    this._seed = config.seed ?? null; // Seed for reproducible level assignment (null = Math.random)
+    this.clear();
+  }
+
+  /**
+   * Remove every vector
+   */
+  clear() {
+    this.ids = []; // Node index -> document ID
+    this.vectors = [];
+    this.levels = [];
+    this.neighbors = []; // Node index -> per-level arrays of node indexes
+    this.idToNode = new Map();
+    this.deleted = new Set(); // Tombstoned node indexes
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.rng = this._seed === null ? Math.random : this.createRng(this._seed);
+  }
+
+  /**
+   * Small deterministic PRNG (mulberry32)
+   * @param {number} seed - Seed
+   * @returns {Function} - Returns floats in [0, 1)
+   */
+  createRng(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Number of live vectors
+   */
+  get size() {
+    return this.idToNode.size;
+  }
+
+  has(id) {
+    return this.idToNode.has(id);
+  }
+
+  similarity(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+    }
+    return dot;
+  }
+
+  /**
+   * Greedy best-first search of one layer
+   * @param {Array<number>} query - Query vector
+   * @param {Array<number>} entryPoints - Node indexes to start from
+   * @param {number} ef - Result list size
+   * @param {number} level - Layer
+   * @returns {Array<{node: number, sim: number}>} - Up to ef closest nodes, best first
+   */
+  searchLayer(query, entryPoints, ef, level) {
+    const visited = new Set(entryPoints);
+    const candidates = new Heap(bySimilarityDesc); // Best candidate first
+    const results = new Heap(bySimilarityAsc); // Worst result first
+
+    for (const node of entryPoints) {
+      const sim = this.similarity(query, this.vectors[node]);
+      candidates.push({ node, sim });
+      results.push({ node, sim });
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.sim < results.peek().sim) break;
+
+      for (const neighbor of this.neighbors[current.node][level] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const sim = this.similarity(query, this.vectors[neighbor]);
+        if (results.size < ef || sim > results.peek().sim) {
+          candidates.push({ node: neighbor, sim });
+          results.push({ node: neighbor, sim });
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort(bySimilarityDesc);
+  }
+
+  /**
+   * Pick diverse neighbors: a candidate is kept only if it is closer to the new node than to any
+   * neighbor already kept, then the remaining slots are filled with the closest leftovers
+   * @param {Array<{node: number, sim: number}>} candidates - Candidates, best first
+   * @param {number} count - Maximum neighbors
+   * @returns {Array<number>} - Selected node indexes
+   */
+  selectNeighbors(candidates, count) {
+    const selected = [];
+    const skipped = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+      const diverse = selected.every(kept =>
+        candidate.sim > this.similarity(this.vectors[candidate.node], this.vectors[kept.node])
+      );
+      (diverse ? selected : skipped).push(candidate);
+    }
+
+    for (const candidate of skipped) {
+      if (selected.length >= count) break;
+      selected.push(candidate);
+    }
+
+    return selected.map(candidate => candidate.node);
+  }
+
+  /**
+   * Add or replace a vector
+   * @param {string} id - Document ID
+   * @param {Array<number>} vector - L2-normalized vector
+   */
+  add(id, vector) {
+    const existing = this.idToNode.get(id);
+    if (existing !== undefined) {
+      if (this.vectors[existing] === vector) return;
+      this.remove(id);
+    }
+
+    const node = this.ids.length;
+    const level = Math.floor(-Math.log(1 - this.rng()) * this.levelMultiplier);
+    this.ids.push(id);
+    this.vectors.push(vector);
+    this.levels.push(level);
+    this.neighbors.push(Array.from({ length: level + 1 }, () => []));
+    this.idToNode.set(id, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = this.entryPoint;
+    for (let l = this.maxLevel; l > level; l--) {
+      entry = this.searchLayer(vector, [entry], 1, l)[0].node;
+    }
+
+    let entryPoints = [entry];
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this.searchLayer(vector, entryPoints, this.efConstruction, l);
+      const maxLinks = l === 0 ? this.M * 2 : this.M;
+      const links = this.selectNeighbors(candidates, maxLinks);
+      this.neighbors[node][l] = links;
+
+      for (const neighbor of links) {
+        const neighborLinks = this.neighbors[neighbor][l];
+        neighborLinks.push(node);
+
+        if (neighborLinks.length > maxLinks) {
+          const scored = neighborLinks
+            .map(n => ({ node: n, sim: this.similarity(this.vectors[neighbor], this.vectors[n]) }))
+            .sort(bySimilarityDesc);
+          this.neighbors[neighbor][l] = this.selectNeighbors(scored, maxLinks);
+        }
+      }
+
+      entryPoints = candidates.map(candidate => candidate.node);
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Remove a vector (tombstoned until the next compaction)
+   * @param {string} id - Document ID
+   * @returns {boolean} - True if the ID was indexed
+   */
+  remove(id) {
+    const node = this.idToNode.get(id);
+    if (node === undefined) return false;
+
+    this.idToNode.delete(id);
+    this.deleted.add(node);
+    // Tombstones still route searches, but their vector may be a view into storage that is about to
+    // be reused for another document (see VectorStore.delete), so they keep their own copy until compaction
+    this.vectors[node] = Float32Array.from(this.vectors[node]);
+
+    if (this.deleted.size > this.ids.length * this.compactRatio) {
+      this.compact();
+    }
+    return true;
+  }
+
+  /**
+   * Rebuild the graph from the live vectors, dropping tombstones
+   */
+  compact() {
+    const live = Array.from(this.idToNode, ([id, node]) => [id, this.vectors[node]]);
+    this.clear();
+    for (const [id, vector] of live) {
+      this.add(id, vector);
+    }
+  }
+
+  /**
+   * Exhaustive search (used for small indexes)
+   * @param {Array<number>} query - Query vector
+   * @param {number} k - Number of results
+   * @param {Function} filter - Optional predicate on document IDs
+   * @returns {Array<{id: string, score: number}>} - Top results
+   */
+  searchExact(query, k, filter = null) {
+    const results = [];
+    for (const [id, node] of this.idToNode) {
+      if (filter && !filter(id)) continue;
+      results.push({ id, score: this.similarity(query, this.vectors[node]) });
+    }
+    return results.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+
+  /**
+   * Find the approximate k nearest vectors
+   * @param {Array<number>} query - Query vector
+   * @param {number} k - Number of results
+   * @param {Object} options - Search options
+   * @param {number} options.ef - Override efSearch for this query
+   * @param {Function} options.filter - Predicate on document IDs; the candidate list grows until k matches are found
+   * @param {boolean} options.exact - Force an exhaustive search
+   * @returns {Array<{id: string, score: number}>} - Top results, best first
+   */
+  search(query, k = 5, options = {}) {
+    if (this.size === 0 || k <= 0) return [];
+
+    if (options.exact || this.size < this.exactThreshold) {
+      return this.searchExact(query, k, options.filter);
+    }
+
+    let entry = this.entryPoint;
+    for (let l = this.maxLevel; l > 0; l--) {
+      entry = this.searchLayer(query, [entry], 1, l)[0].node;
+    }
+
+    // Tombstones and filtered-out nodes take up candidate slots, so widen the search until enough survive
+    let ef = Math.max(options.ef || this.efSearch, k);
+    for (;;) {
+      const results = [];
+      for (const { node, sim } of this.searchLayer(query, [entry], ef, 0)) {
+        if (this.deleted.has(node)) continue;
+        const id = this.ids[node];
+        if (options.filter && !options.filter(id)) continue;
+        results.push({ id, score: sim });
+        if (results.length === k) return results;
+      }
+
+      if (ef >= this.ids.length) return results;
+      ef = Math.min(ef * 2, this.ids.length);
+    }
+  }
+
+  /**
+   * Export the graph so it can be persisted (vectors are not included)
+   * @returns {Object} - Serializable index state
+   */
+  exportState() {
+    return {
+      type: 'hnsw',
+      M: this.M,
+      efConstruction: this.efConstruction,
+      ids: this.ids,
+      levels: this.levels,
+      neighbors: this.neighbors,
+      deleted: Array.from(this.deleted),
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel
+    };
+  }
+
+  /**
+   * Restore a graph exported by exportState()
+   * @param {Object} state - Index state
+   * @param {Function} getVector - Returns the vector for a document ID
+   * @returns {boolean} - True if the state was compatible and every vector was found
+   */
+  importState(state, getVector) {
+    if (state?.type !== 'hnsw' || state.M !== this.M) return false;
+
+    const deleted = new Set(state.deleted || []);
+    const vectors = [];
+    const idToNode = new Map();
+
+    for (let node = 0; node < state.ids.length; node++) {
+      if (deleted.has(node)) {
+        vectors.push(null);
+        continue;
+      }
+      const vector = getVector(state.ids[node]);
+      if (!vector) return false;
+      vectors.push(vector);
+      idToNode.set(state.ids[node], node);
+    }
+
+    // Tombstoned vectors aren't saved; zero vectors keep those nodes traversable until the next compaction
+    const dimension = vectors.find(Boolean)?.length || 0;
+    for (const node of deleted) {
+      vectors[node] = new Array(dimension).fill(0);
+    }
+
+    this.ids = state.ids;
+    this.vectors = vectors;
+    this.levels = state.levels;
+    this.neighbors = state.neighbors;
+    this.idToNode = idToNode;
+    this.deleted = deleted;
+    this.entryPoint = state.entryPoint;
+    this.maxLevel = state.maxLevel;
+    return true;
+  }
+
+  /**
+   * Approximate bytes used by the graph: links, plus vectors the index holds its own copy of
+   * (views into a VectorStore block are counted by the store)
+   * @returns {number}
+   */
+  getMemoryUsage() {
+    let bytes = 0;
+    for (let node = 0; node < this.ids.length; node++) {
+      for (const links of this.neighbors[node]) {
+        bytes += links.length * 8;
+      }
+
+      const vector = this.vectors[node];
+      if (!ArrayBuffer.isView(vector)) {
+        bytes += vector.length * 8;
+      } else if (vector.byteLength === vector.buffer.byteLength) {
+        bytes += vector.byteLength;
+      }
+    }
+    return bytes;
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object} - Size and tuning parameters
+   */
+  getStats() {
+    return {
+      type: 'hnsw',
+      size: this.size,
+      deleted: this.deleted.size,
+      bytes: this.getMemoryUsage(),
+      maxLevel: this.maxLevel,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      exactThreshold: this.exactThreshold,
+      exact: this.size < this.exactThreshold
+    };
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Maximal Marginal Relevance
+ * Re-ranks candidates to trade relevance against redundancy, so near-duplicate
+ * overlapping chunks don't take up every top-K slot
+ */
+
+/**
+ * Select documents by maximal marginal relevance
+ * @param {Array<number>} queryVector - Query embedding
+ * @param {Array<{vector: Array<number>}>} candidates - Candidate documents with embeddings
+ * @param {Object} options - MMR options
+ * @param {number} options.topK - Number of documents to select
+ * @param {number} options.lambda - 1 = pure relevance, 0 = pure diversity (default 0.5)
+ * @param {Function} options.similarity - (a, b) => similarity between two vectors
+ * @returns {Array} - Selected candidates in MMR order, each with an mmrScore
+ */
+export function maximalMarginalRelevance(queryVector, candidates, options = {}) {
+  const { topK = candidates.length, lambda = 0.5, similarity } = options;
+
+  const remaining = candidates.map(candidate => ({
+    candidate,
+    relevance: similarity(queryVector, candidate.vector),
+    maxRedundancy: 0
+  }));
+  const selected = [];
+
+  while (selected.length < topK && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach((entry, index) => {
+      const score = lambda * entry.relevance - (1 - lambda) * entry.maxRedundancy;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    const [best] = remaining.splice(bestIndex, 1);
+    selected.push({ ...best.candidate, mmrScore: bestScore });
+
+    // Track each remaining candidate's highest similarity to anything selected so far
+    for (const entry of remaining) {
+      entry.maxRedundancy = Math.max(
+        entry.maxRedundancy,
+        similarity(entry.candidate.vector, best.candidate.vector)
+      );
+    }
+  }
+
+  return selected;
+}
@@ -0,0 +1,107 @@
+/**
+ * Query Transformer
+ * Uses the LLM to rewrite conversational follow-ups into standalone questions
+ * and to expand them into paraphrased sub-queries for retrieval
+ */
+export class QueryTransformer {
+  constructor(config = {}) {
+    this.llm = config.llm;
+    this.model = config.model || null; // Optional cheaper/faster model for rewriting
+    this.numQueries = config.numQueries ?? 3; // Paraphrased sub-queries to generate
+    this.rewrite = config.rewrite ?? true; // Rewrite follow-ups into standalone questions
+    this.maxHistoryMessages = config.maxHistoryMessages || 6; // Recent messages used as context
+  }
+
+  /**
+   * Build the transformation prompt
+   * @param {string} query - User query
+   * @param {Array<{role: string, content: string}>} history - Conversation history
+   * @param {number} numQueries - Number of paraphrases to request
+   * @returns {string} - Prompt text
+   */
+  buildPrompt(query, history, numQueries) {
+    const conversation = history
+      .slice(-this.maxHistoryMessages)
+      .map(msg => `${msg.role}: ${String(msg.content).substring(0, 500)}`)
+      .join('\n');
+
+    return `You help a search system find documents. ${conversation ? 'Use the conversation to resolve references like "it", "that" or "the second one".' : ''}
+
+${conversation ? `Conversation:\n${conversation}\n\n` : ''}Latest question: ${query}
+
+Return ONLY a JSON object with:
+- "standalone": the latest question rewritten to be fully self-contained${this.rewrite ? '' : ' (or unchanged)'}
+- "queries": an array of ${numQueries} different search queries that paraphrase it or cover different aspects of it
+
+Example: {"standalone": "...", "queries": ["...", "..."]}`;
+  }
+
+  /**
+   * Parse the LLM's JSON output
+   * @param {string} text - LLM output
+   * @returns {Object|null} - Parsed object, or null if unparseable
+   */
+  parse(text) {
+    const match = text.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+
+    try {
+      return JSON.parse(match[0]);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Transform a query into a standalone rewrite plus sub-queries
+   * Falls back to the original query if the LLM call fails
+   * @param {string} query - User query
+   * @param {Array} history - Conversation history
+   * @param {Object} options - Transformation options
+   * @param {number} options.numQueries - Override the number of sub-queries
+   * @param {Function} options.onUsage - Receives the rewrite call's token usage
+   * @returns {Promise<{original: string, standalone: string, expansions: Array<string>, queries: Array<string>}>}
+   */
+  async transform(query, history = [], options = {}) {
+    const numQueries = options.numQueries ?? this.numQueries;
+    const hasHistory = Array.isArray(history) && history.length > 0;
+    const result = { original: query, standalone: query, expansions: [], queries: [query] };
+
+    if (!this.llm || (numQueries === 0 && !(this.rewrite && hasHistory))) {
+      return result;
+    }
+
+    try {
+      const output = await this.llm.complete(
+        this.buildPrompt(query, hasHistory ? history : [], numQueries),
+        { model: this.model || undefined, temperature: 0.3, maxTokens: 300, operation: 'rewrite', onUsage: options.onUsage }
+      );
+      const parsed = this.parse(output);
+
+      if (parsed) {
+        if (this.rewrite && typeof parsed.standalone === 'string' && parsed.standalone.trim()) {
+          result.standalone = parsed.standalone.trim();
+        }
+        if (Array.isArray(parsed.queries)) {
+          result.expansions = parsed.queries
+            .filter(q => typeof q === 'string' && q.trim())
+            .map(q => q.trim())
+            .slice(0, numQueries);
+        }
+      }
+    } catch (error) {
+      console.warn('Query transformation failed, using original query:', error.message);
+    }
+
+    // Deduplicate while keeping the standalone question first
+    const seen = new Set();
+    result.queries = [result.standalone, ...result.expansions].filter(q => {
+      const key = q.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    return result;
+  }
+}
@@ -0,0 +1,89 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * Vector Index Snapshots
+ * Persists the engine's vector index to disk so restarts can skip re-embedding
+ */
+
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Compute a fingerprint of the data source content
+ * Any change to document IDs, content or metadata produces a different fingerprint
+ * @param {Array<{id: string, content: string, metadata: Object}>} documents - Source documents
+ * @returns {string} - Hex digest
+ */
+export function fingerprintDocuments(documents = []) {
+  const hash = createHash('sha256');
+
+  for (const doc of documents) {
+    hash.update(String(doc.id));
+    hash.update('\0');
+    hash.update(doc.content || '');
+    hash.update('\0');
+    hash.update(JSON.stringify(doc.metadata || {}));
+    hash.update('\n');
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * Compute a content hash for a single document
+ * Used to detect added, changed and unchanged documents on refresh
+ * @param {{content: string, metadata: Object}} document - Source document
+ * @returns {string} - Hex digest
+ */
+export function hashDocument(document) {
+  return createHash('sha256')
+    .update(document.content || '')
+    .update('\0')
+    .update(JSON.stringify(document.metadata || {}))
+    .digest('hex');
+}
+
+/**
+ * Compute a hash of a document's content only
+ * Used to tell metadata-only changes apart so the existing vector can be kept
+ * @param {string} content - Document content
+ * @returns {string} - Hex digest
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content || '').digest('hex');
+}
+
+/**
+ * Write a snapshot to disk
+ * Writes to a temporary file first so a crash never leaves a half-written snapshot
+ * @param {string} path - Snapshot file path
+ * @param {Object} snapshot - Snapshot contents
+ */
+export async function writeSnapshot(path, snapshot) {
+  await mkdir(dirname(path), { recursive: true });
+
+  const tmpPath = `${path}.tmp`;
+  await writeFile(tmpPath, JSON.stringify({ version: SNAPSHOT_VERSION, ...snapshot }), 'utf-8');
+  await rename(tmpPath, path);
+}
+
+/**
+ * Read a snapshot from disk
+ * @param {string} path - Snapshot file path
+ * @returns {Promise<Object|null>} - Snapshot contents, or null if missing, unreadable or from another version
+ */
+export async function readSnapshot(path) {
+  if (!existsSync(path)) {
+    return null;
+  }
+
+  try {
+    const snapshot = JSON.parse(await readFile(path, 'utf-8'));
+    return snapshot.version === SNAPSHOT_VERSION ? snapshot : null;
+  } catch (error) {
+    console.warn(`Warning: Could not read index snapshot ${path}: ${error.message}`);
+    return null;
+  }
+}
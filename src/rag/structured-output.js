@@ -0,0 +1,268 @@
+/**
+ * Structured Output
+ * Validates LLM replies against a JSON Schema so answers can be returned as parsed data.
+ * Covers the JSON Schema subset answer schemas use: type, enum, const, properties, required,
+ * additionalProperties, items, min/maxItems, min/maxLength, pattern, minimum, maximum,
+ * anyOf, oneOf and allOf. Annotations (description, title, format, default, ...) are ignored
+ *
+ * Example:
+ *   {
+ *     type: 'object',
+ *     properties: {
+ *       answer: { type: 'string' },
+ *       confidence: { type: 'number', minimum: 0, maximum: 1 },
+ *       entities: { type: 'array', items: { type: 'string' } }
+ *     },
+ *     required: ['answer', 'confidence', 'entities']
+ *   }
+ */
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const SCHEMA_LISTS = ['anyOf', 'oneOf', 'allOf'];
+
+/**
+ * JSON type of a value
+ * @param {*} value - Parsed JSON value
+ * @returns {string} - 'string', 'integer', 'number', 'boolean', 'object', 'array' or 'null'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check whether a value has one of the allowed types (integers are numbers)
+ * @param {*} value - Parsed JSON value
+ * @param {string|Array<string>} type - Allowed type(s)
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return [].concat(type).some(allowed => allowed === actual || (allowed === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate a JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Location within the root schema (for error messages)
+ * @throws {Error} - If the schema is malformed or uses unsupported keywords
+ */
+export function validateSchema(schema, path = 'schema') {
+  if (schema === true || schema === false) return;
+
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error(`Invalid ${path}: must be an object`);
+  }
+
+  if (schema.$ref !== undefined) {
+    throw new Error(`Invalid ${path}: $ref is not supported, inline the referenced schema`);
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    const unknown = types.find(type => !TYPES.includes(type));
+    if (types.length === 0 || unknown !== undefined) {
+      throw new Error(`Invalid ${path}.type: must be one of ${TYPES.join(', ')}`);
+    }
+  }
+
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+    throw new Error(`Invalid ${path}.enum: must be a non-empty array`);
+  }
+
+  if (schema.properties !== undefined) {
+    if (!schema.properties || typeof schema.properties !== 'object' || Array.isArray(schema.properties)) {
+      throw new Error(`Invalid ${path}.properties: must be an object`);
+    }
+    for (const [name, property] of Object.entries(schema.properties)) {
+      validateSchema(property, `${path}.properties.${name}`);
+    }
+  }
+
+  if (schema.required !== undefined
+    && (!Array.isArray(schema.required) || schema.required.some(name => typeof name !== 'string'))) {
+    throw new Error(`Invalid ${path}.required: must be an array of property names`);
+  }
+
+  if (schema.additionalProperties !== undefined) {
+    validateSchema(schema.additionalProperties, `${path}.additionalProperties`);
+  }
+
+  if (schema.items !== undefined) {
+    validateSchema(schema.items, `${path}.items`);
+  }
+
+  for (const keyword of SCHEMA_LISTS) {
+    if (schema[keyword] === undefined) continue;
+    if (!Array.isArray(schema[keyword]) || schema[keyword].length === 0) {
+      throw new Error(`Invalid ${path}.${keyword}: must be a non-empty array of schemas`);
+    }
+    schema[keyword].forEach((subschema, i) => validateSchema(subschema, `${path}.${keyword}[${i}]`));
+  }
+
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern, 'u');
+    } catch (error) {
+      throw new Error(`Invalid ${path}.pattern: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON Schema (checked with validateSchema)
+ * @param {string} path - Location of the value, e.g. $.entities[0] (for error messages)
+ * @returns {Array<string>} - Validation errors, empty when the value is valid
+ */
+export function validateValue(value, schema, path = '$') {
+  if (schema === true) return [];
+  if (schema === false) return [`${path}: no value is allowed here`];
+
+  if (schema.type !== undefined && !matchesType(value, schema.type)) {
+    return [`${path}: expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  if (schema.enum && !schema.enum.some(option => same(option, value))) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && !same(schema.const, value)) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path}: must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => errors.push(...validateValue(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    // Own keys only: names such as 'constructor' or '__proto__' must not resolve through the prototype
+    for (const name of schema.required || []) {
+      if (!Object.hasOwn(value, name)) {
+        errors.push(`${path}.${name}: is required`);
+      }
+    }
+    for (const [name, property] of Object.entries(value)) {
+      if (Object.hasOwn(properties, name)) {
+        errors.push(...validateValue(property, properties[name], `${path}.${name}`));
+      } else if (schema.additionalProperties !== undefined) {
+        errors.push(...(schema.additionalProperties === false
+          ? [`${path}.${name}: is not an allowed property`]
+          : validateValue(property, schema.additionalProperties, `${path}.${name}`)));
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(subschema => errors.push(...validateValue(value, subschema, path)));
+  }
+  if (schema.anyOf && !schema.anyOf.some(subschema => validateValue(value, subschema, path).length === 0)) {
+    errors.push(`${path}: must match at least one of the anyOf schemas`);
+  }
+  if (schema.oneOf && schema.oneOf.filter(subschema => validateValue(value, subschema, path).length === 0).length !== 1) {
+    errors.push(`${path}: must match exactly one of the oneOf schemas`);
+  }
+
+  return errors;
+}
+
+/**
+ * Parse JSON from an LLM reply, repairing the usual slips: code fences, prose around the
+ * object and trailing commas
+ * @param {string} text - LLM reply
+ * @returns {*} - Parsed value
+ * @throws {Error} - If no JSON can be recovered
+ */
+export function parseJSON(text) {
+  const trimmed = (text || '').trim().replace(/^```(?:json)?\s*\n?|\n?\s*```$/gi, '').trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    // Keep the outermost object or array and drop trailing commas before a closing bracket
+    const start = trimmed.search(/[{[]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(trimmed.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1'));
+      } catch {
+        // Fall through to the original error
+      }
+    }
+    throw new Error(`Reply is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Parse an LLM reply and validate it against a schema
+ * @param {string} text - LLM reply
+ * @param {Object} schema - JSON Schema
+ * @returns {{data: *, errors: Array<string>}} - Parsed value (undefined if unparseable) and validation errors
+ */
+export function parseStructuredOutput(text, schema) {
+  let data;
+  try {
+    data = parseJSON(text);
+  } catch (error) {
+    return { data: undefined, errors: [error.message] };
+  }
+  return { data, errors: validateValue(data, schema) };
+}
+
+/**
+ * Instructions appended to the system prompt when a schema is requested
+ * @param {Object} schema - JSON Schema
+ * @returns {string} - Prompt text
+ */
+export function buildSchemaInstructions(schema) {
+  return `Respond with ONLY a JSON value that conforms to this JSON Schema, with no prose or code fences around it:
+${JSON.stringify(schema, null, 2)}
+
+Base the values on the context as instructed above. Citation markers such as [1] may appear inside string values.`;
+}
+
+/**
+ * Follow-up message asking the LLM to fix an invalid reply
+ * @param {Array<string>} errors - Validation errors of the previous reply
+ * @returns {string} - Prompt text
+ */
+export function buildRepairPrompt(errors) {
+  return `Your reply did not conform to the JSON Schema:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply with ONLY the corrected JSON.`;
+}
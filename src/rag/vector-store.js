@@ -0,0 +1,300 @@
+import { closeSync, ftruncateSync, openSync, readSync, writeSync } from 'fs';
+
+/**
+ * Vector Store
+ * Keeps document vectors in contiguous typed-array blocks instead of one JS array of doubles
+ * per document: 4 bytes per dimension as Float32, or 1 byte with int8 scalar quantization
+ * (one scale per vector). Blocks are never reallocated, so views returned by get() stay valid
+ * while the vector is stored; after delete() the slot is reused, so holders of a view must copy it
+ * first. Searches scan every vector (see rag/hnsw.js for approximate search).
+ *
+ * int8 scores are approximate. With a rescorePath, the Float32 vectors are also written to that
+ * file (slot by slot, so memory holds only the int8 codes) and the best candidates are rescored
+ * from it. An HNSW index would keep its own Float32 copy of every vector, so int8 is for exact search only
+ */
+export class VectorStore {
+  constructor(config = {}) {
+    this.dimension = config.dimension || null; // Taken from the first vector when not set
+    this.quantization = config.quantization || null; // null (Float32) or 'int8'
+    this.rescorePath = config.rescorePath || null; // int8 only: file of Float32 vectors to rescore from (rewritten on start)
+    this.rescoreFactor = config.rescoreFactor ?? 4; // With a rescorePath, candidates per result rescored at full precision
+    this.blockSize = config.blockSize || 1024; // Vectors per allocated block
+
+    if (this.quantization && this.quantization !== 'int8') {
+      throw new Error(`Unknown vector quantization: ${this.quantization}`);
+    }
+
+    this._dimension = this.dimension;
+    this.rescoreFile = null; // File descriptor, opened on the first write
+    this.clear();
+  }
+
+  /**
+   * Remove every vector and release the blocks
+   */
+  clear() {
+    this.dimension = this._dimension;
+    this.blocks = []; // Float32Array (or Int8Array codes) of blockSize * dimension values
+    this.scales = []; // Int8 only: Float32Array of blockSize per-vector scales
+    this.slotIds = []; // Slot -> document ID (null when free)
+    this.freeSlots = [];
+    this.idToSlot = new Map();
+    if (this.rescoreFile !== null) {
+      ftruncateSync(this.rescoreFile, 0);
+    }
+  }
+
+  /**
+   * Number of stored vectors
+   */
+  get size() {
+    return this.idToSlot.size;
+  }
+
+  get quantized() {
+    return this.quantization === 'int8';
+  }
+
+  /**
+   * True if approximate (int8) scores can be rescored from full-precision vectors
+   */
+  get rescorable() {
+    return this.quantized && Boolean(this.rescorePath);
+  }
+
+  has(id) {
+    return this.idToSlot.has(id);
+  }
+
+  keys() {
+    return this.idToSlot.keys();
+  }
+
+  /**
+   * Take a free slot, allocating a new block when all are used
+   * @returns {number} - Slot index
+   */
+  allocateSlot() {
+    if (this.freeSlots.length > 0) {
+      return this.freeSlots.pop();
+    }
+
+    const slot = this.slotIds.length;
+    if (slot === this.blocks.length * this.blockSize) {
+      const length = this.blockSize * this.dimension;
+      this.blocks.push(this.quantized ? new Int8Array(length) : new Float32Array(length));
+      if (this.quantized) {
+        this.scales.push(new Float32Array(this.blockSize));
+      }
+    }
+    this.slotIds.push(null);
+    return slot;
+  }
+
+  /**
+   * Add or overwrite a vector
+   * @param {string} id - Document ID
+   * @param {ArrayLike<number>} vector - Vector
+   */
+  set(id, vector) {
+    if (this.dimension === null) {
+      this.dimension = vector.length;
+    } else if (vector.length !== this.dimension) {
+      throw new Error(`Vector dimension mismatch: expected ${this.dimension}, got ${vector.length}`);
+    }
+
+    let slot = this.idToSlot.get(id);
+    if (slot === undefined) {
+      slot = this.allocateSlot();
+      this.idToSlot.set(id, slot);
+      this.slotIds[slot] = id;
+    }
+
+    const block = this.blocks[Math.floor(slot / this.blockSize)];
+    const offset = (slot % this.blockSize) * this.dimension;
+
+    if (!this.quantized) {
+      block.set(vector, offset);
+      return;
+    }
+
+    // Symmetric per-vector scale: the largest component maps to ±127
+    let maxAbs = 0;
+    for (let i = 0; i < vector.length; i++) {
+      maxAbs = Math.max(maxAbs, Math.abs(vector[i]));
+    }
+    const scale = maxAbs > 0 ? maxAbs / 127 : 1;
+    for (let i = 0; i < vector.length; i++) {
+      block[offset + i] = Math.round(vector[i] / scale);
+    }
+    this.scales[Math.floor(slot / this.blockSize)][slot % this.blockSize] = scale;
+
+    if (this.rescorePath) {
+      if (this.rescoreFile === null) {
+        this.rescoreFile = openSync(this.rescorePath, 'w+');
+      }
+      const exact = vector instanceof Float32Array ? vector : Float32Array.from(vector);
+      writeSync(this.rescoreFile, exact, 0, exact.byteLength, slot * this.dimension * 4);
+    }
+  }
+
+  /**
+   * Get a stored vector
+   * Float32 vectors are returned as views into the block (no copy); int8 vectors are dequantized
+   * @param {string} id - Document ID
+   * @returns {Float32Array|null} - Vector, or null if not stored
+   */
+  get(id) {
+    const slot = this.idToSlot.get(id);
+    if (slot === undefined) return null;
+
+    const block = this.blocks[Math.floor(slot / this.blockSize)];
+    const offset = (slot % this.blockSize) * this.dimension;
+
+    if (!this.quantized) {
+      return block.subarray(offset, offset + this.dimension);
+    }
+
+    const scale = this.scales[Math.floor(slot / this.blockSize)][slot % this.blockSize];
+    const vector = new Float32Array(this.dimension);
+    for (let i = 0; i < this.dimension; i++) {
+      vector[i] = block[offset + i] * scale;
+    }
+    return vector;
+  }
+
+  /**
+   * Get a stored vector at full precision: read back from the rescore file for int8 vectors
+   * that have one, the same as get() otherwise
+   * @param {string} id - Document ID
+   * @returns {Float32Array|null} - Vector, or null if not stored
+   */
+  getExact(id) {
+    const slot = this.idToSlot.get(id);
+    if (slot === undefined || !this.rescorable) return this.get(id);
+
+    const vector = new Float32Array(this.dimension);
+    readSync(this.rescoreFile, vector, 0, vector.byteLength, slot * this.dimension * 4);
+    return vector;
+  }
+
+  /**
+   * Remove a vector; its slot is reused by the next insert, overwriting views returned by get()
+   * @param {string} id - Document ID
+   * @returns {boolean} - True if the ID was stored
+   */
+  delete(id) {
+    const slot = this.idToSlot.get(id);
+    if (slot === undefined) return false;
+
+    this.idToSlot.delete(id);
+    this.slotIds[slot] = null;
+    this.freeSlots.push(slot);
+    return true;
+  }
+
+  /**
+   * Dot product of a stored vector with a query (cosine similarity for normalized vectors)
+   * @param {number} slot - Slot index
+   * @param {ArrayLike<number>} query - Query vector
+   * @returns {number} - Similarity
+   */
+  scoreSlot(slot, query) {
+    const blockIndex = Math.floor(slot / this.blockSize);
+    const block = this.blocks[blockIndex];
+    const offset = (slot % this.blockSize) * this.dimension;
+
+    let dot = 0;
+    for (let i = 0; i < this.dimension; i++) {
+      dot += block[offset + i] * query[i];
+    }
+    return this.quantized ? dot * this.scales[blockIndex][slot % this.blockSize] : dot;
+  }
+
+  /**
+   * Find the k most similar vectors by scanning every slot
+   * With int8 quantization the scores are approximate; callers rescore the top candidates (see rescore())
+   * @param {ArrayLike<number>} query - Query vector
+   * @param {number} k - Number of results
+   * @param {Object} options - Search options
+   * @param {Function} options.filter - Predicate on document IDs
+   * @returns {Array<{id: string, score: number}>} - Top results, best first
+   */
+  search(query, k = 5, options = {}) {
+    const results = [];
+    if (k <= 0) return results;
+
+    for (let slot = 0; slot < this.slotIds.length; slot++) {
+      const id = this.slotIds[slot];
+      if (id === null) continue;
+      if (options.filter && !options.filter(id)) continue;
+
+      const score = this.scoreSlot(slot, query);
+      if (results.length === k && score <= results[k - 1].score) continue;
+
+      // Insert after equal scores so ties keep insertion order
+      let i = results.length;
+      while (i > 0 && results[i - 1].score < score) i--;
+      results.splice(i, 0, { id, score });
+      if (results.length > k) results.pop();
+    }
+
+    return results;
+  }
+
+  /**
+   * Rescore approximate (int8) search results against the full-precision vectors
+   * @param {ArrayLike<number>} query - Query vector
+   * @param {Array<{id: string}>} candidates - Results of search()
+   * @param {number} k - Number of results to keep
+   * @returns {Array<{id: string, score: number}>} - Top results by exact score, best first
+   */
+  rescore(query, candidates, k) {
+    return candidates
+      .map(({ id }) => {
+        const vector = this.getExact(id);
+        let dot = 0;
+        for (let i = 0; i < this.dimension; i++) {
+          dot += vector[i] * query[i];
+        }
+        return { id, score: dot };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+
+  /**
+   * Close the rescore file
+   */
+  close() {
+    if (this.rescoreFile !== null) {
+      closeSync(this.rescoreFile);
+      this.rescoreFile = null;
+    }
+  }
+
+  /**
+   * Bytes allocated for vectors (and int8 scales)
+   * @returns {number}
+   */
+  getMemoryUsage() {
+    const blocks = this.blocks.reduce((sum, block) => sum + block.byteLength, 0);
+    const scales = this.scales.reduce((sum, scales) => sum + scales.byteLength, 0);
+    return blocks + scales;
+  }
+
+  /**
+   * Get store statistics
+   * @returns {Object} - Size, capacity and memory usage
+   */
+  getStats() {
+    return {
+      type: this.quantized ? 'int8' : 'float32',
+      size: this.size,
+      dimension: this.dimension,
+      capacity: this.blocks.length * this.blockSize,
+      bytes: this.getMemoryUsage(),
+      rescoreFactor: this.rescorable ? this.rescoreFactor : null
+    };
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Base Reranker class
+ * All reranker implementations should extend this class
+ */
+export class BaseReranker {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Score documents against a query
+   * @param {string} query - User query
+   * @param {Array<{id: string, content: string, metadata: Object, score: number}>} documents - Candidate documents
+   * @param {Object} options - Scoring options (onUsage receives the token usage of LLM calls)
+   * @returns {Promise<Array<number>>} - One relevance score (0-1) per document, in input order
+   */
+  async score(query, documents, options = {}) {
+    throw new Error('score() must be implemented by subclass');
+  }
+
+  /**
+   * Rescore and reorder documents
+   * score stays the retrieval score (routing thresholds and the answer cache compare it against
+   * retrieval-scale values); the reranker's score is added as rerankScore
+   * @param {string} query - User query
+   * @param {Array} documents - Candidate documents
+   * @param {Object} options - Scoring options (see score())
+   * @returns {Promise<Array>} - Documents sorted by rerank score
+   */
+  async rerank(query, documents, options = {}) {
+    if (documents.length === 0) {
+      return [];
+    }
+
+    const scores = await this.score(query, documents, options);
+
+    return documents
+      .map((doc, index) => ({
+        ...doc,
+        retrievalRank: index + 1,
+        rerankScore: scores[index]
+      }))
+      .sort((a, b) => b.rerankScore - a.rerankScore);
+  }
+
+  /**
+   * Get reranker info
+   * @returns {Object}
+   */
+  getInfo() {
+    return {
+      type: this.constructor.name
+    };
+  }
+}
@@ -0,0 +1,111 @@
+import { BaseReranker } from './base.js';
+
+/**
+ * Lexical Reranker
+ * Rescores candidates with BM25 computed over the candidate set, plus a term proximity bonus
+ * for documents where the query terms appear close together
+ */
+export class LexicalReranker extends BaseReranker {
+  constructor(config = {}) {
+    super(config);
+    this.k1 = config.k1 ?? 1.2; // BM25 term frequency saturation
+    this.b = config.b ?? 0.75; // BM25 length normalization
+    this.proximityWeight = config.proximityWeight ?? 0.3; // Share of the score from term proximity
+    this.retrievalWeight = config.retrievalWeight ?? 0; // Share of the score kept from the original retrieval
+  }
+
+  /**
+   * Tokenize text into terms
+   * @param {string} text - Input text
+   * @returns {Array<string>} - Array of tokens
+   */
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/[^\w\s]/g, ' ')
+      .split(/\s+/)
+      .filter(token => token.length > 1);
+  }
+
+  /**
+   * Score how closely the query terms appear together in a document
+   * Finds the smallest window of tokens containing every matched query term
+   * @param {Array<string>} tokens - Document tokens
+   * @param {Set<string>} queryTerms - Unique query terms
+   * @returns {number} - Proximity score (0-1)
+   */
+  proximity(tokens, queryTerms) {
+    const positions = [];
+    tokens.forEach((token, index) => {
+      if (queryTerms.has(token)) positions.push({ token, index });
+    });
+
+    const matched = new Set(positions.map(p => p.token));
+    if (matched.size === 0) return 0;
+    if (matched.size === 1) return 1 / queryTerms.size;
+
+    // Sliding window over match positions
+    const counts = new Map();
+    let covered = 0;
+    let left = 0;
+    let minWindow = Infinity;
+
+    for (let right = 0; right < positions.length; right++) {
+      const term = positions[right].token;
+      counts.set(term, (counts.get(term) || 0) + 1);
+      if (counts.get(term) === 1) covered++;
+
+      while (covered === matched.size) {
+        minWindow = Math.min(minWindow, positions[right].index - positions[left].index + 1);
+        const leftTerm = positions[left].token;
+        counts.set(leftTerm, counts.get(leftTerm) - 1);
+        if (counts.get(leftTerm) === 0) covered--;
+        left++;
+      }
+    }
+
+    // Full coverage in an adjacent run scores 1
+    return (matched.size / queryTerms.size) * (matched.size / minWindow);
+  }
+
+  async score(query, documents) {
+    const queryTerms = new Set(this.tokenize(query));
+    const docTokens = documents.map(doc => this.tokenize(doc.content));
+    const avgLength = docTokens.reduce((sum, t) => sum + t.length, 0) / docTokens.length || 1;
+
+    // Document frequency over the candidate set
+    const docFreq = new Map();
+    for (const tokens of docTokens) {
+      for (const term of new Set(tokens)) {
+        if (queryTerms.has(term)) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+      }
+    }
+
+    const bm25Scores = docTokens.map(tokens => {
+      const tf = new Map();
+      for (const token of tokens) {
+        if (queryTerms.has(token)) tf.set(token, (tf.get(token) || 0) + 1);
+      }
+
+      let score = 0;
+      for (const [term, freq] of tf) {
+        const df = docFreq.get(term);
+        const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+        const norm = freq + this.k1 * (1 - this.b + this.b * tokens.length / avgLength);
+        score += idf * (freq * (this.k1 + 1)) / norm;
+      }
+      return score;
+    });
+
+    const maxBM25 = Math.max(...bm25Scores) || 1;
+    const maxRetrieval = Math.max(...documents.map(doc => doc.score || 0)) || 1;
+
+    return docTokens.map((tokens, index) => {
+      const lexical = (1 - this.proximityWeight) * (bm25Scores[index] / maxBM25)
+        + this.proximityWeight * this.proximity(tokens, queryTerms);
+      const retrieval = Math.max(0, documents[index].score || 0) / maxRetrieval;
+
+      return (1 - this.retrievalWeight) * lexical + this.retrievalWeight * retrieval;
+    });
+  }
+}
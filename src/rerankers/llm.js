@@ -0,0 +1,95 @@
+import { BaseReranker } from './base.js';
+
+/**
+ * LLM Reranker
+ * Asks the LLM to grade how relevant each candidate passage is to the query
+ */
+export class LLMReranker extends BaseReranker {
+  constructor(config = {}) {
+    super(config);
+    this.llm = config.llm;
+    this.model = config.model || null; // Optional cheaper/faster model for grading
+    this.batchSize = config.batchSize || 10; // Passages graded per LLM call
+    this.maxPassageLength = config.maxPassageLength || 1000; // Characters per passage in the prompt
+  }
+
+  /**
+   * Build the grading prompt for a batch of passages
+   * @param {string} query - User query
+   * @param {Array} documents - Passages to grade
+   * @returns {string} - Prompt text
+   */
+  buildPrompt(query, documents) {
+    const passages = documents.map((doc, i) =>
+      `[${i + 1}] ${doc.content.substring(0, this.maxPassageLength)}`
+    ).join('\n\n');
+
+    return `Rate how relevant each passage is to the question on a scale from 0 (irrelevant) to 10 (directly answers it).
+
+Question: ${query}
+
+Passages:
+${passages}
+
+Respond with ONLY a JSON array of ${documents.length} numbers, one per passage in order, e.g. [7, 0, 3].`;
+  }
+
+  /**
+   * Parse the LLM's grades
+   * @param {string} text - LLM output
+   * @param {number} count - Expected number of grades
+   * @returns {Array<number>|null} - Grades normalized to 0-1, or null if unparseable
+   */
+  parseScores(text, count) {
+    const match = text.match(/\[[\s\S]*?\]/);
+    if (!match) return null;
+
+    try {
+      const grades = JSON.parse(match[0]);
+      if (!Array.isArray(grades) || grades.length !== count) return null;
+      return grades.map(g => Math.min(Math.max(Number(g) || 0, 0), 10) / 10);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async score(query, documents, options = {}) {
+    if (!this.llm) {
+      throw new Error('LLM is required for LLMReranker');
+    }
+
+    const maxRetrieval = Math.max(...documents.map(doc => doc.score || 0)) || 1;
+    const scores = [];
+
+    for (let start = 0; start < documents.length; start += this.batchSize) {
+      const batch = documents.slice(start, start + this.batchSize);
+
+      let grades = null;
+      try {
+        const output = await this.llm.complete(this.buildPrompt(query, batch), {
+          model: this.model || undefined,
+          temperature: 0,
+          maxTokens: 20 + batch.length * 4,
+          operation: 'rerank',
+          onUsage: options.onUsage
+        });
+        grades = this.parseScores(output, batch.length);
+      } catch (error) {
+        console.warn('LLM reranking failed, keeping retrieval order:', error.message);
+      }
+
+      // Keep the original (normalized) retrieval scores for batches the LLM could not grade
+      scores.push(...(grades || batch.map(doc => Math.max(0, doc.score || 0) / maxRetrieval)));
+    }
+
+    return scores;
+  }
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      model: this.model || this.llm?.model,
+      batchSize: this.batchSize
+    };
+  }
+}
@@ -4,23 +4,44 @@
  */
 
 import 'dotenv/config';
+import { readFile } from 'fs/promises';
 import { createRAGAPI, createDataSource, Guardrails } from './index.js';
 import { startServer } from './api/server.js';
 
+const LLM_PROVIDERS = ['groq', 'openai', 'openai-compatible', 'vllm', 'llamacpp', 'lmstudio', 'ollama'];
+
+/**
+ * Parse LLM_FALLBACKS: comma-separated models on the primary provider, or provider:model
+ * (e.g. "llama-3.1-8b-instant,ollama:llama3.1:8b")
+ * @param {string} value - Environment variable value
+ * @returns {Array<string|Object>} - Fallbacks for createRAGAPI's llmFallbacks
+ */
+function parseFallbacks(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    const provider = separator === -1 ? null : entry.substring(0, separator).toLowerCase();
+    return LLM_PROVIDERS.includes(provider)
+      ? { provider, model: entry.substring(separator + 1) }
+      : entry;
+  });
+}
+
 async function main() {
   console.log('🔧 Initializing rag-groq Server...\n');
 
   // Get configuration from environment
   const groqApiKey = process.env.GROQ_API_KEY;
+  const llmProvider = (process.env.LLM_PROVIDER || 'groq').toLowerCase();
   const port = parseInt(process.env.PORT) || 3000;
   const host = process.env.HOST || '0.0.0.0';
   const dataSourceType = process.env.DATASOURCE_TYPE || 'csv';
   // Auto-adjust topK based on document count (min 5, max 20)
   const topK = parseInt(process.env.TOP_K_RESULTS) || 10;
 
-  if (!groqApiKey) {
+  if (llmProvider === 'groq' && !groqApiKey) {
     console.error('❌ Error: GROQ_API_KEY environment variable is required');
     console.error('   Set it in .env file or export GROQ_API_KEY=your_key');
+    console.error('   Or use a self-hosted model with LLM_PROVIDER=openai or LLM_PROVIDER=ollama');
     process.exit(1);
   }
 
@@ -145,26 +166,107 @@ async function main() {
       });
     }
 
+    // Load additional collections ({ "name": { "dataSource": { "type": ... }, "topK": ..., ... } })
+    let collections = {};
+    if (process.env.COLLECTIONS_CONFIG) {
+      collections = JSON.parse(await readFile(process.env.COLLECTIONS_CONFIG, 'utf-8'));
+      console.log(`📚 Collections: ${Object.keys(collections).join(', ') || '(none)'}`);
+    }
+
+    // Data sources that collections created through POST /collections may use ({ "name": { "type": ... } })
+    let dataSources = {};
+    if (process.env.DATA_SOURCES_CONFIG) {
+      dataSources = JSON.parse(await readFile(process.env.DATA_SOURCES_CONFIG, 'utf-8'));
+    }
+
     // Create RAG API
-    const { app, ragEngine } = await createRAGAPI({
+    const { app, ragEngine, conversations, collections: collectionManager, usage } = await createRAGAPI({
       groqApiKey,
+      llm: {
+        provider: llmProvider,
+        ...(process.env.LLM_BASE_URL && { baseURL: process.env.LLM_BASE_URL }),
+        ...(process.env.LLM_API_KEY && { apiKey: process.env.LLM_API_KEY }),
+        ...(process.env.LLM_MAX_TOKENS && { maxTokens: parseInt(process.env.LLM_MAX_TOKENS) }),
+        ...(process.env.LLM_CONTEXT_WINDOW && { contextWindow: parseInt(process.env.LLM_CONTEXT_WINDOW) }),
+        ...(process.env.LLM_JSON_MODE && { jsonMode: process.env.LLM_JSON_MODE === 'false' ? false : process.env.LLM_JSON_MODE })
+      },
       dataSource,
       topK,
-      model: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
-      guardrails
+      model: process.env.LLM_MODEL || process.env.GROQ_MODEL || null,
+      llmRetry: {
+        maxRetries: process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES) : 2,
+        baseDelay: parseInt(process.env.LLM_RETRY_BASE_DELAY) || 500,
+        maxDelay: parseInt(process.env.LLM_RETRY_MAX_DELAY) || 10000,
+        timeout: parseInt(process.env.LLM_TIMEOUT) || 60000
+      },
+      llmFallbacks: parseFallbacks(process.env.LLM_FALLBACKS),
+      usage: process.env.USAGE_TRACKING !== 'false' ? {
+        pricing: process.env.LLM_PRICING ? JSON.parse(process.env.LLM_PRICING) : {},
+        path: process.env.USAGE_PATH || null,
+        retention: (parseFloat(process.env.USAGE_RETENTION_DAYS) || 30) * 24 * 3600000
+      } : false,
+      guardrails,
+      indexPath: process.env.INDEX_PATH || null,
+      retrievalStrategy: process.env.RETRIEVAL_STRATEGY || 'vector',
+      reranker: process.env.RERANKER || null,
+      maxContextTokens: parseInt(process.env.MAX_CONTEXT_TOKENS) || null,
+      expandContext: process.env.EXPAND_CONTEXT || null,
+      expandWindow: parseInt(process.env.EXPAND_WINDOW) || 1,
+      vectorStore: {
+        quantization: process.env.VECTOR_QUANTIZATION || null,
+        rescorePath: process.env.VECTOR_RESCORE_PATH || null,
+        rescoreFactor: parseInt(process.env.VECTOR_RESCORE_FACTOR) || 4
+      },
+      ann: process.env.ANN_INDEX === 'true' ? {
+        M: parseInt(process.env.ANN_M) || 16,
+        efConstruction: parseInt(process.env.ANN_EF_CONSTRUCTION) || 100,
+        efSearch: parseInt(process.env.ANN_EF_SEARCH) || 64,
+        exactThreshold: parseInt(process.env.ANN_EXACT_THRESHOLD) || 1000
+      } : null,
+      answerCache: process.env.ANSWER_CACHE === 'true' ? {
+        path: process.env.ANSWER_CACHE_PATH || null,
+        semantic: process.env.ANSWER_CACHE_SEMANTIC === 'true',
+        maxDistance: parseFloat(process.env.ANSWER_CACHE_MAX_DISTANCE) || 0.1,
+        maxEntries: parseInt(process.env.ANSWER_CACHE_MAX_ENTRIES) || 500,
+        ttl: parseInt(process.env.ANSWER_CACHE_TTL) || null
+      } : null,
+      groundedness: process.env.GROUNDEDNESS === 'true' ? {
+        threshold: parseFloat(process.env.GROUNDEDNESS_THRESHOLD) || 0.5,
+        judge: process.env.GROUNDEDNESS_JUDGE === 'true',
+        action: process.env.GROUNDEDNESS_ACTION || 'replace',
+        modes: process.env.GROUNDEDNESS_MODES?.split(',').map(m => m.trim()) || ['rag']
+      } : null,
+      structuredRetries: process.env.STRUCTURED_RETRIES !== undefined ? parseInt(process.env.STRUCTURED_RETRIES) : 2,
+      queryExpansion: process.env.QUERY_EXPANSION === 'true' ? {
+        numQueries: parseInt(process.env.QUERY_EXPANSION_COUNT) || 3
+      } : null,
+      conversations: {
+        store: process.env.CONVERSATION_STORE || 'memory',
+        path: process.env.CONVERSATION_PATH,
+        maxHistoryTokens: parseInt(process.env.CONVERSATION_MAX_TOKENS) || null,
+        summarize: process.env.CONVERSATION_SUMMARIZE !== 'false'
+      },
+      collections,
+      dataSources,
+      defaultCollection: process.env.DEFAULT_COLLECTION || 'default',
+      adminToken: process.env.ADMIN_TOKEN || null
     });
 
     console.log(`\n📊 Loaded ${ragEngine.getStats().documentCount} documents`);
-    console.log(`🤖 LLM Model: ${ragEngine.llm.model}`);
+    console.log(`🤖 LLM: ${ragEngine.llm.model} (${ragEngine.llm.provider})`);
+    const fallbacks = ragEngine.llm.getConfig?.().fallbacks || [];
+    if (fallbacks.length > 0) {
+      console.log(`🛟 Fallbacks: ${fallbacks.map(f => `${f.model} (${f.provider})`).join(', ')}`);
+    }
     console.log(`🎯 Top-K: ${topK}\n`);
 
     // Start file watching if enabled
     if (dataSource.startWatching && dataSource.watch) {
       dataSource.onRefresh = async (docCount, eventType, filePath) => {
-        // Refresh the RAG engine's vector index
+        // Sync the RAG engine's vector index with the reloaded files
         try {
-          await ragEngine.refresh();
-          console.log(`🔄 RAG index rebuilt with ${ragEngine.getStats().documentCount} documents`);
+          const { added, updated, removed, unchanged, fullRebuild } = await ragEngine.syncIndex();
+          console.log(`🔄 RAG index ${fullRebuild ? 'rebuilt' : 'updated'}: ${added} added, ${updated} updated, ${removed} removed, ${unchanged} unchanged`);
         } catch (error) {
           console.error('Error refreshing RAG index:', error.message);
         }
@@ -179,7 +281,10 @@ async function main() {
     const shutdown = async () => {
       console.log('\n\n🛑 Shutting down gracefully...');
       server.close();
+      await conversations.close();
+      await collectionManager.close();
       await ragEngine.close();
+      await usage?.close();
       console.log('👋 Goodbye!');
       process.exit(0);
     };
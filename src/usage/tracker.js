@@ -0,0 +1,314 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+
+const HOUR = 3600000;
+const BUCKETS = { minute: 60000, hour: HOUR, day: 24 * HOUR, week: 7 * 24 * HOUR };
+
+const emptyCounters = () => ({ calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpricedCalls: 0 });
+
+// Costs are tracked in full precision and rounded for display
+const roundCost = cost => Math.round(cost * 1e6) / 1e6;
+
+/**
+ * Add one set of counters to another
+ * @param {Object} target - Counters to update
+ * @param {Object} source - Counters to add
+ * @returns {Object} - target
+ */
+function addCounters(target, source) {
+  target.calls += source.calls;
+  target.promptTokens += source.promptTokens;
+  target.completionTokens += source.completionTokens;
+  target.totalTokens += source.totalTokens;
+  target.cost += source.cost;
+  target.unpricedCalls += source.unpricedCalls;
+  return target;
+}
+
+/**
+ * Counters for output, with the cost rounded
+ * @param {Object} counters - Counters
+ * @returns {Object}
+ */
+function formatCounters(counters) {
+  return { ...counters, cost: roundCost(counters.cost) };
+}
+
+/**
+ * Summarize the LLM calls made for one request
+ * @param {Array<Object>} calls - Usage reports ({ operation, provider, model, promptTokens, completionTokens, totalTokens, cost })
+ * @returns {{promptTokens: number, completionTokens: number, totalTokens: number, cost: number|null, calls: Array}}
+ *   cost is null when no call could be priced
+ */
+export function summarizeUsage(calls = []) {
+  const priced = calls.filter(call => call.cost !== null && call.cost !== undefined);
+  return {
+    promptTokens: calls.reduce((sum, call) => sum + call.promptTokens, 0),
+    completionTokens: calls.reduce((sum, call) => sum + call.completionTokens, 0),
+    totalTokens: calls.reduce((sum, call) => sum + call.totalTokens, 0),
+    cost: priced.length > 0 ? roundCost(priced.reduce((sum, call) => sum + call.cost, 0)) : null,
+    calls
+  };
+}
+
+/**
+ * Usage Tracker
+ * Aggregates LLM token usage and estimated cost per user, collection and model in time buckets,
+ * so spend can be broken down and charted over a period. Costs are estimated from per-model
+ * pricing in USD per million tokens; calls to unpriced models are counted but cost nothing.
+ * Buckets older than the retention period are dropped. Kept in memory; with a path the
+ * buckets are also written to a JSON file and reloaded on start
+ */
+export class UsageTracker {
+  constructor(config = {}) {
+    // Model -> { prompt, completion } in USD per million tokens. Keys are matched as
+    // "provider/model", then "model", then "provider/*", then "*"
+    this.pricing = { ...config.pricing };
+    this.resolution = config.resolution || HOUR; // ms per stored bucket
+    this.retention = config.retention || 30 * 24 * HOUR; // ms of history kept
+    this.path = config.path || null; // JSON file for persistence (memory only when null)
+    this.buckets = new Map(); // Bucket start (ms) -> Map(row key -> row)
+    this._writeQueue = Promise.resolve();
+    this._writeScheduled = false;
+  }
+
+  /**
+   * Load persisted buckets
+   */
+  async initialize() {
+    if (!this.path || !existsSync(this.path)) return;
+
+    try {
+      const data = JSON.parse(await readFile(this.path, 'utf-8'));
+      for (const row of data.rows || []) {
+        const { bucket, ...rest } = row;
+        this.getBucket(bucket).set(this.rowKey(rest), { ...emptyCounters(), ...rest });
+      }
+      this.prune();
+    } catch (error) {
+      console.warn('Could not load usage history:', error.message);
+    }
+  }
+
+  /**
+   * Price of a model
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @returns {{prompt: number, completion: number}|null} - USD per million tokens, or null if unpriced
+   */
+  getPrice(provider, model) {
+    return this.pricing[`${provider}/${model}`]
+      || this.pricing[model]
+      || this.pricing[`${provider}/*`]
+      || this.pricing['*']
+      || null;
+  }
+
+  /**
+   * Estimate the cost of one LLM call
+   * @param {Object} call - Usage report ({ provider, model, promptTokens, completionTokens })
+   * @returns {number|null} - USD, or null if the model has no price
+   */
+  estimateCost(call) {
+    const price = this.getPrice(call.provider, call.model);
+    if (!price) return null;
+
+    return ((call.promptTokens || 0) * (price.prompt || 0) + (call.completionTokens || 0) * (price.completion || 0)) / 1e6;
+  }
+
+  /**
+   * Key of a bucket row: one row per user, collection, provider and model
+   * @param {Object} row - Row fields
+   * @returns {string}
+   */
+  rowKey(row) {
+    return [row.userId, row.collection, row.provider, row.model].join('\u0000');
+  }
+
+  /**
+   * Get (or create) the rows of the bucket starting at a time
+   * @param {number} start - Bucket start (ms)
+   * @returns {Map<string, Object>} - Rows by key
+   */
+  getBucket(start) {
+    if (!this.buckets.has(start)) {
+      this.buckets.set(start, new Map());
+    }
+    return this.buckets.get(start);
+  }
+
+  /**
+   * Add LLM calls to the totals
+   * @param {Array<Object>} calls - Usage reports; calls without a cost are priced here
+   * @param {Object} scope - Who and what the calls were for
+   * @param {string} scope.userId - User (default: 'anonymous')
+   * @param {string} scope.collection - Collection name (default: 'default')
+   * @param {number} scope.timestamp - When the calls were made (default: now)
+   * @returns {Array<Object>} - The calls with their estimated cost (null when unpriced)
+   */
+  record(calls, scope = {}) {
+    const bucket = this.getBucket(Math.floor((scope.timestamp ?? Date.now()) / this.resolution) * this.resolution);
+    const userId = scope.userId || 'anonymous';
+    const collection = scope.collection || 'default';
+
+    const priced = calls.map(call => {
+      const cost = call.cost !== undefined ? call.cost : this.estimateCost(call);
+      const row = { userId, collection, provider: call.provider, model: call.model };
+      const key = this.rowKey(row);
+      if (!bucket.has(key)) {
+        bucket.set(key, { ...row, ...emptyCounters() });
+      }
+
+      addCounters(bucket.get(key), {
+        calls: 1,
+        promptTokens: call.promptTokens,
+        completionTokens: call.completionTokens,
+        totalTokens: call.totalTokens,
+        cost: cost ?? 0,
+        unpricedCalls: cost === null ? 1 : 0
+      });
+      return { ...call, cost };
+    });
+
+    this.prune();
+    this.persist();
+    return priced;
+  }
+
+  /**
+   * Drop buckets older than the retention period
+   */
+  prune() {
+    const cutoff = Date.now() - this.retention;
+    for (const start of this.buckets.keys()) {
+      if (start + this.resolution <= cutoff) {
+        this.buckets.delete(start);
+      }
+    }
+  }
+
+  /**
+   * Aggregate usage over a period, optionally for one user, collection, provider or model
+   * @param {Object} options - Query options
+   * @param {string} options.userId - Only this user
+   * @param {string} options.collection - Only this collection
+   * @param {string} options.provider - Only this provider
+   * @param {string} options.model - Only this model
+   * @param {number|string} options.since - Start (ms or a date string; default: the whole retention period)
+   * @param {number|string} options.until - End, exclusive (ms or a date string; default: now)
+   * @param {string|number} options.bucket - History bucket: 'minute', 'hour', 'day', 'week' or ms, as a number or numeric string (default: 'hour')
+   * @returns {Object} - Totals, breakdowns by user, collection and model, and the time-bucketed history
+   */
+  getUsage(options = {}) {
+    const toTime = value => (typeof value === 'string' && Number.isNaN(Number(value)) ? Date.parse(value) : Number(value));
+    const since = options.since !== undefined ? toTime(options.since) : 0;
+    const until = options.until !== undefined ? toTime(options.until) : Infinity;
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+      throw new Error('since and until must be timestamps or dates');
+    }
+
+    // Query strings carry ms as text ('3600000'), so only bucket names are looked up
+    const bucket = options.bucket ?? 'hour';
+    const bucketSize = Object.hasOwn(BUCKETS, bucket) ? BUCKETS[bucket] : Number(bucket);
+    if (!Number.isFinite(bucketSize) || bucketSize < this.resolution) {
+      throw new Error(`bucket must be one of ${Object.keys(BUCKETS).join(', ')} or at least ${this.resolution}ms`);
+    }
+
+    const totals = emptyCounters();
+    const groups = { byUser: new Map(), byCollection: new Map(), byModel: new Map() };
+    const history = new Map();
+    const add = (map, key, fields, counters) => {
+      if (!map.has(key)) map.set(key, { ...fields, ...emptyCounters() });
+      addCounters(map.get(key), counters);
+    };
+
+    for (const [start, rows] of this.buckets) {
+      if (start < since || start >= until) continue;
+
+      for (const row of rows.values()) {
+        if (options.userId && row.userId !== options.userId) continue;
+        if (options.collection && row.collection !== options.collection) continue;
+        if (options.provider && row.provider !== options.provider) continue;
+        if (options.model && row.model !== options.model) continue;
+
+        const { userId, collection, provider, model, ...counters } = row;
+        addCounters(totals, counters);
+        add(groups.byUser, userId, { userId }, counters);
+        add(groups.byCollection, collection, { collection }, counters);
+        add(groups.byModel, `${provider}/${model}`, { provider, model }, counters);
+
+        const bucketStart = Math.floor(start / bucketSize) * bucketSize;
+        add(history, bucketStart, { start: new Date(bucketStart).toISOString() }, counters);
+      }
+    }
+
+    const list = map => Array.from(map.values())
+      .sort((a, b) => b.totalTokens - a.totalTokens)
+      .map(formatCounters);
+
+    return {
+      since: since > 0 ? new Date(since).toISOString() : null,
+      until: until !== Infinity ? new Date(until).toISOString() : null,
+      bucket: bucketSize,
+      totals: formatCounters(totals),
+      byUser: list(groups.byUser),
+      byCollection: list(groups.byCollection),
+      byModel: list(groups.byModel),
+      history: Array.from(history.entries())
+        .sort((a, b) => a[0] - b[0])
+        .map(([, counters]) => formatCounters(counters))
+    };
+  }
+
+  /**
+   * Write the buckets to disk (no-op for a memory-only tracker)
+   * Writes are queued, and changes made while a write is waiting are folded into it
+   */
+  persist() {
+    if (!this.path || this._writeScheduled) return this._writeQueue;
+
+    this._writeScheduled = true;
+    this._writeQueue = this._writeQueue.then(async () => {
+      this._writeScheduled = false;
+      const rows = [];
+      for (const [bucket, bucketRows] of this.buckets) {
+        for (const row of bucketRows.values()) {
+          rows.push({ bucket, ...row });
+        }
+      }
+
+      await mkdir(dirname(this.path), { recursive: true });
+      const tmpPath = `${this.path}.tmp`;
+      await writeFile(tmpPath, JSON.stringify({ resolution: this.resolution, rows }), 'utf-8');
+      await rename(tmpPath, this.path);
+    }).catch(error => {
+      console.warn('Could not persist usage history:', error.message);
+    });
+    return this._writeQueue;
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async close() {
+    await this._writeQueue;
+  }
+
+  /**
+   * Get usage statistics for /stats
+   * @param {Object} options - Filters (see getUsage)
+   * @returns {Object} - Totals and per-model breakdown over the retention period, plus settings
+   */
+  getStats(options = {}) {
+    const { totals, byModel, byCollection } = this.getUsage(options);
+    return {
+      ...totals,
+      byModel,
+      ...(!options.collection && { byCollection }),
+      pricedModels: Object.keys(this.pricing),
+      retention: this.retention,
+      persistent: Boolean(this.path)
+    };
+  }
+}
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { AnswerCache } from '../src/cache/answer-cache.js';
+import { createTestEngine } from './fixtures.js';
+
+async function withTempDir(run) {
+  const dir = await mkdtemp(join(tmpdir(), 'rag-cache-'));
+  try {
+    await run(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('exact hits ignore case, whitespace and trailing punctuation but not the scope', async () => {
+  const cache = new AnswerCache();
+  await cache.set('What is  the capital of France?', { mode: 'hybrid', topK: 5 }, { answer: 'Paris' });
+
+  assert.equal(cache.get('what is the capital of france', { topK: 5, mode: 'hybrid' }).entry.response.answer, 'Paris');
+  assert.equal(cache.get('What is the capital of France?', { mode: 'hybrid', topK: 3 }), null);
+  assert.equal(cache.get('What is the capital of Spain?', { mode: 'hybrid', topK: 5 }), null);
+  assert.deepEqual(cache.scopeKey({ b: undefined, a: 1 }), cache.scopeKey({ a: 1, b: null }));
+  assert.equal(cache.getStats().hitRate, 1 / 3);
+});
+
+test('semantic hits need a close embedding in the same scope', async () => {
+  const cache = new AnswerCache({ semantic: true, maxDistance: 0.1 });
+  await cache.set('capital of france', {}, { answer: 'Paris' }, [1, 0]);
+
+  const hit = cache.get('france capital', {}, [0.995, Math.sqrt(1 - 0.995 ** 2)]);
+  assert.equal(hit.match, 'semantic');
+  assert.equal(hit.entry.response.answer, 'Paris');
+  assert.equal(cache.get('france capital', {}, [0.8, 0.6]), null);
+  assert.equal(cache.get('france capital', { mode: 'llm' }, [1, 0]), null);
+});
+
+test('entries expire after the TTL and the oldest are evicted', async t => {
+  const cache = new AnswerCache({ maxEntries: 2, ttl: 1000 });
+  await cache.set('a', {}, { answer: 'A' });
+  await cache.set('b', {}, { answer: 'B' });
+  await cache.set('a', {}, { answer: 'A2' });
+  await cache.set('c', {}, { answer: 'C' });
+
+  assert.deepEqual(Array.from(cache.entries.values(), entry => entry.response.answer), ['A2', 'C']);
+
+  assert.equal(cache.get('c', {}).entry.response.answer, 'C');
+  const later = Date.now() + 1500;
+  t.mock.method(Date, 'now', () => later);
+  assert.equal(cache.get('c', {}), null);
+});
+
+test('repeated queries are answered from the cache until the documents change', async () => {
+  const engine = await createTestEngine({ answerCache: new AnswerCache() });
+
+  const first = await engine.query('What is the capital of Italy?');
+  const second = await engine.query('what is the capital of italy');
+  assert.equal(first.cache.hit, false);
+  assert.equal(second.cache.hit, true);
+  assert.equal(second.answer, first.answer);
+  assert.equal(engine.llm.calls.length, 1);
+
+  assert.equal((await engine.query('What is the capital of Italy?', { topK: 2 })).cache.hit, false);
+  assert.equal((await engine.query('What is the capital of Italy?', { cache: false })).cache, undefined);
+
+  await engine.addDocument({ content: 'Naples is in Italy.' });
+  assert.equal((await engine.query('What is the capital of Italy?')).cache.hit, false);
+  assert.equal(engine.answerCache.getStats().invalidations, 1);
+});
+
+test('updateConfig has cleared the persisted cache when it resolves', () => withTempDir(async dir => {
+  const path = join(dir, 'cache.json');
+  const engine = await createTestEngine({ answerCache: new AnswerCache({ path }) });
+  await engine.query('What is the capital of Italy?');
+  assert.equal(JSON.parse(await readFile(path, 'utf-8')).entries.length, 1);
+
+  await engine.updateConfig({ topK: 3 });
+  const saved = JSON.parse(await readFile(path, 'utf-8'));
+  assert.deepEqual(saved.entries, []);
+  assert.equal(saved.fingerprint, engine.answerCache.fingerprint);
+}));
+
+test('a persisted cache is dropped when the data source changed while stopped', t => withTempDir(async dir => {
+  t.mock.method(console, 'log', () => {});
+  const path = join(dir, 'cache.json');
+  const engine = await createTestEngine({ answerCache: new AnswerCache({ path }) });
+  await engine.query('What is the capital of Italy?');
+  await engine.close();
+
+  const restarted = await createTestEngine({ answerCache: new AnswerCache({ path }) });
+  assert.equal(restarted.answerCache.entries.size, 1);
+
+  const changed = await createTestEngine({
+    answerCache: new AnswerCache({ path }),
+    documents: [{ id: 'rome', content: 'Rome is the capital of Italy.' }]
+  });
+  assert.equal(changed.answerCache.entries.size, 0);
+}));
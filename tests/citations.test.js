@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractCitations, quoteAppearsIn } from '../src/rag/citations.js';
+import { createTestEngine, ScriptedLLM } from './fixtures.js';
+
+const sources = [
+  { id: 'paris', content: 'Paris is the capital of France and home of the Eiffel Tower.' },
+  { id: 'rome', content: 'Rome is the capital of Italy and home of the Colosseum.' }
+];
+
+test('markers map to sources in context order', () => {
+  const citations = extractCitations('Paris is in France [1]. Rome and Paris are capitals [2, 1]. See [3].', sources);
+
+  assert.deepEqual(citations.map(c => [c.marker, c.sourceId, c.valid, c.issue]), [
+    [1, 'paris', true, null],
+    [2, 'rome', true, null],
+    [1, 'paris', true, null],
+    [3, null, false, 'unknown_source']
+  ]);
+  assert.equal(citations[1].position, citations[2].position);
+  assert.deepEqual(extractCitations('', sources), []);
+  assert.deepEqual(extractCitations('No markers here.', sources), []);
+});
+
+test('quotes before a marker are verified against its source', () => {
+  const citations = extractCitations(
+    'It is “home of the Eiffel Tower” [1]. It is "home of the Louvre" [1].\n"home of the Colosseum" [2] and plain text [2].',
+    sources
+  );
+
+  assert.deepEqual(citations.map(c => [c.quote, c.quoteVerified, c.issue]), [
+    ['home of the Eiffel Tower', true, null],
+    ['home of the Louvre', false, 'quote_not_found'],
+    ['home of the Colosseum', true, null],
+    [null, null, null]
+  ]);
+});
+
+test('elided quotes match fragments in order', () => {
+  assert.equal(quoteAppearsIn('Paris is ... the Eiffel Tower.', sources[0].content), true);
+  assert.equal(quoteAppearsIn('the Eiffel Tower … Paris is', sources[0].content), false);
+  assert.equal(quoteAppearsIn('PARIS   IS the capital', sources[0].content), true);
+  assert.equal(quoteAppearsIn('...', sources[0].content), false);
+});
+
+test('query responses verify citations against the context documents', async () => {
+  const engine = await createTestEngine({ llm: new ScriptedLLM('Rome is "the capital of Italy" [1], not [9].') });
+  const result = await engine.query('What is the capital of Italy?', { mode: 'rag', topK: 1 });
+
+  assert.deepEqual(result.citations.map(c => [c.sourceId, c.quoteVerified, c.valid]), [
+    ['rome', true, true],
+    [null, null, false]
+  ]);
+
+  const direct = await engine.query('What is the capital of Italy?', { mode: 'llm' });
+  assert.deepEqual(direct.citations, []);
+});
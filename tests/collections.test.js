@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAPIServer } from '../src/api/server.js';
+import { CollectionManager } from '../src/collections/manager.js';
+import { createTestEngine, DOCUMENTS, withServer } from './fixtures.js';
+
+// Collections created through the API name one of these data sources
+const dataSources = {
+  europe: { documents: DOCUMENTS.slice(0, 4) },
+  asia: { documents: DOCUMENTS.slice(4) }
+};
+
+const createEngine = ({ dataSource, ...config }) => createTestEngine({ ...config, documents: dataSource.documents });
+
+test('collection names are validated and reserved while their engine loads', async () => {
+  let release;
+  const loading = new Promise(resolve => { release = resolve; });
+  const manager = new CollectionManager({ createEngine: async config => { await loading; return createEngine(config); } });
+
+  assert.throws(() => manager.validateName('-bad'), /Collection name must be/);
+  assert.throws(() => manager.validateName('a/b'), /Collection name must be/);
+
+  const creating = manager.create('asia', { dataSource: dataSources.asia, description: 'Asian capitals' });
+  assert.equal(manager.has('asia'), true);
+  await assert.rejects(manager.create('asia', { dataSource: dataSources.asia }), /already exists/);
+
+  release();
+  const collection = await creating;
+  assert.equal(collection.description, 'Asian capitals');
+  assert.equal(manager.describe(collection).documentCount, 1);
+  await assert.rejects(new CollectionManager().create('x'), /requires a createEngine factory/);
+});
+
+test('dropping closes managed engines and refuses protected collections', async t => {
+  const manager = new CollectionManager({ createEngine });
+  const owned = await createTestEngine();
+  manager.add('default', owned, { protected: true });
+  const { engine } = await manager.create('asia', { dataSource: dataSources.asia });
+  const close = t.mock.method(engine, 'close');
+  const closeOwned = t.mock.method(owned, 'close');
+
+  await assert.rejects(manager.drop('default'), /Collection is protected/);
+  assert.equal(await manager.drop('asia'), true);
+  assert.equal(await manager.drop('asia'), false);
+  assert.equal(close.mock.callCount(), 1);
+
+  await manager.close();
+  assert.equal(closeOwned.mock.callCount(), 0);
+  assert.deepEqual(manager.list(), []);
+});
+
+test('collections are created, queried and dropped through the API', async t => {
+  t.mock.method(console, 'error', () => {});
+  const collections = new CollectionManager({ createEngine });
+  collections.add('default', await createTestEngine({ documents: dataSources.europe.documents }), { protected: true });
+  const app = createAPIServer(collections.get('default').engine, { collections, dataSources, adminToken: 'secret' });
+  const admin = { Authorization: 'Bearer secret' };
+
+  await withServer(app, async request => {
+    assert.equal((await request('POST', '/collections', { name: 'asia', dataSource: 'asia' })).status, 401);
+    assert.equal((await request('POST', '/collections', { name: 'asia', dataSource: 'mars' }, admin)).status, 400);
+    assert.equal((await request('POST', '/collections', { name: 'asia', dataSource: 'asia', llm: 'x' }, admin)).status, 400);
+    const conflicting = await request('POST', '/collections', {
+      name: 'asia', dataSource: 'asia', vectorStore: { quantization: 'int8' }, ann: true
+    }, admin);
+    assert.equal(conflicting.status, 400);
+
+    const created = await request('POST', '/collections', { name: 'asia', dataSource: 'asia', topK: 1 }, admin);
+    assert.equal(created.status, 201);
+    assert.equal(created.body.collection.topK, 1);
+    assert.equal((await request('POST', '/collections', { name: 'asia', dataSource: 'asia' }, admin)).status, 409);
+
+    const asia = await request('POST', '/collections/asia/search', { query: 'capital of Japan' });
+    const europe = await request('POST', '/search', { query: 'capital of Japan' });
+    assert.deepEqual(asia.body.results.map(doc => doc.id), ['tokyo']);
+    assert.ok(!europe.body.results.some(doc => doc.id === 'tokyo'));
+
+    const list = await request('GET', '/collections');
+    assert.deepEqual(list.body.collections.map(c => c.name), ['default', 'asia']);
+
+    assert.equal((await request('DELETE', '/collections/default', undefined, admin)).status, 403);
+    assert.equal((await request('DELETE', '/collections/asia', undefined, admin)).status, 200);
+    assert.equal((await request('POST', '/collections/asia/search', { query: 'x' })).status, 404);
+  });
+
+  // Without an admin token the admin routes are disabled
+  await withServer(createAPIServer(collections.get('default').engine, { collections, dataSources }), async request => {
+    assert.equal((await request('POST', '/collections', { name: 'asia', dataSource: 'asia' }, admin)).status, 403);
+  });
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandHits, isChunk, stitchChunks } from '../src/rag/context-expansion.js';
+import { createTestEngine } from './fixtures.js';
+
+// Chunks of 40 characters (10 tokens)
+const chunk = (source, index, total = 5) => ({
+  id: `${source}_${index}`,
+  content: `${source} chunk ${index} `.padEnd(40, '.'),
+  metadata: { source, chunkIndex: index, totalChunks: total }
+});
+
+const chunksOf = (...docs) => {
+  const bySource = new Map();
+  for (const doc of docs) {
+    if (!bySource.has(doc.metadata.source)) bySource.set(doc.metadata.source, new Map());
+    bySource.get(doc.metadata.source).set(doc.metadata.chunkIndex, doc);
+  }
+  return bySource;
+};
+
+const guide = [0, 1, 2, 3, 4].map(index => chunk('guide', index));
+
+test('overlapping chunks are stitched once; short overlaps are kept', () => {
+  assert.equal(
+    stitchChunks(['The quick brown fox jumps over the lazy dog', 'jumps over the lazy dog and runs away']),
+    'The quick brown fox jumps over the lazy dog and runs away'
+  );
+  assert.equal(stitchChunks(['abc def', 'def ghi']), 'abc def\ndef ghi');
+
+  assert.equal(isChunk(guide[0]), true);
+  assert.equal(isChunk(chunk('single', 0, 1)), false);
+  assert.equal(isChunk({ id: 'x', content: 'x', metadata: {} }), false);
+});
+
+test('hits grow by the window and overlapping expansions merge', () => {
+  const other = { id: 'faq', content: 'Not a chunk', metadata: {} };
+  const [expanded, untouched] = expandHits([guide[2], other], chunksOf(...guide));
+
+  assert.deepEqual(expanded.expansion, { source: 'guide', chunks: [1, 3], totalChunks: 5, hits: ['guide_2'] });
+  assert.equal(expanded.content, [1, 2, 3].map(index => guide[index].content).join('\n'));
+  assert.equal(untouched, other);
+
+  // Neighbours of guide_1 and guide_3 meet: one block for both hits
+  const merged = expandHits([guide[1], guide[3]], chunksOf(...guide));
+  assert.equal(merged.length, 1);
+  assert.deepEqual(merged[0].expansion.chunks, [0, 4]);
+  assert.deepEqual(merged[0].expansion.hits, ['guide_1', 'guide_3']);
+});
+
+test('the budget limits expansion, best hits first', () => {
+  const manual = [0, 1, 2].map(index => chunk('manual', index, 3));
+  const hits = [guide[2], manual[1]];
+
+  // 20 tokens of hits leave room for two neighbours, both of the first hit
+  const results = expandHits(hits, chunksOf(...guide, ...manual), { window: 2, budgetTokens: 40 });
+  assert.deepEqual(results[0].expansion.chunks, [1, 3]);
+  assert.equal(results[1], manual[1]);
+
+  const whole = expandHits([guide[0]], chunksOf(...guide), { window: Infinity });
+  assert.deepEqual(whole[0].expansion.chunks, [0, 4]);
+});
+
+test('the engine expands chunk hits from its data source', async () => {
+  const engine = await createTestEngine({ documents: guide });
+  const hit = guide[2];
+
+  const neighbors = await engine.expandDocuments([hit], { mode: 'neighbors', window: 1 });
+  assert.deepEqual(neighbors[0].expansion.chunks, [1, 3]);
+  const parent = await engine.expandDocuments([hit], { mode: 'parent' });
+  assert.deepEqual(parent[0].expansion.chunks, [0, 4]);
+  assert.deepEqual(await engine.expandDocuments([hit], { mode: false }), [hit]);
+  await assert.rejects(engine.expandDocuments([hit], { mode: 'sideways' }), /Unknown context expansion: sideways/);
+
+  const result = await engine.query('guide chunk', { mode: 'rag', topK: 1, expandContext: 'parent' });
+  assert.deepEqual(result.sources[0].expansion.chunks, [0, 4]);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContextPacker } from '../src/rag/context-packer.js';
+import { createTestEngine, ScriptedLLM } from './fixtures.js';
+
+const doc = (id, chars) => ({ id, content: `${'word '.repeat(chars / 5 - 1)}end. ` });
+
+test('budget reserves the answer, prompt, history and a safety margin', () => {
+  const packer = new ContextPacker();
+
+  // 8192 - 512 answer - 25 system - 5 query - (25 + 4) history - 8 overhead - 410 margin
+  assert.equal(packer.getBudget({
+    model: 'llama3-8b-8192',
+    maxTokens: 512,
+    systemPrompt: 'x'.repeat(100),
+    query: 'y'.repeat(20),
+    history: [{ role: 'user', content: 'z'.repeat(100) }]
+  }), 7203);
+  assert.equal(packer.getBudget({ model: 'mixtral-8x7b-32768' }), 32768 - 8 - 1639);
+  assert.equal(packer.getBudget({ model: 'unknown', contextWindow: 1000, maxTokens: 2000 }), 0);
+  assert.equal(new ContextPacker({ maxContextTokens: 300 }).getBudget({ model: 'unknown' }), 300);
+});
+
+test('documents are packed in order, truncated at a boundary or dropped', () => {
+  const packer = new ContextPacker({ maxContextTokens: 400, blockOverheadTokens: 10, minTruncatedTokens: 50 });
+  const docs = [doc('a', 800), doc('b', 800), doc('c', 800), doc('d', 100)];
+
+  const { documents, report } = packer.pack(docs, { model: 'unknown' });
+
+  // a: 200 + 10, b: truncated to the remaining 180, c: no room left, d: 25 + 10 would not fit either
+  assert.deepEqual(documents.map(d => [d.id, d.truncated ?? false]), [['a', false], ['b', true]]);
+  assert.ok(documents[1].content.endsWith('…'));
+  assert.ok(!documents[1].content.includes('end.'));
+  assert.equal(documents[1].originalLength, 800);
+  assert.deepEqual(report.truncated, ['b']);
+  assert.deepEqual(report.dropped.map(d => d.id), ['c', 'd']);
+  assert.ok(report.usedTokens <= report.budgetTokens);
+  assert.equal(report.budgetTokens, 400);
+});
+
+test('a smaller later document still fits after a large one is dropped', () => {
+  const packer = new ContextPacker({ maxContextTokens: 60, blockOverheadTokens: 10, minTruncatedTokens: 80 });
+  const { documents, report } = packer.pack([doc('big', 800), doc('small', 100)], { model: 'unknown' });
+
+  // Truncating big would leave 50 tokens of text, below minTruncatedTokens
+  assert.deepEqual(documents.map(d => d.id), ['small']);
+  assert.deepEqual(report.dropped, [{ id: 'big', tokens: 210 }]);
+  assert.equal(report.usedTokens, 35);
+});
+
+test('query responses report how the context was packed', async () => {
+  const engine = await createTestEngine({ llm: new ScriptedLLM(undefined, { contextWindow: 2000, maxTokens: 500 }) });
+  const result = await engine.query('What is the capital of France?', { mode: 'rag', topK: 2 });
+
+  assert.equal(result.context.budgetTokens, 2000 - 500 - 8 - 100 - engine.contextPacker.estimateTokens('What is the capital of France?')
+    - engine.contextPacker.estimateTokens(engine.llm.systemPrompt));
+  assert.deepEqual(result.context.included.map(entry => entry.id), result.sources.map(source => source.id));
+});
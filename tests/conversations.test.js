@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ConversationManager } from '../src/conversations/manager.js';
+import { MemoryConversationStore } from '../src/conversations/memory.js';
+import { JSONConversationStore } from '../src/conversations/json.js';
+import { SQLiteConversationStore } from '../src/conversations/sqlite.js';
+import { ScriptedLLM } from './fixtures.js';
+
+// better-sqlite3 is a native module; skip its store where no binary was built
+const sqliteAvailable = await import('better-sqlite3')
+  .then(({ default: Database }) => { new Database(':memory:').close(); return true; })
+  .catch(() => false);
+
+const turn = answer => ({ answer, mode: 'hybrid', sources: [{ id: 'paris', score: 0.8, metadata: { source: 'cities.csv' } }], citations: [] });
+
+// 100 characters = 25 tokens at the default 4 characters per token
+const words = char => char.repeat(100);
+
+async function withTempDir(run) {
+  const dir = await mkdtemp(join(tmpdir(), 'rag-conversations-'));
+  try {
+    await run(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('history budget is derived from the model context window', () => {
+  const llm = new ScriptedLLM('', { contextWindow: 8192, maxTokens: 1024, systemPrompt: 'x'.repeat(400) });
+  const manager = new ConversationManager({ llm });
+
+  // 8192 - 1024 answer - 100 system prompt - 8 message overhead - 410 safety margin = 6650, a quarter for history
+  assert.equal(manager.getHistoryBudget(), 1662);
+  assert.equal(manager.getHistoryBudget({ maxContextTokens: 1000 }), 5650);
+  assert.ok(manager.getHistoryBudget({ llm: new ScriptedLLM('', { model: 'llama-3.3-70b-versatile' }) }) > 20000);
+
+  assert.equal(new ConversationManager({ llm, maxHistoryTokens: 300 }).getHistoryBudget(), 300);
+  assert.equal(new ConversationManager({ llm, historyShare: 0.5 }).getHistoryBudget(), 3325);
+});
+
+test('recent turns are kept verbatim and older ones are summarized', async () => {
+  const llm = new ScriptedLLM('Earlier: the user asked about A and B.');
+  const manager = new ConversationManager({ llm, maxHistoryTokens: 40 });
+  const { id } = await manager.createConversation({ userId: 'alice' });
+
+  await manager.recordTurn(id, words('a'), turn(words('b')));
+  await manager.recordTurn(id, words('c'), turn('short answer'));
+
+  const history = await manager.getHistory(id);
+  assert.deepEqual(history, [
+    { role: 'system', content: 'Summary of the earlier conversation:\nEarlier: the user asked about A and B.' },
+    { role: 'user', content: words('c') },
+    { role: 'assistant', content: 'short answer' }
+  ]);
+  assert.equal(llm.calls[0].options.operation, 'summarize');
+
+  const stored = await manager.getConversation(id);
+  assert.equal(stored.summarizedCount, 2);
+  assert.equal(stored.messages.length, 4);
+  assert.deepEqual(stored.messages[1].sources, [{ id: 'paris', score: 0.8, source: 'cities.csv' }]);
+
+  // Already summarized turns are not summarized again
+  await manager.getHistory(id);
+  assert.equal(llm.calls.length, 1);
+});
+
+test('without summarization older turns are dropped', async () => {
+  const manager = new ConversationManager({ summarize: false, maxHistoryTokens: 20 });
+  const { id } = await manager.createConversation();
+  await manager.recordTurn(id, words('a'), turn('ok'));
+
+  assert.deepEqual(await manager.getHistory(id), [{ role: 'assistant', content: 'ok' }]);
+  await assert.rejects(manager.getHistory('missing'), /Conversation not found/);
+});
+
+test('memory store lists conversations most recently updated first', async () => {
+  const store = new MemoryConversationStore();
+  const manager = new ConversationManager({ store });
+  const first = await manager.createConversation({ title: 'first' });
+  await manager.createConversation({ title: 'second' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await manager.recordTurn(first.id, 'q', turn('a'));
+
+  const list = await manager.listConversations();
+  assert.deepEqual(list.map(c => [c.metadata.title, c.messageCount]), [['first', 2], ['second', 0]]);
+  assert.equal(await manager.deleteConversation(first.id), true);
+  assert.equal(await manager.getConversation(first.id), null);
+});
+
+test('JSON store persists conversations across restarts', () => withTempDir(async dir => {
+  const path = join(dir, 'nested', 'conversations.json');
+  const store = new JSONConversationStore({ path });
+  await store.initialize();
+  await store.createConversation({ id: 'c1', createdAt: 't', updatedAt: 't', metadata: {}, summary: null, summarizedCount: 0 });
+  await store.appendMessages('c1', [{ role: 'user', content: 'hello', createdAt: 't' }]);
+  await store.updateConversation('c1', { summary: 'greeting' });
+  await store.close();
+
+  const reopened = new JSONConversationStore({ path });
+  await reopened.initialize();
+  const conversation = await reopened.getConversation('c1');
+  assert.equal(conversation.summary, 'greeting');
+  assert.deepEqual(conversation.messages, [{ role: 'user', content: 'hello', createdAt: 't' }]);
+  assert.equal(JSON.parse(await readFile(path, 'utf-8')).conversations.length, 1);
+}));
+
+test('JSON store keeps writing after a failed write', t => withTempDir(async dir => {
+  t.mock.method(console, 'warn', () => {});
+  const store = new JSONConversationStore({ path: join(dir, 'conversations.json') });
+  await store.initialize();
+
+  store.filePath = join(dir, 'missing\0dir', 'conversations.json');
+  await store.createConversation({ id: 'c1', createdAt: 't', updatedAt: 't', metadata: {} });
+  assert.equal(console.warn.mock.callCount(), 1);
+
+  store.filePath = join(dir, 'conversations.json');
+  await store.createConversation({ id: 'c2', createdAt: 't', updatedAt: 't', metadata: {} });
+  const saved = JSON.parse(await readFile(store.filePath, 'utf-8'));
+  assert.deepEqual(saved.conversations.map(c => c.id), ['c1', 'c2']);
+}));
+
+test('SQLite store round-trips conversations and messages', { skip: !sqliteAvailable && 'better-sqlite3 is not built' }, () => withTempDir(async dir => {
+  const store = new SQLiteConversationStore({ path: join(dir, 'conversations.sqlite') });
+  const manager = new ConversationManager({ store, summarize: false });
+  await manager.initialize();
+
+  const { id } = await manager.createConversation({ userId: 'bob' });
+  await manager.recordTurn(id, 'Where is Paris?', turn('In France [1].'));
+
+  const conversation = await manager.getConversation(id);
+  assert.deepEqual(conversation.metadata, { userId: 'bob' });
+  assert.deepEqual(conversation.messages.map(m => m.content), ['Where is Paris?', 'In France [1].']);
+  assert.deepEqual(conversation.messages[1].sources, [{ id: 'paris', score: 0.8, source: 'cities.csv' }]);
+  assert.equal(await manager.deleteConversation(id), true);
+  await manager.close();
+}));
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createAPIServer } from '../src/api/server.js';
+import { BaseDataSource } from '../src/datasources/base.js';
+import { CSVDataSource } from '../src/datasources/csv.js';
+import { createTestEngine, MemoryDataSource, withServer } from './fixtures.js';
+
+// Read-only source: inherits the base updateDocument
+class ReadOnlyDataSource extends MemoryDataSource {}
+ReadOnlyDataSource.prototype.updateDocument = BaseDataSource.prototype.updateDocument;
+
+test('added, updated and deleted documents are retrievable by their new content', async () => {
+  const engine = await createTestEngine();
+
+  const id = await engine.addDocument({ content: 'Lisbon is the capital of Portugal.', metadata: { country: 'portugal' } });
+  assert.equal((await engine.retrieve('Lisbon Portugal', 1))[0].id, id);
+
+  await engine.updateDocument('paris', { content: 'Oslo is the capital of Norway.', metadata: { country: 'norway', year: null } });
+  const [top] = await engine.retrieve('Oslo Norway', 1);
+  assert.equal(top.id, 'paris');
+  assert.deepEqual(top.metadata, { country: 'norway' });
+
+  assert.equal(await engine.deleteDocument('paris'), true);
+  assert.equal(await engine.deleteDocument('paris'), false);
+  assert.ok(!(await engine.retrieve('Oslo Norway', 5)).some(doc => doc.id === 'paris'));
+  assert.equal(await engine.updateDocument('paris', { metadata: {} }), null);
+});
+
+test('replace drops metadata keys missing from the new document', async () => {
+  const engine = await createTestEngine();
+  const updated = await engine.updateDocument('rome', { content: 'Rome, Italy.', metadata: { region: 'lazio' } }, { replace: true });
+
+  assert.deepEqual(updated, { id: 'rome', content: 'Rome, Italy.', metadata: { region: 'lazio' } });
+});
+
+test('invalid patches are rejected with status 400', async () => {
+  const engine = await createTestEngine();
+  const rejects = (patch, options, message) => assert.rejects(engine.updateDocument('rome', patch, options), { status: 400, message });
+
+  await rejects({ metadata: {} }, { replace: true }, 'Content is required');
+  await rejects({ content: 42 }, {}, 'Content must be a non-empty string');
+  await rejects({ metadata: ['a'] }, {}, 'Metadata must be an object');
+});
+
+test('update errors map to 400 and 501 responses', async t => {
+  const dir = await mkdtemp(join(tmpdir(), 'rag-documents-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  await writeFile(join(dir, 'cities.csv'), 'city,country\nParis,France\n');
+
+  const csv = await createTestEngine({ dataSource: new CSVDataSource({ filePath: join(dir, 'cities.csv') }) });
+  await withServer(createAPIServer(csv), async request => {
+    const changed = await request('PATCH', '/documents/doc_0', { metadata: { country: 'FR' } });
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.document.content, 'city: Paris\ncountry: FR');
+
+    const content = await request('PATCH', '/documents/doc_0', { content: 'Paris' });
+    assert.equal(content.status, 400);
+    assert.match(content.body.error, /without a contentColumn/);
+
+    assert.equal((await request('PUT', '/documents/doc_0', { metadata: {} })).status, 400);
+    assert.equal((await request('PATCH', '/documents/missing', { metadata: {} })).status, 404);
+  });
+
+  const readOnly = await createTestEngine({ dataSource: new ReadOnlyDataSource([{ id: 'a', content: 'text' }]) });
+  await withServer(createAPIServer(readOnly), async request => {
+    const response = await request('PATCH', '/documents/a', { metadata: { x: 1 } });
+    assert.equal(response.status, 501);
+    assert.equal(response.body.error, 'ReadOnlyDataSource does not support updating documents');
+  });
+});
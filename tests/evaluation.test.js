@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareReports, evaluate, normalizeGoldenSet, parseGoldenSet, scoreRetrieval } from '../src/rag/evaluation.js';
+import { createTestEngine } from './fixtures.js';
+
+const ids = (...values) => values.map(id => ({ id }));
+
+test('retrieval metrics follow the ranks of the expected documents', () => {
+  const scores = scoreRetrieval(ids('x', 'a', 'y', 'b'), ['a', 'b', 'c'], 4);
+
+  assert.equal(scores.recall, 2 / 3);
+  assert.equal(scores.precision, 0.5);
+  assert.equal(scores.mrr, 0.5);
+  assert.equal(scores.firstRelevantRank, 2);
+  assert.deepEqual(scores.missingIds, ['c']);
+  const dcg = 1 / Math.log2(3) + 1 / Math.log2(5);
+  const idcg = 1 + 1 / Math.log2(3) + 1 / Math.log2(4);
+  assert.ok(Math.abs(scores.ndcg - dcg / idcg) < 1e-12);
+
+  // Documents past the cutoff don't count
+  assert.deepEqual(scoreRetrieval(ids('x', 'a'), ['a'], 1), {
+    recall: 0, precision: 0, mrr: 0, ndcg: 0, firstRelevantRank: null, missingIds: ['a']
+  });
+});
+
+test('chunks of an expected file count once towards recall and nDCG', () => {
+  const chunks = [
+    { id: 'guide_0', metadata: { fileName: 'guide.md' } },
+    { id: 'other', metadata: { source: 'docs/other.md' } },
+    { id: 'guide_1', metadata: { fileName: 'guide.md' } }
+  ];
+  const scores = scoreRetrieval(chunks, ['guide.md', 'docs/other.md'], 3);
+
+  assert.equal(scores.recall, 1);
+  assert.equal(scores.precision, 1);
+  assert.equal(scores.ndcg, 1);
+});
+
+test('golden sets are parsed and checked', () => {
+  const entries = parseGoldenSet('// capitals\n{"query": "q1", "expected_ids": [1]}\n\n{"id": "k", "query": "q2", "keywords": ["x"]}\n');
+  assert.deepEqual(normalizeGoldenSet(entries), [
+    { id: '1', query: 'q1', expectedIds: ['1'], keywords: [], filter: null },
+    { id: 'k', query: 'q2', expectedIds: [], keywords: ['x'], filter: null }
+  ]);
+
+  assert.throws(() => parseGoldenSet('{"query": "q"}\n{oops'), /Invalid golden set line 2/);
+  assert.throws(() => normalizeGoldenSet([]), /at least one query/);
+  assert.throws(() => normalizeGoldenSet([{ query: 'q' }]), /entry 1 needs expectedIds or keywords/);
+});
+
+test('evaluate scores retrieval and answers and reports misses', async () => {
+  const engine = await createTestEngine();
+  const goldenSet = [
+    { id: 'japan', query: 'What is the capital of Japan?', expectedIds: ['tokyo'] },
+    { id: 'france', query: 'What is the capital of France?', keywords: ['answer', 'Paris'] }
+  ];
+
+  const report = await evaluate(engine, goldenSet, { k: 2, name: 'baseline' });
+  const [japan, france] = report.queries;
+  assert.equal(japan.retrievedIds[0], 'tokyo');
+  assert.equal(japan.mrr, 1);
+  assert.equal(japan.miss, false);
+  assert.equal(france.keywordRecall, 0.5);
+  assert.deepEqual(france.missingKeywords, ['Paris']);
+  assert.equal(report.summary.misses, 1);
+  assert.equal(report.summary.precision, 0.5);
+  assert.equal(engine.llm.calls.length, 1);
+
+  const retrievalOnly = await evaluate(engine, goldenSet, { generate: false });
+  assert.equal(retrievalOnly.summary.keywordRecall, null);
+  assert.equal(retrievalOnly.config.llmModel, null);
+  assert.equal(engine.llm.calls.length, 1);
+});
+
+test('compareReports splits per-query changes into improvements and regressions', () => {
+  const report = (config, queries) => ({ config, summary: { recall: queries[0].recall }, queries });
+  const baseline = report({ topK: 5 }, [{ id: 'a', recall: 0.5 }, { id: 'b', recall: 1 }, { id: 'c', recall: 1 }]);
+  const candidate = report({ topK: 10 }, [{ id: 'a', recall: 1 }, { id: 'b', recall: 0 }, { id: 'd', recall: 1 }]);
+
+  const comparison = compareReports(baseline, candidate);
+  assert.deepEqual(comparison.config, { topK: { baseline: 5, candidate: 10 } });
+  assert.deepEqual(comparison.summary.recall, { baseline: 0.5, candidate: 1, delta: 0.5 });
+  assert.deepEqual(comparison.improved.map(entry => entry.id), ['a']);
+  assert.deepEqual(comparison.regressed.map(entry => entry.id), ['b']);
+  assert.deepEqual(comparison.added, ['d']);
+  assert.deepEqual(comparison.removed, ['c']);
+});
@@ -0,0 +1,182 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesFilter, toSQLFilter, toElasticsearchFilter, validateFilter } from '../src/rag/filters.js';
+
+const NUMERIC = "^\\s*[-+]?([0-9]+\\.?[0-9]*|\\.[0-9]+)([eE][-+]?[0-9]+)?\\s*$";
+
+test('matchesFilter: equality, membership and ranges', () => {
+  const metadata = { fileType: 'pdf', year: 2024, tags: 'finance' };
+
+  assert.equal(matchesFilter(metadata, {}), true);
+  assert.equal(matchesFilter(metadata, undefined), true);
+  assert.equal(matchesFilter(metadata, { fileType: 'pdf' }), true);
+  assert.equal(matchesFilter(metadata, { fileType: 'csv' }), false);
+  assert.equal(matchesFilter(metadata, { fileType: ['csv', 'pdf'] }), true);
+  assert.equal(matchesFilter(metadata, { fileType: { $nin: ['csv', 'pdf'] } }), false);
+  assert.equal(matchesFilter(metadata, { fileType: { $ne: 'csv' } }), true);
+  assert.equal(matchesFilter(metadata, { year: { $gte: 2023, $lt: 2025 } }), true);
+  assert.equal(matchesFilter(metadata, { year: { $gt: 2024 } }), false);
+  assert.equal(matchesFilter(metadata, { missing: { $gt: 0 } }), false);
+});
+
+test('matchesFilter: $and, $or and $exists', () => {
+  const metadata = { fileType: 'pdf', category: 'hr' };
+
+  assert.equal(matchesFilter(metadata, { $or: [{ fileType: 'csv' }, { category: 'hr' }] }), true);
+  assert.equal(matchesFilter(metadata, { $and: [{ fileType: 'pdf' }, { category: 'finance' }] }), false);
+  assert.equal(matchesFilter(metadata, { category: { $exists: true } }), true);
+  assert.equal(matchesFilter(metadata, { sheetName: { $exists: false } }), true);
+});
+
+test('matchesFilter: string metadata compares as numbers and booleans', () => {
+  const metadata = { year: '2024', active: 'true', blank: '' };
+
+  assert.equal(matchesFilter(metadata, { year: 2024 }), true);
+  assert.equal(matchesFilter(metadata, { year: { $gte: 2023 } }), true);
+  assert.equal(matchesFilter(metadata, { active: true }), true);
+  assert.equal(matchesFilter(metadata, { active: false }), false);
+  assert.equal(matchesFilter(metadata, { blank: 0 }), false);
+});
+
+test('matchesFilter: null matches missing and null values', () => {
+  assert.equal(matchesFilter({}, { author: null }), true);
+  assert.equal(matchesFilter({ author: null }, { author: null }), true);
+  assert.equal(matchesFilter({ author: 'ann' }, { author: null }), false);
+  assert.equal(matchesFilter({ author: 'ann' }, { author: { $ne: null } }), true);
+  assert.equal(matchesFilter({}, { author: { $ne: null } }), false);
+  assert.equal(matchesFilter({}, { author: { $in: [null, 'ann'] } }), true);
+  assert.equal(matchesFilter({}, { author: { $nin: [null, 'ann'] } }), false);
+  assert.equal(matchesFilter({ author: 'bob' }, { author: { $nin: [null, 'ann'] } }), true);
+});
+
+test('toSQLFilter: sqlite clauses and parameters', () => {
+  assert.deepEqual(toSQLFilter({ fileType: 'pdf' }), {
+    clause: `json_extract(metadata, '$."fileType"') = ?`,
+    params: ['pdf']
+  });
+
+  assert.deepEqual(toSQLFilter({ year: { $gte: 2023, $lt: 2025 } }), {
+    clause: `CAST(json_extract(metadata, '$."year"') AS REAL) >= ? AND CAST(json_extract(metadata, '$."year"') AS REAL) < ?`,
+    params: [2023, 2025]
+  });
+
+  assert.deepEqual(toSQLFilter({ active: true }), {
+    clause: `json_extract(metadata, '$."active"') = ?`,
+    params: [1]
+  });
+
+  assert.deepEqual(toSQLFilter({ $or: [{ fileType: 'pdf' }, { category: { $in: ['a', 'b'] } }] }), {
+    clause: `(json_extract(metadata, '$."fileType"') = ? OR json_extract(metadata, '$."category"') IN (?, ?))`,
+    params: ['pdf', 'a', 'b']
+  });
+
+  assert.deepEqual(toSQLFilter({}), { clause: '1 = 1', params: [] });
+});
+
+test('toSQLFilter: null compiles to IS NULL', () => {
+  const field = `json_extract(metadata, '$."author"')`;
+
+  assert.deepEqual(toSQLFilter({ author: null }), { clause: `${field} IS NULL`, params: [] });
+  assert.deepEqual(toSQLFilter({ author: { $ne: null } }), { clause: `${field} IS NOT NULL`, params: [] });
+  assert.deepEqual(toSQLFilter({ author: { $exists: false } }), { clause: `${field} IS NULL`, params: [] });
+  assert.deepEqual(toSQLFilter({ author: { $in: [null, 'ann'] } }), {
+    clause: `(${field} IS NULL OR ${field} IN (?))`,
+    params: ['ann']
+  });
+  assert.deepEqual(toSQLFilter({ author: { $nin: ['ann'] } }), {
+    clause: `(${field} IS NULL OR NOT (${field} IN (?)))`,
+    params: ['ann']
+  });
+  assert.deepEqual(toSQLFilter({ author: { $nin: [null] } }), {
+    clause: `(${field} IS NOT NULL AND NOT (1 = 0))`,
+    params: []
+  });
+});
+
+test('toSQLFilter: postgres placeholders and guarded casts', () => {
+  const text = `(doc->>'year')`;
+  const number = `(CASE WHEN jsonb_typeof(doc->'year') = 'number' OR ${text} ~ '${NUMERIC}' THEN ${text}::numeric END)`;
+
+  assert.deepEqual(toSQLFilter({ year: { $gt: 2020 } }, { dialect: 'postgres', column: 'doc', paramOffset: 2 }), {
+    clause: `${number} > $3`,
+    params: [2020]
+  });
+
+  assert.deepEqual(toSQLFilter({ active: false, fileType: 'pdf' }, { dialect: 'postgres' }), {
+    clause: `(CASE WHEN (metadata->>'active') IN ('true', 'false') THEN (metadata->>'active')::boolean END) = $1 AND (metadata->>'fileType') = $2`,
+    params: [false, 'pdf']
+  });
+
+  assert.deepEqual(toSQLFilter({ author: null }, { dialect: 'postgres' }), {
+    clause: `(metadata->>'author') IS NULL`,
+    params: []
+  });
+});
+
+test('toElasticsearchFilter: terms, ranges and keyword sub-fields', () => {
+  assert.deepEqual(toElasticsearchFilter({ fileType: 'pdf', year: { $gte: 2023 }, draft: { $ne: true } }), {
+    bool: {
+      filter: [
+        { term: { 'metadata.fileType.keyword': 'pdf' } },
+        { range: { 'metadata.year': { gte: 2023 } } }
+      ],
+      must_not: [{ term: { 'metadata.draft': true } }]
+    }
+  });
+
+  assert.deepEqual(toElasticsearchFilter({ $or: [{ a: 1 }, { b: { $exists: false } }] }, ''), {
+    bool: {
+      filter: [{
+        bool: {
+          should: [
+            { bool: { filter: [{ term: { a: 1 } }], must_not: [] } },
+            { bool: { filter: [], must_not: [{ exists: { field: 'b' } }] } }
+          ],
+          minimum_should_match: 1
+        }
+      }],
+      must_not: []
+    }
+  });
+});
+
+test('toElasticsearchFilter: null matches a missing field', () => {
+  const missing = { bool: { must_not: [{ exists: { field: 'metadata.author' } }] } };
+
+  assert.deepEqual(toElasticsearchFilter({ author: null }), { bool: { filter: [missing], must_not: [] } });
+  assert.deepEqual(toElasticsearchFilter({ author: { $ne: null } }), {
+    bool: { filter: [{ exists: { field: 'metadata.author' } }], must_not: [] }
+  });
+});
+
+test('toElasticsearchFilter: $in and $nin group values by sub-field', () => {
+  const mixed = {
+    bool: {
+      should: [
+        { terms: { 'metadata.code': [1, 2] } },
+        { terms: { 'metadata.code.keyword': ['a'] } },
+        { bool: { must_not: [{ exists: { field: 'metadata.code' } }] } }
+      ],
+      minimum_should_match: 1
+    }
+  };
+
+  assert.deepEqual(toElasticsearchFilter({ code: { $in: [null, 1, 'a', 2] } }), { bool: { filter: [mixed], must_not: [] } });
+  assert.deepEqual(toElasticsearchFilter({ code: { $nin: [null, 1, 'a', 2] } }), { bool: { filter: [], must_not: [mixed] } });
+  assert.deepEqual(toElasticsearchFilter({ code: ['a', 'b'] }), {
+    bool: { filter: [{ terms: { 'metadata.code.keyword': ['a', 'b'] } }], must_not: [] }
+  });
+  assert.deepEqual(toElasticsearchFilter({ code: { $in: [] } }), {
+    bool: { filter: [{ terms: { 'metadata.code': [] } }], must_not: [] }
+  });
+});
+
+test('validateFilter rejects malformed filters', () => {
+  assert.doesNotThrow(() => validateFilter({ year: { $gte: 2020 }, $or: [{ a: 1 }, { b: null }] }));
+  assert.throws(() => validateFilter([]), /must be an object/);
+  assert.throws(() => validateFilter({ $or: [] }), /non-empty array/);
+  assert.throws(() => validateFilter({ $not: {} }), /unknown operator \$not/);
+  assert.throws(() => validateFilter({ year: { $regex: 'x' } }), /unknown operator \$regex/);
+  assert.throws(() => validateFilter({ year: { $in: 2020 } }), /requires an array/);
+  assert.throws(() => validateFilter({ "a'); DROP TABLE x; --": 1 }), /unsupported field name/);
+});
@@ -0,0 +1,150 @@
+/**
+ * Test fixtures: an in-memory data source, a scripted LLM and an engine built from them with
+ * local TF-IDF embeddings, so engine tests run without files, servers or API keys; and a
+ * helper that serves an Express app on a free local port
+ */
+import { BaseDataSource } from '../src/datasources/base.js';
+import { BaseLLM } from '../src/llm/base.js';
+import { LocalEmbeddings } from '../src/embeddings/local.js';
+import { RAGEngine } from '../src/rag/engine.js';
+import { matchesFilter } from '../src/rag/filters.js';
+
+export class MemoryDataSource extends BaseDataSource {
+  constructor(documents = [], config = {}) {
+    super(config);
+    this.documents = documents.map(doc => ({ metadata: {}, ...doc }));
+    this.nextId = this.documents.length;
+  }
+
+  async initialize() {
+    this.initialized = true;
+  }
+
+  async loadDocuments() {
+    return this.documents;
+  }
+
+  // Term overlap count, enough to tell lexical hits apart
+  async search(query, limit = 5, options = {}) {
+    const terms = query.toLowerCase().split(/\W+/).filter(term => term.length > 2);
+    return this.documents
+      .filter(doc => matchesFilter(doc.metadata, options.filter))
+      .map(doc => ({ ...doc, score: terms.filter(term => doc.content.toLowerCase().includes(term)).length }))
+      .filter(doc => doc.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  async addDocument(document) {
+    const id = document.id || `doc_${this.nextId++}`;
+    this.documents.push({ id, content: document.content, metadata: { ...document.metadata } });
+    return id;
+  }
+
+  async updateDocument(id, patch = {}) {
+    const index = this.documents.findIndex(doc => doc.id === id);
+    if (index === -1) return null;
+    this.documents[index] = this.applyPatch(this.documents[index], patch);
+    return this.documents[index];
+  }
+
+  async deleteDocument(id) {
+    const index = this.documents.findIndex(doc => doc.id === id);
+    if (index === -1) return false;
+    this.documents.splice(index, 1);
+    return true;
+  }
+
+  getDocuments() {
+    return this.documents;
+  }
+
+  getDocumentCount() {
+    return this.documents.length;
+  }
+}
+
+/**
+ * LLM that answers with reply(messages, options) (default: a fixed answer citing [1]) and
+ * reports 10 prompt and 5 completion tokens per call
+ */
+export class ScriptedLLM extends BaseLLM {
+  constructor(reply = () => 'The answer [1].', config = {}) {
+    super({ model: 'test-model', ...config });
+    this.reply = typeof reply === 'function' ? reply : () => reply;
+    this.calls = [];
+  }
+
+  get provider() {
+    return 'test';
+  }
+
+  async initialize() {}
+
+  async chat(messages, options = {}) {
+    this.calls.push({ messages, options });
+    this.reportUsage(options, { promptTokens: 10, completionTokens: 5 });
+    return this.reply(messages, options);
+  }
+
+  async *chatStream(messages, options = {}) {
+    const reply = await this.chat(messages, options);
+    for (const word of reply.split(/(?<= )/)) {
+      yield word;
+    }
+  }
+
+  async listModels() {
+    return [{ id: this.model }];
+  }
+}
+
+export const DOCUMENTS = [
+  { id: 'paris', content: 'Paris is the capital of France and home of the Eiffel Tower.', metadata: { country: 'france', year: 2020 } },
+  { id: 'berlin', content: 'Berlin is the capital of Germany, known for the Brandenburg Gate.', metadata: { country: 'germany', year: 2021 } },
+  { id: 'rome', content: 'Rome is the capital of Italy and home of the Colosseum.', metadata: { country: 'italy', year: 2022 } },
+  { id: 'madrid', content: 'Madrid is the capital of Spain, known for the Prado museum.', metadata: { country: 'spain', year: 2023 } },
+  { id: 'tokyo', content: 'Tokyo is the capital of Japan and its largest city.', metadata: { country: 'japan', year: 2024 } }
+];
+
+/**
+ * Build and initialize an engine over in-memory documents
+ * @param {Object} config - Engine config; documents (default DOCUMENTS) and llm are filled in
+ * @returns {Promise<RAGEngine>}
+ */
+export async function createTestEngine(config = {}) {
+  const { documents = DOCUMENTS, ...rest } = config;
+  const engine = new RAGEngine({
+    dataSource: new MemoryDataSource(structuredClone(documents)),
+    llm: new ScriptedLLM(),
+    embeddings: new LocalEmbeddings(),
+    ...rest
+  });
+  await engine.initialize();
+  return engine;
+}
+
+/**
+ * Serve an app on a free port for the duration of run(request)
+ * @param {express.Application} app - Express app
+ * @param {Function} run - async (request) => void; request(method, path, body, headers) resolves to { status, body }
+ */
+export async function withServer(app, run) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(url + path, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    await run(request);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
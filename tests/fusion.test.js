@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reciprocalRankFusion, weightedScoreFusion } from '../src/rag/fusion.js';
+import { createTestEngine } from './fixtures.js';
+
+const result = (id, score) => ({ id, content: id, metadata: {}, score });
+
+const vector = { name: 'vector', results: [result('a', 0.9), result('b', 0.8), result('c', 0.1)] };
+const lexical = { name: 'lexical', results: [result('c', 12), result('a', 7)] };
+
+test('RRF ranks documents found by both retrievers first', () => {
+  const fused = reciprocalRankFusion([vector, lexical]);
+
+  assert.deepEqual(fused.map(doc => doc.id), ['a', 'c', 'b']);
+  assert.deepEqual(fused[0].retrievers, ['vector', 'lexical']);
+  assert.deepEqual(fused[1].retrieverScores, { vector: 0.1, lexical: 12 });
+
+  // (1/61 + 1/62) / (2/61): first in one list and second in the other
+  assert.ok(Math.abs(fused[0].score - (1 / 61 + 1 / 62) / (2 / 61)) < 1e-12);
+  assert.equal(reciprocalRankFusion([vector, { ...lexical, results: [result('a', 7)] }])[0].score, 1);
+});
+
+test('RRF weights and k change the ranking', () => {
+  const lexicalFirst = reciprocalRankFusion([{ ...vector, weight: 0.2 }, { ...lexical, weight: 1 }]);
+  assert.deepEqual(lexicalFirst.map(doc => doc.id), ['c', 'a', 'b']);
+
+  // q is second in one list and fifth in the other; p is first in one list only
+  const lists = [
+    { name: 'x', results: [result('p', 1), result('q', 1)] },
+    { name: 'y', results: ['r', 's', 't', 'u', 'q'].map(id => result(id, 1)) }
+  ];
+  assert.equal(reciprocalRankFusion(lists)[0].id, 'q');
+  assert.equal(reciprocalRankFusion(lists, { k: 0 })[0].id, 'p');
+  assert.deepEqual(reciprocalRankFusion([]), []);
+});
+
+test('weighted fusion normalizes each retriever by its best score', () => {
+  const fused = weightedScoreFusion([{ ...vector, weight: 1 }, { ...lexical, weight: 1 }]);
+
+  assert.deepEqual(fused.map(doc => doc.id), ['a', 'c', 'b']);
+  assert.ok(Math.abs(fused[0].score - (1 + 7 / 12) / 2) < 1e-12);
+  assert.ok(Math.abs(fused[1].score - (0.1 / 0.9 + 1) / 2) < 1e-12);
+});
+
+test('hybrid retrieval finds documents either retriever matched', async t => {
+  const engine = await createTestEngine({ retrievalStrategy: 'hybrid' });
+  const docs = await engine.retrieve('Brandenburg Gate', 3);
+
+  assert.equal(docs[0].id, 'berlin');
+  assert.deepEqual(docs[0].retrievers, ['vector', 'lexical']);
+
+  // A failing lexical search degrades to vector results
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(engine.dataSource, 'search', async () => { throw new Error('down'); });
+  const fallback = await engine.retrieve('Brandenburg Gate', 3);
+  assert.equal(fallback[0].id, 'berlin');
+  assert.deepEqual(fallback[0].retrievers, ['vector']);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GroundednessChecker } from '../src/rag/groundedness.js';
+import { createTestEngine, DOCUMENTS, ScriptedLLM } from './fixtures.js';
+
+const [paris, berlin] = DOCUMENTS;
+const ANSWER = 'Paris is the capital of France [1]. Sure! Tokyo hosts summer Olympic stadiums.';
+
+test('sentences are split without citations and short ones are not scored', async () => {
+  const checker = new GroundednessChecker();
+  assert.deepEqual(checker.splitSentences('- One [1, 2].\n* Two three! Four?'), ['One .', 'Two three!', 'Four?']);
+  assert.deepEqual(checker.tokenize('The Olympics in 2024, a class'), ['olympic', '2024', 'class']);
+
+  const report = await checker.check(ANSWER, [paris, berlin]);
+  assert.equal(report.method, 'lexical');
+  assert.deepEqual(report.sentences.map(s => [s.score, s.supported, s.sourceIds]), [
+    [1, true, ['paris']],
+    [0, false, []]
+  ]);
+  // Weighted by content words: 3 supported, 5 not
+  assert.equal(report.confidence, 3 / 8);
+  assert.equal((await checker.check("I don't know.", [paris])).confidence, 1);
+});
+
+test('judge grades are blended with lexical scores and failures fall back', async t => {
+  const llm = new ScriptedLLM('Grades: [10, 2]');
+  const checker = new GroundednessChecker({ llm, judge: true, judgeWeight: 0.5, model: 'small-model' });
+  const usage = [];
+
+  const report = await checker.check(ANSWER, [paris], { onUsage: entry => usage.push(entry.operation) });
+  assert.equal(report.method, 'lexical+llm');
+  assert.deepEqual(report.sentences.map(s => s.judgeScore), [1, 0.2]);
+  assert.ok(Math.abs(report.sentences[1].score - 0.1) < 1e-12);
+  assert.equal(llm.calls[0].options.model, 'small-model');
+  assert.deepEqual(usage, ['judge']);
+
+  // Wrong number of grades, or an LLM error, keep the lexical scores
+  llm.reply = () => '[10]';
+  assert.equal((await checker.check(ANSWER, [paris])).method, 'lexical');
+  const warn = t.mock.method(console, 'warn', () => {});
+  llm.reply = () => { throw new Error('down'); };
+  assert.equal((await checker.check(ANSWER, [paris])).confidence, 3 / 8);
+  assert.equal(warn.mock.callCount(), 1);
+
+  await assert.rejects(new GroundednessChecker({ judge: true }).check(ANSWER, [paris]), /LLM is required/);
+});
+
+test('unsupported answers are replaced or annotated in checked modes', async () => {
+  const unsupported = 'Lima is the capital of Peru, famous for ceviche.';
+  const engine = await createTestEngine({ llm: new ScriptedLLM(unsupported), groundedness: new GroundednessChecker() });
+
+  const replaced = await engine.query('What is the capital of Peru?', { mode: 'rag' });
+  assert.equal(replaced.answer, engine.groundedness.abstentionMessage);
+  assert.equal(replaced.groundedness.abstained, true);
+  assert.equal(replaced.groundedness.originalAnswer, unsupported);
+  assert.equal(replaced.confidence, replaced.groundedness.confidence);
+
+  engine.groundedness.action = 'annotate';
+  const annotated = await engine.query('What is the capital of Peru?', { mode: 'rag' });
+  assert.equal(annotated.answer, `${unsupported}\n\n${engine.groundedness.annotation}`);
+
+  // Only the checker's modes are scored
+  const direct = await engine.query('What is the capital of Peru?', { mode: 'llm' });
+  assert.equal(direct.answer, unsupported);
+  assert.equal(direct.groundedness, undefined);
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HNSWIndex } from '../src/rag/hnsw.js';
+import { VectorStore } from '../src/rag/vector-store.js';
+
+const DIMENSION = 16;
+
+// Deterministic L2-normalized vectors (mulberry32)
+function randomVectors(count, seed = 1) {
+  let state = seed;
+  const random = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return Array.from({ length: count }, () => {
+    const vector = Float32Array.from({ length: DIMENSION }, () => random() * 2 - 1);
+    const norm = Math.hypot(...vector);
+    return vector.map(value => value / norm);
+  });
+}
+
+function buildIndex(vectors, config = {}) {
+  const index = new HNSWIndex({ exactThreshold: 0, seed: 7, ...config });
+  vectors.forEach((vector, i) => index.add(`doc-${i}`, vector));
+  return index;
+}
+
+// Share of the exact top k the approximate search finds, averaged over the queries
+function recall(index, queries, k) {
+  let found = 0;
+  for (const query of queries) {
+    const exact = new Set(index.search(query, k, { exact: true }).map(result => result.id));
+    found += index.search(query, k).filter(result => exact.has(result.id)).length;
+  }
+  return found / (queries.length * k);
+}
+
+test('approximate search recalls the exact nearest neighbours', () => {
+  const index = buildIndex(randomVectors(600));
+  const queries = randomVectors(30, 99);
+
+  assert.ok(recall(index, queries, 10) >= 0.9);
+
+  const [best] = index.search(queries[0], 1);
+  const [exact] = index.search(queries[0], 1, { exact: true });
+  assert.equal(best.id, exact.id);
+});
+
+test('results are sorted best first and honor the filter', () => {
+  const index = buildIndex(randomVectors(300));
+  const [query] = randomVectors(1, 5);
+
+  const results = index.search(query, 20, { filter: id => id.endsWith('7') });
+  assert.equal(results.length, 20);
+  assert.ok(results.every(result => result.id.endsWith('7')));
+  for (let i = 1; i < results.length; i++) {
+    assert.ok(results[i - 1].score >= results[i].score);
+  }
+});
+
+test('removed vectors are not returned and recall holds after deletes', () => {
+  const vectors = randomVectors(600);
+  const index = buildIndex(vectors, { compactRatio: 0.5 });
+  const queries = randomVectors(30, 42);
+
+  const removed = new Set();
+  for (let i = 0; i < 600; i += 3) {
+    assert.equal(index.remove(`doc-${i}`), true);
+    removed.add(`doc-${i}`);
+  }
+  assert.equal(index.remove('doc-0'), false);
+  assert.equal(index.size, 400);
+  assert.equal(index.has('doc-0'), false);
+
+  for (const query of queries) {
+    assert.ok(index.search(query, 10).every(result => !removed.has(result.id)));
+  }
+  assert.ok(recall(index, queries, 10) >= 0.9);
+
+  // A removed vector is its own nearest neighbour no more
+  assert.notEqual(index.search(vectors[3], 1)[0].id, 'doc-3');
+});
+
+test('compaction drops tombstones and keeps the live vectors searchable', () => {
+  const vectors = randomVectors(200);
+  const index = buildIndex(vectors, { compactRatio: 0.3 });
+
+  for (let i = 0; i < 100; i++) {
+    index.remove(`doc-${i}`);
+  }
+
+  assert.equal(index.size, 100);
+  assert.ok(index.deleted.size <= index.ids.length * 0.3);
+  assert.equal(index.search(vectors[150], 1)[0].id, 'doc-150');
+});
+
+test('re-adding an ID replaces its vector', () => {
+  const vectors = randomVectors(100);
+  const index = buildIndex(vectors);
+
+  index.add('doc-0', vectors[50]);
+  assert.equal(index.size, 100);
+  const ids = index.search(vectors[50], 2).map(result => result.id).sort();
+  assert.deepEqual(ids, ['doc-0', 'doc-50']);
+});
+
+test('tombstones keep their vector when the store reuses the slot', () => {
+  const vectors = randomVectors(50);
+  const store = new VectorStore();
+  // compactRatio 1: the tombstone stays in the graph
+  const index = new HNSWIndex({ exactThreshold: 0, compactRatio: 1, seed: 3 });
+  vectors.forEach((vector, i) => {
+    store.set(`doc-${i}`, vector);
+    index.add(`doc-${i}`, store.get(`doc-${i}`));
+  });
+
+  const node = index.idToNode.get('doc-10');
+  index.remove('doc-10');
+  store.delete('doc-10');
+  const [replacement] = randomVectors(1, 1234);
+  store.set('new', replacement);
+  index.add('new', store.get('new'));
+
+  assert.ok(index.deleted.has(node));
+  assert.deepEqual(Array.from(index.vectors[node]), Array.from(vectors[10]));
+  assert.equal(index.search(replacement, 1)[0].id, 'new');
+  assert.equal(index.search(vectors[11], 1)[0].id, 'doc-11');
+});
+
+test('k <= 0 returns no results', () => {
+  const vectors = randomVectors(20);
+  const index = buildIndex(vectors);
+  const store = new VectorStore();
+  vectors.forEach((vector, i) => store.set(`doc-${i}`, vector));
+
+  assert.deepEqual(index.search(vectors[0], 0), []);
+  assert.deepEqual(index.search(vectors[0], -1), []);
+  assert.deepEqual(store.search(vectors[0], 0), []);
+  assert.deepEqual(new HNSWIndex().search(vectors[0], 5), []);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEngine, ScriptedLLM } from './fixtures.js';
+
+const passage = 'The Colosseum in Rome, the capital of Italy, is an ancient amphitheatre.';
+
+test('HyDE retrieves with the embedding of a generated passage', async () => {
+  const engine = await createTestEngine({ llm: new ScriptedLLM(passage) });
+
+  const [plain] = await engine.retrieve('Which amphitheatre hosted gladiators?', 1);
+  const [top] = await engine.retrieve('Which amphitheatre hosted gladiators?', 1, { hyde: true });
+  assert.notEqual(plain.id, 'rome');
+  assert.equal(top.id, 'rome');
+  assert.equal(engine.llm.calls[0].options.operation, 'hyde');
+  assert.match(engine.llm.calls[0].messages.at(-1).content, /Question: Which amphitheatre hosted gladiators\?/);
+});
+
+test('the query weight blends the query vector into the passage vector', async () => {
+  const engine = await createTestEngine({ llm: new ScriptedLLM(passage) });
+  const query = 'Which amphitheatre hosted gladiators?';
+  const queryVector = await engine.embeddings.embed(query);
+  const passageVector = await engine.embeddings.embed(passage);
+
+  const similarity = (a, b) => engine.embeddings.cosineSimilarity(a, b);
+
+  assert.deepEqual(await engine.embedHypotheticalDocument(query, 0), passageVector);
+  assert.ok(similarity(await engine.embedHypotheticalDocument(query, 1), queryVector) > 0.999999);
+
+  // Halfway between: closer to each side than the two sides are to each other
+  const blended = await engine.embedHypotheticalDocument(query, 0.5);
+  assert.ok(similarity(blended, queryVector) > similarity(passageVector, queryVector));
+  assert.ok(similarity(blended, passageVector) > similarity(passageVector, queryVector));
+  assert.ok(Math.abs(Math.hypot(...blended) - 1) < 1e-9);
+});
+
+test('HyDE falls back to the query vector when generation fails or is empty', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const broken = await createTestEngine({ llm: new ScriptedLLM(() => { throw new Error('down'); }) });
+  const queryVector = await broken.embeddings.embed('capital of Japan');
+
+  assert.deepEqual(await broken.embedHypotheticalDocument('capital of Japan'), queryVector);
+  assert.equal((await broken.retrieve('capital of Japan', 1, { hyde: true }))[0].id, 'tokyo');
+
+  const empty = await createTestEngine({ llm: new ScriptedLLM('  ') });
+  assert.deepEqual(await empty.embedHypotheticalDocument('capital of Japan'), queryVector);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { maximalMarginalRelevance } from '../src/rag/mmr.js';
+import { createTestEngine } from './fixtures.js';
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+// a and a2 are near-duplicates; b is less relevant but different
+const candidates = [
+  { id: 'a', vector: [1, 0, 0] },
+  { id: 'a2', vector: [0.99, 0.141, 0] },
+  { id: 'b', vector: [0.6, 0, 0.8] }
+];
+const query = [0.9, 0.1, 0.42];
+
+test('lambda 1 keeps the relevance order', () => {
+  const selected = maximalMarginalRelevance(query, candidates, { lambda: 1, similarity: dot });
+  assert.deepEqual(selected.map(doc => doc.id), ['a2', 'a', 'b']);
+  assert.equal(selected[0].mmrScore, dot(query, candidates[1].vector));
+});
+
+test('a balanced lambda skips near-duplicates of selected documents', () => {
+  const selected = maximalMarginalRelevance(query, candidates, { topK: 2, lambda: 0.5, similarity: dot });
+  assert.deepEqual(selected.map(doc => doc.id), ['a2', 'b']);
+  assert.ok(selected[1].mmrScore < selected[0].mmrScore);
+  assert.deepEqual(maximalMarginalRelevance(query, [], { similarity: dot }), []);
+});
+
+test('engine MMR diversifies retrieved context', async () => {
+  const documents = [
+    { id: 'eiffel', content: 'The Eiffel Tower is in Paris, France.' },
+    { id: 'eiffel-copy', content: 'The Eiffel Tower is in Paris, France!' },
+    { id: 'louvre', content: 'The Louvre museum is in Paris.' }
+  ];
+  const engine = await createTestEngine({ documents, similarityThreshold: 0 });
+
+  const plain = await engine.retrieve('Eiffel Tower in Paris', 2);
+  assert.deepEqual(plain.map(doc => doc.id).sort(), ['eiffel', 'eiffel-copy']);
+
+  const diverse = await engine.retrieve('Eiffel Tower in Paris', 2, { mmr: true, mmrLambda: 0.3 });
+  assert.equal(diverse.length, 2);
+  assert.ok(diverse.some(doc => doc.id === 'louvre'));
+  assert.ok(diverse.every(doc => doc.vector === undefined && typeof doc.score === 'number'));
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEngine, ScriptedLLM } from './fixtures.js';
+
+const names = engine => engine.plugins.map(plugin => plugin.name);
+
+test('plugins are added, positioned, replaced and removed by name', async () => {
+  const engine = await createTestEngine();
+  assert.deepEqual(names(engine), ['groundedness', 'guardrails', 'routing', 'prompt']);
+
+  const hook = { afterGenerate() {} };
+  engine
+    .use({ name: 'first', ...hook }, { before: 'groundedness' })
+    .use({ name: 'audit', ...hook })
+    .use({ name: 'late', ...hook }, { after: 'routing' });
+  assert.deepEqual(names(engine), ['first', 'groundedness', 'guardrails', 'routing', 'late', 'prompt', 'audit']);
+
+  const replacement = { name: 'routing', beforeRetrieve() {} };
+  engine.use(replacement);
+  assert.equal(engine.plugins[3], replacement);
+
+  engine.use({ name: 'audit', ...hook }, { before: 'first' });
+  assert.equal(names(engine)[0], 'audit');
+  assert.equal(engine.removePlugin('late'), true);
+  assert.equal(engine.removePlugin('late'), false);
+
+  assert.throws(() => engine.use({ name: 'empty' }), /at least one hook/);
+  assert.throws(() => engine.use({ name: 'x', ...hook }, { after: 'missing' }), /Plugin not found: missing/);
+});
+
+test('hooks run in order and change the query, documents and answer', async () => {
+  const engine = await createTestEngine({ plugins: [] });
+  const stages = [];
+
+  engine.use({
+    name: 'tracer',
+    beforeRetrieve(ctx) {
+      stages.push('beforeRetrieve');
+      ctx.query = ctx.query.replace('DE', 'Germany');
+    },
+    afterRetrieve(ctx) {
+      stages.push('afterRetrieve');
+      ctx.docs = ctx.docs.filter(doc => doc.id === 'berlin');
+    },
+    async beforeGenerate(ctx) {
+      stages.push('beforeGenerate');
+      ctx.systemPrompt = 'Answer in one word.';
+    },
+    afterGenerate(ctx) {
+      stages.push('afterGenerate');
+      ctx.answer = ctx.answer.toUpperCase();
+    }
+  });
+
+  const result = await engine.query('What is the capital of DE?', { mode: 'rag' });
+  assert.deepEqual(stages, ['beforeRetrieve', 'afterRetrieve', 'beforeGenerate', 'afterGenerate']);
+  assert.equal(result.query, 'What is the capital of Germany?');
+  assert.deepEqual(result.sources.map(source => source.id), ['berlin']);
+  assert.equal(result.answer, 'THE ANSWER [1].');
+  assert.equal(engine.llm.calls[0].messages[0].content, 'Answer in one word.');
+});
+
+test('a blocking hook stops the query and the stream', async () => {
+  const engine = await createTestEngine();
+  const later = [];
+  engine
+    .use({ name: 'block', beforeRetrieve(ctx) { ctx.blocked = { stage: 'beforeRetrieve', reason: 'off_topic', answer: 'No.' }; } }, { before: 'groundedness' })
+    .use({ name: 'later', beforeRetrieve() { later.push('ran'); } });
+
+  const result = await engine.query('anything');
+  assert.equal(result.blocked, true);
+  assert.equal(result.answer, 'No.');
+  assert.deepEqual(later, []);
+  assert.equal(engine.llm.calls.length, 0);
+
+  const events = [];
+  for await (const event of engine.queryStream('anything')) {
+    events.push(event.type);
+  }
+  assert.deepEqual(events, ['blocked', 'done']);
+});
+
+test('onStreamChunk can cut a stream short and onError can recover', async () => {
+  const engine = await createTestEngine({ llm: new ScriptedLLM('one two secret three') });
+  engine.use({
+    name: 'redact',
+    onStreamChunk(ctx) {
+      if (ctx.answer.includes('secret')) ctx.blocked = { stage: 'onStreamChunk', reason: 'leak', answer: '[redacted]' };
+    }
+  });
+
+  const content = [];
+  let done;
+  for await (const event of engine.queryStream('What is the capital of Italy?', { mode: 'rag' })) {
+    if (event.type === 'content') content.push(event.content);
+    if (event.type === 'done') done = event;
+  }
+  assert.deepEqual(content, ['one ', 'two ']);
+  assert.equal(done.answer, '[redacted]');
+  assert.equal(done.reason, 'leak');
+
+  const failing = await createTestEngine({ llm: new ScriptedLLM(() => { throw new Error('down'); }) });
+  failing.use({ name: 'recover', onError: (error, ctx) => ({ answer: `Sorry: ${error.message}`, query: ctx.query }) });
+  assert.deepEqual(await failing.query('q', { mode: 'llm' }), { answer: 'Sorry: down', query: 'q' });
+
+  failing.removePlugin('recover');
+  await assert.rejects(failing.query('q', { mode: 'llm' }), /down/);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QueryTransformer } from '../src/rag/query-transformer.js';
+import { createTestEngine, ScriptedLLM } from './fixtures.js';
+
+const history = [
+  { role: 'user', content: 'Tell me about Berlin' },
+  { role: 'assistant', content: 'Berlin is the capital of Germany.' }
+];
+
+test('follow-ups are rewritten and expanded into deduplicated queries', async () => {
+  const llm = new ScriptedLLM('Sure: {"standalone": "What is Berlin known for?", "queries": ["what is berlin known for?", "Berlin landmarks", " ", "Berlin sights", "Berlin history"]}');
+  const transformer = new QueryTransformer({ llm, numQueries: 3 });
+
+  const result = await transformer.transform('What is it known for?', history);
+  assert.deepEqual(result, {
+    original: 'What is it known for?',
+    standalone: 'What is Berlin known for?',
+    expansions: ['what is berlin known for?', 'Berlin landmarks', 'Berlin sights'],
+    queries: ['What is Berlin known for?', 'Berlin landmarks', 'Berlin sights']
+  });
+  assert.equal(llm.calls[0].options.operation, 'rewrite');
+  assert.match(llm.calls[0].messages.at(-1).content, /assistant: Berlin is the capital of Germany/);
+});
+
+test('the original query is kept when rewriting is off or the LLM fails', async t => {
+  const reply = '{"standalone": "Rewritten", "queries": ["Other"]}';
+  const noRewrite = await new QueryTransformer({ llm: new ScriptedLLM(reply), rewrite: false }).transform('q', history);
+  assert.deepEqual(noRewrite.queries, ['q', 'Other']);
+
+  t.mock.method(console, 'warn', () => {});
+  const broken = new ScriptedLLM(() => { throw new Error('down'); });
+  assert.deepEqual((await new QueryTransformer({ llm: broken }).transform('q')).queries, ['q']);
+  assert.deepEqual((await new QueryTransformer({ llm: new ScriptedLLM('no json') }).transform('q')).queries, ['q']);
+});
+
+test('no LLM call without sub-queries or history to resolve', async () => {
+  const llm = new ScriptedLLM('{}');
+  const result = await new QueryTransformer({ llm }).transform('q', [], { numQueries: 0 });
+
+  assert.deepEqual(result.queries, ['q']);
+  assert.equal(llm.calls.length, 0);
+});
+
+test('each expanded query is retrieved and results are merged', async () => {
+  const engine = await createTestEngine();
+  engine.queryTransformer = new QueryTransformer({
+    llm: new ScriptedLLM('{"standalone": "Eiffel Tower", "queries": ["Colosseum"]}')
+  });
+
+  const { docs, queries } = await engine.retrieveForQuery('famous landmarks', 2);
+  assert.deepEqual(queries.queries, ['Eiffel Tower', 'Colosseum']);
+  const byId = Object.fromEntries(docs.map(doc => [doc.id, doc]));
+  assert.deepEqual(Object.keys(byId).sort(), ['paris', 'rome']);
+  assert.ok(byId.paris.matchedQueries.includes(0));
+  assert.ok(byId.rome.matchedQueries.includes(1));
+
+  const plain = await engine.retrieveForQuery('famous landmarks', 2, { expandQuery: false });
+  assert.equal(plain.queries, null);
+});
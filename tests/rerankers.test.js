@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseReranker } from '../src/rerankers/base.js';
+import { LexicalReranker } from '../src/rerankers/lexical.js';
+import { LLMReranker } from '../src/rerankers/llm.js';
+import { createTestEngine, ScriptedLLM } from './fixtures.js';
+
+// Scores documents by a fixed table, independent of the query
+class TableReranker extends BaseReranker {
+  constructor(scores) {
+    super();
+    this.scores = scores;
+  }
+
+  async score(query, documents) {
+    return documents.map(doc => this.scores[doc.id] ?? 0);
+  }
+}
+
+const candidates = [
+  { id: 'a', content: 'the cat sat on the mat', metadata: {}, score: 0.9 },
+  { id: 'b', content: 'dogs chase cats around the garden', metadata: {}, score: 0.5 },
+  { id: 'c', content: 'mat cat', metadata: {}, score: 0.2 }
+];
+
+test('rerank orders by rerankScore and keeps score as the retrieval score', async () => {
+  const reranked = await new TableReranker({ a: 0.1, b: 0.8, c: 0.4 }).rerank('q', candidates);
+
+  assert.deepEqual(reranked.map(doc => doc.id), ['b', 'c', 'a']);
+  assert.deepEqual(reranked.map(doc => doc.score), [0.5, 0.2, 0.9]);
+  assert.deepEqual(reranked.map(doc => doc.rerankScore), [0.8, 0.4, 0.1]);
+  assert.deepEqual(reranked.map(doc => doc.retrievalRank), [2, 3, 1]);
+  assert.deepEqual(await new TableReranker({}).rerank('q', []), []);
+});
+
+test('LexicalReranker favours documents with every query term close together', async () => {
+  const reranker = new LexicalReranker();
+  const [first] = await reranker.rerank('cat mat', [candidates[1], candidates[0], candidates[2]]);
+
+  assert.equal(first.id, 'c');
+  assert.equal(reranker.proximity(['cat', 'mat'], new Set(['cat', 'mat'])), 1);
+  assert.equal(reranker.proximity(['dog'], new Set(['cat', 'mat'])), 0);
+});
+
+test('LLMReranker parses grades and falls back to retrieval scores', async t => {
+  const llm = new ScriptedLLM(() => 'Grades: [2, 9, 5]');
+  const reranked = await new LLMReranker({ llm }).rerank('cats', candidates);
+  assert.deepEqual(reranked.map(doc => doc.id), ['b', 'c', 'a']);
+
+  t.mock.method(console, 'warn', () => {});
+  const broken = new ScriptedLLM(() => { throw new Error('down'); });
+  const fallback = await new LLMReranker({ llm: broken }).rerank('cats', candidates);
+  assert.deepEqual(fallback.map(doc => doc.id), ['a', 'b', 'c']);
+});
+
+test('auto routing compares the retrieval score, not the rerank score', async () => {
+  // A reranker that rates everything as highly relevant must not push weak matches into RAG mode
+  const engine = await createTestEngine({ reranker: new TableReranker({ tokyo: 1, paris: 0.99 }), routingThreshold: 0.9 });
+
+  const result = await engine.query('capital city', { mode: 'auto' });
+  const tokyo = result.sources.find(source => source.id === 'tokyo');
+
+  assert.equal(result.mode, 'llm');
+  assert.equal(result.sources[0].id, 'tokyo');
+  assert.equal(tokyo.rerankScore, 1);
+  assert.ok(tokyo.score < 0.9);
+  assert.equal(result.routing.topScore, tokyo.score);
+});
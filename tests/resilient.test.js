@@ -0,0 +1,170 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseLLM } from '../src/llm/base.js';
+import { ResilientLLM, isRetryableError, getRetryAfterMs } from '../src/llm/resilient.js';
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { status, headers });
+
+/**
+ * LLM that plays back a script: each call takes the next step, throwing it if it's an error,
+ * waiting forever if it's 'hang', and otherwise replying with it (streams yield it word by word)
+ */
+class ScriptedLLM extends BaseLLM {
+  constructor(model, steps) {
+    super({ model });
+    this.steps = steps;
+    this.calls = [];
+  }
+
+  get provider() {
+    return 'scripted';
+  }
+
+  async initialize() {}
+
+  async next(options) {
+    this.calls.push(options);
+    const step = this.steps.shift();
+    if (step instanceof Error) throw step;
+    if (step === 'hang') {
+      return new Promise((resolve, reject) => options.signal.addEventListener('abort', () => reject(options.signal.reason)));
+    }
+    return step;
+  }
+
+  async chat(messages, options = {}) {
+    return this.next(options);
+  }
+
+  async *chatStream(messages, options = {}) {
+    const reply = await this.next(options);
+    for (const word of reply.split(' ')) {
+      yield word;
+    }
+  }
+}
+
+const resilient = (llm, fallbacks = [], config = {}) =>
+  new ResilientLLM({ llm, fallbacks, baseDelay: 1, jitter: false, ...config });
+
+beforeEach(() => {
+  mock.method(console, 'warn', () => {});
+});
+
+test('isRetryableError: network failures, timeouts, 408, 429 and 5xx only', () => {
+  const abort = Object.assign(new Error('aborted'), { name: 'AbortError' });
+  const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+  assert.equal(isRetryableError(reset), true);
+  assert.equal(isRetryableError(new Error('fetch failed', { cause: reset })), true);
+  assert.equal(isRetryableError(abort), true);
+  assert.equal(isRetryableError(Object.assign(new Error('timed out'), { timedOut: true })), true);
+  for (const status of [408, 429, 500, 502, 503]) {
+    assert.equal(isRetryableError(httpError(status)), true, `status ${status}`);
+  }
+
+  for (const status of [400, 401, 404, 409, 422]) {
+    assert.equal(isRetryableError(httpError(status)), false, `status ${status}`);
+  }
+  assert.equal(isRetryableError(new TypeError('undefined is not a function')), false);
+  assert.equal(isRetryableError(new Error('API key required')), false);
+});
+
+test('getRetryAfterMs reads retry-after-ms, seconds and HTTP dates', () => {
+  assert.equal(getRetryAfterMs(httpError(429, { 'retry-after-ms': '250' })), 250);
+  assert.equal(getRetryAfterMs(httpError(429, new Headers({ 'retry-after': '2' }))), 2000);
+  assert.ok(getRetryAfterMs(httpError(503, { 'retry-after': new Date(Date.now() + 60000).toUTCString() })) > 50000);
+  assert.equal(getRetryAfterMs(httpError(503)), null);
+});
+
+test('retries a retryable error and reports the retry', async () => {
+  const primary = new ScriptedLLM('primary', [httpError(503), 'ok']);
+  const events = [];
+
+  const reply = await resilient(primary).chat([], { onEvent: event => events.push(event) });
+
+  assert.equal(reply, 'ok');
+  assert.equal(primary.calls.length, 2);
+  assert.deepEqual(events.map(event => event.type), ['retry', 'success']);
+  assert.equal(events[0].status, 503);
+  assert.equal(events[1].attempt, 2);
+});
+
+test('does not retry client errors', async () => {
+  const primary = new ScriptedLLM('primary', [httpError(400), 'ok']);
+  const fallback = new ScriptedLLM('fallback', ['fallback ok']);
+
+  await assert.rejects(resilient(primary, [fallback]).chat([]), { status: 400 });
+  assert.equal(primary.calls.length, 1);
+  assert.equal(fallback.calls.length, 0);
+});
+
+test('falls back once the primary runs out of retries', async () => {
+  const primary = new ScriptedLLM('primary', [httpError(429), httpError(429), httpError(429)]);
+  const fallback = new ScriptedLLM('fallback', ['fallback ok']);
+  const events = [];
+
+  const reply = await resilient(primary, [fallback]).chat([], { onEvent: event => events.push(event) });
+
+  assert.equal(reply, 'fallback ok');
+  assert.equal(primary.calls.length, 3);
+  assert.deepEqual(events.map(event => event.type), ['retry', 'retry', 'fallback', 'success']);
+  assert.deepEqual(events[2].to, { provider: 'scripted', model: 'fallback' });
+});
+
+test('falls back right away when retry-after exceeds maxDelay', async () => {
+  const primary = new ScriptedLLM('primary', [httpError(429, { 'retry-after': '60' })]);
+  const fallback = new ScriptedLLM('fallback', ['fallback ok']);
+
+  assert.equal(await resilient(primary, [fallback], { maxDelay: 1000 }).chat([]), 'fallback ok');
+  assert.equal(primary.calls.length, 1);
+});
+
+test('throws a 503 with the events when the whole chain fails', async () => {
+  const primary = new ScriptedLLM('primary', [httpError(500), httpError(500)]);
+  const fallback = new ScriptedLLM('fallback', [httpError(502, { 'retry-after-ms': '10' }), httpError(502, { 'retry-after-ms': '10' })]);
+
+  const error = await resilient(primary, [fallback], { maxRetries: 1, maxDelay: 5000 }).chat([]).catch(error => error);
+
+  assert.equal(error.status, 503);
+  assert.match(error.message, /^LLM unavailable after 4 attempts: HTTP 502/);
+  assert.equal(error.cause.status, 502);
+  assert.equal(error.retryAfter, 1);
+  assert.deepEqual(error.events.map(event => event.type), ['retry', 'fallback', 'retry']);
+});
+
+test('times out a hung call and retries it', async () => {
+  const primary = new ScriptedLLM('primary', ['hang', 'ok']);
+
+  assert.equal(await resilient(primary, [], { timeout: 20 }).chat([]), 'ok');
+  assert.equal(primary.calls.length, 2);
+  assert.equal(primary.calls[0].signal.aborted, true);
+});
+
+test('passes a model override to the primary only', async () => {
+  const primary = new ScriptedLLM('primary', [httpError(503)]);
+  const fallback = new ScriptedLLM('fallback', ['ok']);
+
+  await resilient(primary, [fallback], { maxRetries: 0 }).chat([], { model: 'other', temperature: 0 });
+
+  assert.equal(primary.calls[0].model, 'other');
+  assert.equal(fallback.calls[0].model, undefined);
+  assert.equal(fallback.calls[0].temperature, 0);
+});
+
+test('streams fall back before the first chunk', async () => {
+  const primary = new ScriptedLLM('primary', [httpError(503)]);
+  const fallback = new ScriptedLLM('fallback', ['streamed from fallback']);
+
+  const chunks = [];
+  for await (const chunk of resilient(primary, [fallback], { maxRetries: 0 }).chatStream([])) {
+    chunks.push(chunk);
+  }
+
+  assert.deepEqual(chunks, ['streamed', 'from', 'fallback']);
+});
+
+test('requires LLMs that implement chat() and chatStream()', () => {
+  assert.throws(() => new ResilientLLM({}), /Primary LLM is required/);
+  assert.throws(() => new ResilientLLM({ llm: { chat() {} } }), /must implement chat\(\) and chatStream\(\)/);
+});
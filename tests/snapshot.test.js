@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fingerprintDocuments, readSnapshot } from '../src/rag/snapshot.js';
+import { RAGEngine } from '../src/rag/engine.js';
+import { createTestEngine, DOCUMENTS } from './fixtures.js';
+
+async function withTempDir(run) {
+  const dir = await mkdtemp(join(tmpdir(), 'rag-snapshot-'));
+  try {
+    await run(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('fingerprint changes with IDs, content, metadata and order', () => {
+  const base = fingerprintDocuments(DOCUMENTS);
+  const changed = (index, change) => DOCUMENTS.map((doc, i) => (i === index ? { ...doc, ...change } : doc));
+
+  assert.equal(fingerprintDocuments(structuredClone(DOCUMENTS)), base);
+  assert.notEqual(fingerprintDocuments(changed(0, { id: 'paris-2' })), base);
+  assert.notEqual(fingerprintDocuments(changed(1, { content: 'Berlin.' })), base);
+  assert.notEqual(fingerprintDocuments(changed(2, { metadata: { country: 'italy', year: 2023 } })), base);
+  assert.notEqual(fingerprintDocuments([...DOCUMENTS].reverse()), base);
+});
+
+test('a saved index is loaded on restart without re-embedding', t => withTempDir(async dir => {
+  const indexPath = join(dir, 'index.json');
+  const first = await createTestEngine({ indexPath });
+  const expected = await first.retrieve('capital of Spain', 2);
+
+  const snapshot = await readSnapshot(indexPath);
+  assert.equal(snapshot.documents.length, DOCUMENTS.length);
+  assert.ok(snapshot.documents.every(doc => doc.content === undefined && doc.vector.length > 0));
+
+  const build = t.mock.method(RAGEngine.prototype, 'buildVectorIndex');
+  const restarted = await createTestEngine({ indexPath });
+  assert.equal(build.mock.callCount(), 0);
+  assert.deepEqual(await restarted.retrieve('capital of Spain', 2), expected);
+}));
+
+test('a stale or unreadable snapshot is rebuilt', t => withTempDir(async dir => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const indexPath = join(dir, 'index.json');
+  await createTestEngine({ indexPath });
+  const saved = JSON.parse(await readFile(indexPath, 'utf-8'));
+
+  const engine = await createTestEngine({ indexPath, documents: DOCUMENTS.slice(1) });
+  assert.equal(engine.indexedDocuments.size, DOCUMENTS.length - 1);
+  assert.notEqual(JSON.parse(await readFile(indexPath, 'utf-8')).fingerprint, saved.fingerprint);
+
+  await writeFile(indexPath, '{ not json');
+  assert.equal(await engine.loadIndex(), false);
+  await writeFile(indexPath, JSON.stringify({ ...saved, version: 0 }));
+  assert.equal(await engine.loadIndex(), false);
+}));
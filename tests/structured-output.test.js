@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema, validateValue, parseJSON, parseStructuredOutput } from '../src/rag/structured-output.js';
+
+const answerSchema = {
+  type: 'object',
+  properties: {
+    answer: { type: 'string', minLength: 1 },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    entities: { type: 'array', items: { type: 'string' }, maxItems: 3 }
+  },
+  required: ['answer', 'confidence'],
+  additionalProperties: false
+};
+
+test('validateValue accepts a conforming value', () => {
+  assert.deepEqual(validateValue({ answer: 'Paris', confidence: 1, entities: ['France'] }, answerSchema), []);
+  assert.deepEqual(validateValue(3, { type: 'number' }), []);
+  assert.deepEqual(validateValue(null, { type: ['string', 'null'] }), []);
+  assert.deepEqual(validateValue('anything', true), []);
+});
+
+test('validateValue reports every error with its path', () => {
+  const errors = validateValue({ answer: '', confidence: 2, entities: ['a', 3, 'c', 'd'], extra: 1 }, answerSchema);
+
+  assert.deepEqual(errors, [
+    '$.answer: must be at least 1 characters',
+    '$.confidence: must be <= 1',
+    '$.entities: must have at most 3 items',
+    '$.entities[1]: expected string, got integer',
+    '$.extra: is not an allowed property'
+  ]);
+  assert.deepEqual(validateValue({}, answerSchema), ['$.answer: is required', '$.confidence: is required']);
+  assert.deepEqual(validateValue([], answerSchema), ['$: expected object, got array']);
+  assert.deepEqual(validateValue(1.5, { type: 'integer' }), ['$: expected integer, got number']);
+  assert.deepEqual(validateValue(1, false), ['$: no value is allowed here']);
+});
+
+test('validateValue checks enum, const, pattern and combinators', () => {
+  assert.deepEqual(validateValue('maybe', { enum: ['yes', 'no'] }), ['$: must be one of "yes", "no"']);
+  assert.deepEqual(validateValue({ a: 1 }, { const: { a: 1 } }), []);
+  assert.deepEqual(validateValue('abc', { pattern: '^[0-9]+$' }), ['$: must match ^[0-9]+$']);
+
+  const idOrName = { anyOf: [{ type: 'integer' }, { type: 'string', minLength: 1 }] };
+  assert.deepEqual(validateValue(7, idOrName), []);
+  assert.deepEqual(validateValue('', idOrName), ['$: must match at least one of the anyOf schemas']);
+
+  const oneOf = { oneOf: [{ type: 'number' }, { type: 'integer' }] };
+  assert.deepEqual(validateValue(1, oneOf), ['$: must match exactly one of the oneOf schemas']);
+  assert.deepEqual(validateValue(1.5, oneOf), []);
+
+  assert.deepEqual(validateValue(5, { allOf: [{ minimum: 0 }, { maximum: 3 }] }), ['$: must be <= 3']);
+});
+
+test('validateValue only uses own properties of the schema and the value', () => {
+  const schema = { type: 'object', properties: { a: { type: 'string' } }, additionalProperties: false };
+
+  // Inherited names are not declared properties
+  assert.deepEqual(validateValue(JSON.parse('{"constructor": 1, "toString": "x"}'), schema), [
+    '$.constructor: is not an allowed property',
+    '$.toString: is not an allowed property'
+  ]);
+  assert.deepEqual(validateValue(JSON.parse('{"__proto__": {}}'), { type: 'object', additionalProperties: { type: 'string' } }), [
+    '$.__proto__: expected string, got object'
+  ]);
+
+  // Inherited names don't satisfy required
+  const required = { type: 'object', required: ['constructor', 'hasOwnProperty'] };
+  assert.deepEqual(validateValue({}, required), ['$.constructor: is required', '$.hasOwnProperty: is required']);
+  assert.deepEqual(validateValue(JSON.parse('{"constructor": null, "hasOwnProperty": 0}'), required), []);
+});
+
+test('validateSchema rejects unsupported or malformed schemas', () => {
+  assert.doesNotThrow(() => validateSchema(answerSchema));
+  assert.throws(() => validateSchema([]), /Invalid schema: must be an object/);
+  assert.throws(() => validateSchema({ type: 'date' }), /Invalid schema.type/);
+  assert.throws(() => validateSchema({ $ref: '#/defs/a' }), /\$ref is not supported/);
+  assert.throws(() => validateSchema({ properties: { a: { enum: [] } } }), /Invalid schema.properties.a.enum/);
+  assert.throws(() => validateSchema({ anyOf: [] }), /Invalid schema.anyOf/);
+  assert.throws(() => validateSchema({ pattern: '(' }), /Invalid schema.pattern/);
+});
+
+test('parseJSON repairs code fences, surrounding prose and trailing commas', () => {
+  assert.deepEqual(parseJSON('```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(parseJSON('Here you go: {"a": [1, 2,],} Hope that helps'), { a: [1, 2] });
+  assert.throws(() => parseJSON('no json here'), /Reply is not valid JSON/);
+
+  assert.deepEqual(parseStructuredOutput('{"answer": "x", "confidence": 0.5}', answerSchema), {
+    data: { answer: 'x', confidence: 0.5 },
+    errors: []
+  });
+  assert.equal(parseStructuredOutput('oops', answerSchema).data, undefined);
+});
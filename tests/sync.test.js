@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnswerCache } from '../src/cache/answer-cache.js';
+import { createTestEngine } from './fixtures.js';
+
+test('diffDocuments detects added, updated, removed and unchanged documents', async () => {
+  const engine = await createTestEngine();
+  const documents = structuredClone(engine.dataSource.documents);
+
+  documents[0].content = 'Paris is the capital and largest city of France.';
+  documents[1].metadata.year = 1990;
+  documents.splice(2, 1);
+  documents.push({ id: 'lima', content: 'Lima is the capital of Peru.', metadata: {} });
+
+  const changes = engine.diffDocuments(documents);
+  assert.deepEqual(changes.added.map(doc => doc.id), ['lima']);
+  assert.deepEqual(changes.updated.map(doc => doc.id), ['paris', 'berlin']);
+  assert.deepEqual(changes.removed, ['rome']);
+  assert.equal(changes.unchanged, 2);
+});
+
+test('refresh re-embeds only what changed and keeps vectors of metadata-only changes', async t => {
+  const engine = await createTestEngine({ answerCache: new AnswerCache() });
+  const { documents } = engine.dataSource;
+  await engine.query('What is the capital of Peru?');
+
+  documents.find(doc => doc.id === 'berlin').metadata.year = 1990;
+  documents.push({ id: 'lima', content: 'Lima is the capital of Peru.', metadata: {} });
+
+  const embed = t.mock.method(engine.embeddings, 'embed');
+  const result = await engine.refresh();
+
+  assert.deepEqual(result, { added: 1, updated: 1, removed: 0, unchanged: 4, fullRebuild: false });
+  assert.deepEqual(embed.mock.calls.map(call => call.arguments[0]), ['Lima is the capital of Peru.']);
+  assert.equal(engine.indexedDocuments.get('berlin').metadata.year, 1990);
+  assert.equal((await engine.retrieve('capital of Peru', 1))[0].id, 'lima');
+  assert.equal(engine.answerCache.entries.size, 0);
+
+  // Nothing changed: no work and the cache is kept
+  await engine.query('What is the capital of Peru?');
+  assert.deepEqual(await engine.refresh(), { added: 0, updated: 0, removed: 0, unchanged: 6, fullRebuild: false });
+  assert.equal(engine.answerCache.entries.size, 1);
+});
+
+test('removed documents are evicted from the index', async () => {
+  const engine = await createTestEngine();
+  engine.dataSource.documents.splice(0, 1);
+
+  assert.equal((await engine.refresh()).removed, 1);
+  assert.equal(engine.vectorStore.has('paris'), false);
+  assert.ok(!(await engine.retrieve('Eiffel Tower', 5)).some(doc => doc.id === 'paris'));
+});
+
+test('large changes and full refreshes rebuild the whole index', async t => {
+  const engine = await createTestEngine();
+  const vocabulary = t.mock.method(engine.embeddings, 'buildVocabulary');
+
+  engine.dataSource.documents.splice(0, 3);
+  const result = await engine.refresh();
+  assert.deepEqual(result, { added: 0, updated: 0, removed: 3, unchanged: 2, fullRebuild: true });
+  assert.equal(vocabulary.mock.callCount(), 1);
+  assert.deepEqual([...engine.vectorStore.keys()].sort(), ['madrid', 'tokyo']);
+
+  assert.equal((await engine.refresh({ full: true })).fullRebuild, true);
+  assert.equal(vocabulary.mock.callCount(), 2);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { UsageTracker } from '../src/usage/tracker.js';
+import { createTestEngine } from './fixtures.js';
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const BASE = Math.floor(Date.now() / DAY) * DAY - 2 * DAY; // Midnight UTC, two days ago
+
+const call = (provider, model, promptTokens, completionTokens) => ({
+  provider, model, promptTokens, completionTokens, totalTokens: promptTokens + completionTokens
+});
+
+function recordSample(tracker) {
+  tracker.record([call('groq', 'llama', 1000, 500)], { userId: 'ana', collection: 'docs', timestamp: BASE + 10 * 60000 });
+  tracker.record([call('local', 'tiny', 100, 50)], { userId: 'bo', collection: 'docs', timestamp: BASE + 70 * 60000 });
+  tracker.record([call('groq', 'llama', 1000, 500)], { userId: 'ana', collection: 'faq', timestamp: BASE + 25 * HOUR });
+}
+
+test('prices fall back from provider/model to model, provider/* and *', () => {
+  const tracker = new UsageTracker({
+    pricing: {
+      'groq/llama': { prompt: 1, completion: 2 },
+      llama: { prompt: 3, completion: 3 },
+      'openai/*': { prompt: 4, completion: 4 },
+      '*': { prompt: 5, completion: 5 }
+    }
+  });
+
+  assert.equal(tracker.getPrice('groq', 'llama').prompt, 1);
+  assert.equal(tracker.getPrice('ollama', 'llama').prompt, 3);
+  assert.equal(tracker.getPrice('openai', 'gpt').prompt, 4);
+  assert.equal(tracker.getPrice('local', 'tiny').prompt, 5);
+  assert.equal(tracker.estimateCost(call('groq', 'llama', 1000, 500)), 0.002);
+  assert.equal(new UsageTracker().estimateCost(call('groq', 'llama', 1000, 500)), null);
+});
+
+test('usage is aggregated by user, collection and model in time buckets', () => {
+  const tracker = new UsageTracker({ pricing: { 'groq/llama': { prompt: 1, completion: 2 } } });
+  recordSample(tracker);
+
+  const usage = tracker.getUsage({ bucket: 'day' });
+  assert.deepEqual(usage.totals, { calls: 3, promptTokens: 2100, completionTokens: 1050, totalTokens: 3150, cost: 0.004, unpricedCalls: 1 });
+  assert.deepEqual(usage.byUser.map(row => [row.userId, row.totalTokens]), [['ana', 3000], ['bo', 150]]);
+  assert.deepEqual(usage.byCollection.map(row => [row.collection, row.calls]), [['docs', 2], ['faq', 1]]);
+  assert.deepEqual(usage.byModel.map(row => `${row.provider}/${row.model}`), ['groq/llama', 'local/tiny']);
+  assert.deepEqual(usage.history.map(row => [row.start, row.calls]), [
+    [new Date(BASE).toISOString(), 2],
+    [new Date(BASE + DAY).toISOString(), 1]
+  ]);
+
+  // Query strings carry bucket sizes and times as text
+  const hour = tracker.getUsage({ bucket: String(HOUR), since: new Date(BASE + HOUR).toISOString(), until: String(BASE + DAY) });
+  assert.equal(hour.bucket, HOUR);
+  assert.deepEqual(hour.history.map(row => row.start), [new Date(BASE + HOUR).toISOString()]);
+  assert.equal(tracker.getUsage({ userId: 'ana', collection: 'faq' }).totals.calls, 1);
+
+  assert.throws(() => tracker.getUsage({ bucket: 60000 }), /at least 3600000ms/);
+  assert.throws(() => tracker.getUsage({ since: 'yesterday-ish' }), /timestamps or dates/);
+});
+
+test('old buckets are pruned and history survives a restart', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'rag-usage-'));
+  try {
+    const path = join(dir, 'usage.json');
+    const tracker = new UsageTracker({ path, retention: 7 * DAY });
+    recordSample(tracker);
+    tracker.record([call('groq', 'llama', 1, 1)], { timestamp: BASE - 30 * DAY });
+    await tracker.close();
+
+    const restarted = new UsageTracker({ path, retention: 7 * DAY });
+    await restarted.initialize();
+    assert.deepEqual(restarted.getUsage(), tracker.getUsage());
+    assert.equal(restarted.getUsage().totals.calls, 3);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('query responses report priced usage and record it under the collection', async () => {
+  const usageTracker = new UsageTracker({ pricing: { 'test/*': { prompt: 1, completion: 1 } } });
+  const engine = await createTestEngine({ usageTracker, collection: 'docs' });
+
+  const result = await engine.query('What is the capital of France?', { mode: 'rag', userId: 'ana' });
+  assert.equal(result.usage.totalTokens, 15);
+  assert.equal(result.usage.cost, 0.000015);
+  assert.equal(usageTracker.getUsage({ collection: 'docs', userId: 'ana' }).totals.calls, 1);
+});
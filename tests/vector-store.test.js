@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, stat, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { VectorStore } from '../src/rag/vector-store.js';
+import { HNSWIndex } from '../src/rag/hnsw.js';
+import { CSVDataSource } from '../src/datasources/csv.js';
+import { createTestEngine } from './fixtures.js';
+
+async function withTempDir(run) {
+  const dir = await mkdtemp(join(tmpdir(), 'rag-vectors-'));
+  try {
+    await run(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+const normalize = vector => {
+  const norm = Math.hypot(...vector);
+  return vector.map(value => value / norm);
+};
+
+test('Float32 store searches exactly and reuses freed slots', () => {
+  const store = new VectorStore({ blockSize: 2 });
+  store.set('a', [1, 0]);
+  store.set('b', [0.6, 0.8]);
+  store.set('c', [0, 1]);
+
+  assert.deepEqual(store.search([1, 0], 2).map(hit => hit.id), ['a', 'b']);
+  assert.deepEqual(store.search([1, 0], 3, { filter: id => id !== 'a' }).map(hit => hit.id), ['b', 'c']);
+  assert.equal(store.getStats().capacity, 4);
+
+  store.delete('a');
+  store.set('d', [0.8, 0.6]);
+  assert.equal(store.idToSlot.get('d'), 0);
+  assert.throws(() => store.set('e', [1, 0, 0]), /dimension mismatch/);
+});
+
+test('int8 vectors take a quarter of the memory and score approximately', () => {
+  const vector = normalize([0.3, -0.5, 0.7, 0.1]);
+  const float = new VectorStore({ blockSize: 4 });
+  const int8 = new VectorStore({ blockSize: 4, quantization: 'int8' });
+  float.set('a', vector);
+  int8.set('a', vector);
+
+  assert.equal(int8.getStats().bytes, 4 * 4 + 4 * 4); // codes + per-vector scales
+  assert.equal(float.getStats().bytes, 4 * 4 * 4);
+  assert.ok(Math.abs(int8.search(vector, 1)[0].score - 1) < 0.01);
+  assert.notEqual(int8.get('a')[0], Math.fround(vector[0]));
+  assert.equal(int8.getExact('a')[0], int8.get('a')[0]);
+  assert.equal(int8.rescorable, false);
+  assert.throws(() => new VectorStore({ quantization: 'int4' }), /Unknown vector quantization/);
+});
+
+test('int8 rescoring reads full-precision vectors back from the rescore file', () => withTempDir(async dir => {
+  const rescorePath = join(dir, 'vectors.f32');
+  const store = new VectorStore({ quantization: 'int8', rescorePath, blockSize: 2 });
+  const vectors = { a: normalize([1, 0.01, 0]), b: normalize([1, 0.02, 0]), c: normalize([0, 1, 1]) };
+  for (const [id, vector] of Object.entries(vectors)) {
+    store.set(id, vector);
+  }
+
+  assert.deepEqual(Array.from(store.getExact('b')), Array.from(Float32Array.from(vectors.b)));
+  assert.equal((await stat(rescorePath)).size, 3 * 3 * 4);
+
+  const query = normalize([1, 0.02, 0]);
+  const [best] = store.rescore(query, store.search(query, 3), 1);
+  assert.equal(best.id, 'b');
+  assert.ok(Math.abs(best.score - 1) < 1e-6);
+  assert.equal(store.getStats().rescoreFactor, 4);
+
+  store.clear();
+  assert.equal((await stat(rescorePath)).size, 0);
+  store.close();
+}));
+
+test('int8 retrieval with a rescore file returns full-precision scores', () => withTempDir(async dir => {
+  const float = await createTestEngine();
+  const int8 = await createTestEngine({
+    vectorStore: new VectorStore({ quantization: 'int8', rescorePath: join(dir, 'vectors.f32') })
+  });
+
+  const expected = await float.retrieve('capital of Italy', 3);
+  const actual = await int8.retrieve('capital of Italy', 3);
+  assert.deepEqual(actual.map(doc => doc.id), expected.map(doc => doc.id));
+  actual.forEach((doc, i) => assert.ok(Math.abs(doc.score - expected[i].score) < 1e-6));
+  await int8.close();
+}));
+
+test('int8 quantization is rejected with an ANN index', async () => {
+  await assert.rejects(
+    createTestEngine({ vectorStore: new VectorStore({ quantization: 'int8' }), vectorIndex: new HNSWIndex() }),
+    /cannot be combined with an ANN index/
+  );
+});
+
+test('vector hits are fetched by ID without scanning the loaded documents', () => withTempDir(async dir => {
+  const filePath = join(dir, 'cities.csv');
+  await writeFile(filePath, 'id,text\nparis,Paris is in France\nrome,Rome is in Italy\nlima,Lima is in Peru\n');
+  const dataSource = new CSVDataSource({ filePath, idColumn: 'id', contentColumn: 'text' });
+  const engine = await createTestEngine({ dataSource });
+
+  await engine.deleteDocument('paris');
+  await engine.addDocument({ id: 'oslo', content: 'Oslo is in Norway' });
+
+  const find = dataSource.documents.find;
+  dataSource.documents.find = () => assert.fail('documents were scanned');
+  const [hit] = await engine.retrieve('Oslo Norway', 1);
+  dataSource.documents.find = find;
+
+  assert.equal(hit.id, 'oslo');
+  assert.deepEqual(await dataSource.getDocumentsByIds(['rome', 'paris', 'lima']), [
+    dataSource.documents[0], null, dataSource.documents[1]
+  ]);
+}));